@@ -1,6 +1,6 @@
-from fastapi import FastAPI, File, UploadFile, Form, Response
+from fastapi import FastAPI, File, UploadFile, Form, Response, HTTPException
 from fastapi.middleware.cors import CORSMiddleware
-from PIL import Image
+from PIL import Image, UnidentifiedImageError
 import google.generativeai as genai
 import io
 import os
@@ -18,7 +18,8 @@ app.add_middleware(
 dotenv.load_dotenv()
 genai.configure(api_key=os.getenv("api_key"))  # Replace with your API key
 def hide_message(img, message):
-    binary_message = ''.join(format(ord(c), '08b') for c in message) + '1111111111111110'
+    # UTF-8 bytes, so characters above U+00FF keep a fixed 8 bits per byte
+    binary_message = ''.join(format(b, '08b') for b in message.encode('utf-8')) + '1111111111111110'
     pixels = list(img.getdata())
     new_pixels = []
     msg_index = 0
@@ -30,7 +31,8 @@ def hide_message(img, message):
             else:
                 new_pixel = pixel
         else:  
-            r, g, b = pixel
+            # RGBA carriers (e.g. PNGs produced in the browser) keep their alpha untouched
+            r, g, b, *rest = pixel
             if msg_index < len(binary_message):
                 r = (r & ~1) | int(binary_message[msg_index])
                 msg_index += 1
@@ -40,12 +42,17 @@ def hide_message(img, message):
             if msg_index < len(binary_message):
                 b = (b & ~1) | int(binary_message[msg_index])
                 msg_index += 1
-            new_pixel = (r, g, b)
+            new_pixel = (r, g, b, *rest)
         new_pixels.append(new_pixel)
     new_img = Image.new(img.mode, img.size)
     new_img.putdata(new_pixels)
     return new_img
 
+def capacity_bits(img):
+    # Single-band images carry one bit per pixel, multi-band ones use R, G and B
+    bands = len(img.getbands())
+    return img.width * img.height * (1 if bands == 1 else 3)
+
 def extract_message(img):
     pixels = list(img.getdata())
     binary_message = ''
@@ -53,22 +60,69 @@ def extract_message(img):
         if isinstance(pixel, int):
             binary_message += str(pixel & 1)
         else:
-            r, g, b = pixel
+            r, g, b = pixel[:3]
             binary_message += str(r & 1) + str(g & 1) + str(b & 1)
     delimiter = '1111111111111110'
     end = binary_message.find(delimiter)
     if end == -1:
-        return "No message found"
+        return None
     binary_message = binary_message[:end]
-    message = ''
-    for i in range(0, len(binary_message), 8):
-        byte = binary_message[i:i+8]
-        message += chr(int(byte, 2))
-    return message
+    return bytes(int(binary_message[i:i+8], 2) for i in range(0, len(binary_message), 8))
+
+def decode_message(data):
+    """Decode extracted bytes as UTF-8, returning (text, is_valid_utf8)."""
+    if data is None:
+        return "No message found", True
+    try:
+        return data.decode('utf-8'), True
+    except UnicodeDecodeError:
+        return data.decode('utf-8', errors='replace'), False
+
+def run_ai_analysis(img):
+    temp_path = 'temp.png'
+    try:
+        img.save(temp_path)
+        model = genai.GenerativeModel('gemini-2.0-flash')
+        image_file = genai.upload_file(temp_path)
+        response = model.generate_content(["Does this image contain any hidden messages or steganography?", image_file])
+        return response.text if hasattr(response, 'text') else str(response)
+    except Exception as error:
+        return f"AI analysis unavailable: {error}"
+    finally:
+        if os.path.exists(temp_path):
+            os.remove(temp_path)
+
+def normalize_mode(img):
+    # The LSB code handles single-band (L) pixels and RGB/RGBA tuples; anything else (LA,
+    # palette, CMYK, 16-bit, ...) is converted first, keeping transparency where there is any
+    if img.mode in ('L', 'RGB', 'RGBA'):
+        return img
+    has_alpha = 'A' in img.getbands() or 'transparency' in img.info
+    return img.convert('RGBA' if has_alpha else 'RGB')
+
+async def open_upload(file):
+    try:
+        img = Image.open(io.BytesIO(await file.read()))
+        img.load()
+        return normalize_mode(img)
+    except (UnidentifiedImageError, OSError):
+        raise HTTPException(status_code=400, detail="The uploaded file is not a readable image.")
+
+@app.get("/health")
+async def health_endpoint():
+    # Lets the frontend tell an unreachable API apart from a failing request
+    return {"status": "ok"}
 
 @app.post("/inject")
 async def inject_message_endpoint(file: UploadFile = File(...), message: str = Form(...)):
-    img = Image.open(io.BytesIO(await file.read()))
+    img = await open_upload(file)
+    needed = len(message.encode('utf-8')) * 8 + 16
+    available = capacity_bits(img)
+    if needed > available:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Message is too long for this image ({needed} bits needed, {available} available).",
+        )
     hidden_img = hide_message(img, message)
     output = io.BytesIO()
     hidden_img.save(output, format='PNG')
@@ -76,18 +130,14 @@ async def inject_message_endpoint(file: UploadFile = File(...), message: str = F
     return Response(content=output.getvalue(), media_type='image/png', headers={'Content-Disposition': 'attachment; filename=hidden_image.png'})
 
 @app.post("/detect")
-async def detect_message_endpoint(file: UploadFile = File(...)):
-    img = Image.open(io.BytesIO(await file.read()))
-    message = extract_message(img)
-    # AI analysis
-    temp_path = 'temp.png'
-    img.save(temp_path)
-    model = genai.GenerativeModel('gemini-2.0-flash')
-    image_file = genai.upload_file(temp_path)
-    response = model.generate_content(["Does this image contain any hidden messages or steganography?", image_file])
-    ai_analysis = response.text if hasattr(response, 'text') else str(response)
-    os.remove(temp_path)
-    return {"extracted_message": message, "ai_analysis": ai_analysis}
+async def detect_message_endpoint(file: UploadFile = File(...), ai: bool = True):
+    # Reads the legacy terminator format only; the STEG containers the browser writes are
+    # opened in the browser, which asks this endpoint for the AI analysis alone
+    img = await open_upload(file)
+    message, utf8_valid = decode_message(extract_message(img))
+    # AI analysis is optional: it uploads the image to a third party and needs network access
+    ai_analysis = run_ai_analysis(img) if ai else None
+    return {"extracted_message": message, "utf8_valid": utf8_valid, "ai_analysis": ai_analysis}
 
 if __name__ == "__main__":
     import uvicorn
@@ -0,0 +1,49 @@
+// Reading and writing carriers for the command line. PNG, APNG and GIF are decoded in JS, as in
+// the browser; JPEG and WebP need the browser's decoders, so they have to be converted first.
+import { readFile, writeFile } from 'node:fs/promises';
+import { isPng, decodePng, encodePng, encodeApng } from '../src/stego/png.js';
+import { isGif, decodeGif } from '../src/stego/gif.js';
+import { decodeAnimation, stackFrames, unstackFrames } from '../src/stego/animation.js';
+
+// Path standing for stdin or stdout
+export const STDIO = '-';
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return new Uint8Array(Buffer.concat(chunks));
+};
+
+export const readInput = async (path) =>
+  path === STDIO ? readStream(process.stdin) : new Uint8Array(await readFile(path));
+
+export const writeOutput = (path, bytes) => {
+  if (path !== STDIO) {
+    return writeFile(path, bytes);
+  }
+  return new Promise((resolve, reject) => {
+    process.stdout.write(bytes, (error) => (error ? reject(error) : resolve()));
+  });
+};
+
+// Resolves with { imageData, animation } like loadPixels in ../src/stego/image
+export const decodeImage = async (bytes) => {
+  const animation = await decodeAnimation(bytes);
+  if (animation) {
+    return { imageData: stackFrames(animation), animation };
+  }
+  if (isPng(bytes)) {
+    return { imageData: await decodePng(bytes), animation: null };
+  }
+  if (isGif(bytes)) {
+    const { width, height, frames } = decodeGif(bytes);
+    return { imageData: { width, height, data: frames[0].data }, animation: null };
+  }
+  throw new Error('Only PNG, APNG and GIF images can be read from the command line. Convert JPEG and WebP carriers to PNG first.');
+};
+
+// Stego pixels back to PNG bytes; animations keep every frame and its timing
+export const encodeImage = (stego, animation) =>
+  animation ? encodeApng(unstackFrames(stego, animation)) : encodePng(stego);
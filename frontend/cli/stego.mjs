@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+// Command-line front end to the browser's codec: the same container format, encryption,
+// compression, scattering and error correction, for scripts and pipelines. Needs Node 20+.
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { readInput, writeOutput, decodeImage, encodeImage, STDIO } from './files.mjs';
+import { hideInPixels, revealFromPixels } from '../src/stego/pipeline.js';
+import { analyzeCapacity, PROCESSING_MODES } from '../src/stego/capacity.js';
+import { analyzeImage } from '../src/stego/steganalysis.js';
+import { compressPayload } from '../src/stego/compression.js';
+import { DEFAULT_EMBEDDING, MAX_BITS_PER_CHANNEL } from '../src/stego/embedding.js';
+import { CHANNELS } from '../src/stego/visualize.js';
+import { ECC_LEVELS } from '../src/stego/ecc.js';
+import { SECRET_KINDS, ENCRYPTION_STATES, DEFAULT_FILE_TYPE, payloadBody } from '../src/stego/payload.js';
+import { SIGNATURE_STATES, validateJwk } from '../src/stego/signature.js';
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  LOCKED: 4,
+  TOO_LARGE: 5,
+  BAD_SIGNATURE: 6,
+};
+
+const USAGE = `Usage: stego <command> <image> [options]
+
+Commands:
+  hide <carrier>      Hide a message or file and write a stego PNG
+  reveal <image>      Print the hidden message, or save the hidden file
+  capacity <image>    How much the image holds, and whether a secret fits
+  analyze <image>     Statistical LSB steganalysis
+
+<image> may be - to read from stdin. PNG, APNG and GIF files are accepted.
+
+Options:
+  -m, --message <text>       Text to hide (hide reads stdin when neither -m nor -f is given)
+  -f, --file <path>          Hide this file instead of text
+  -o, --output <path>        hide: stego PNG (default <carrier>_stego.png, - for stdout)
+                             reveal: where to save a hidden file (default its stored name)
+  -p, --passphrase <text>    Encrypt or decrypt; STEGO_PASSPHRASE is used when absent
+  -k, --scatter-key <text>   Key-scattered embedding; STEGO_SCATTER_KEY is used when absent
+      --bits <1-${MAX_BITS_PER_CHANNEL}>           Bits per channel (default 1)
+      --channels <letters>   Channels to embed into, any of RGBA (default RGB)
+      --ecc <level>          Error correction: none, low, medium or high (default none)
+      --no-compress          Store the payload without deflating it
+  -s, --sign-key <path>      Sign with this private key (a JWK exported from the browser)
+      --decoy <text>         Also hide a decoy that --decoy-passphrase reveals instead
+      --decoy-passphrase <text>
+      --json                 Machine-readable output
+  -h, --help                 Show this help
+
+Exit codes: 0 success, 1 error, 2 usage error, 3 nothing hidden, 4 encrypted (passphrase
+missing or wrong), 5 secret does not fit, 6 signature invalid.`;
+
+const OPTIONS = {
+  message: { type: 'string', short: 'm' },
+  file: { type: 'string', short: 'f' },
+  output: { type: 'string', short: 'o' },
+  passphrase: { type: 'string', short: 'p' },
+  'scatter-key': { type: 'string', short: 'k' },
+  bits: { type: 'string' },
+  channels: { type: 'string' },
+  ecc: { type: 'string' },
+  'no-compress': { type: 'boolean' },
+  'sign-key': { type: 'string', short: 's' },
+  decoy: { type: 'string' },
+  'decoy-passphrase': { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// Failure with its own exit code, reported like any other error
+class ExitError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ExitError';
+    this.code = code;
+  }
+}
+
+const parseEmbedding = ({ bits, channels }) => {
+  const bitsPerChannel = bits === undefined ? DEFAULT_EMBEDDING.bitsPerChannel : Number(bits);
+  if (!Number.isInteger(bitsPerChannel) || bitsPerChannel < 1 || bitsPerChannel > MAX_BITS_PER_CHANNEL) {
+    throw new UsageError(`--bits must be between 1 and ${MAX_BITS_PER_CHANNEL}`);
+  }
+  if (channels === undefined) {
+    return { ...DEFAULT_EMBEDDING, bitsPerChannel };
+  }
+
+  const letters = [...new Set(channels.toUpperCase())];
+  if (letters.length === 0 || letters.some((letter) => !(letter in CHANNELS))) {
+    throw new UsageError('--channels takes any of the letters R, G, B and A');
+  }
+  return { bitsPerChannel, channels: letters.map((letter) => CHANNELS[letter]).sort() };
+};
+
+const parseEcc = (value = 'none') => {
+  const level = ECC_LEVELS[value.toUpperCase()];
+  if (level === undefined) {
+    throw new UsageError('--ecc must be none, low, medium or high');
+  }
+  return level;
+};
+
+const readSigningKey = async (path) => {
+  if (path === undefined) {
+    return null;
+  }
+  let jwk;
+  try {
+    jwk = JSON.parse(new TextDecoder().decode(await readInput(path)));
+  } catch (error) {
+    throw new UsageError(`${path} is not a JWK file`);
+  }
+  try {
+    return validateJwk(jwk, { requirePrivate: true });
+  } catch (error) {
+    throw new UsageError(`${path}: ${error.message}`);
+  }
+};
+
+const readDecoy = ({ decoy, 'decoy-passphrase': passphrase }) => {
+  if (decoy === undefined && passphrase === undefined) {
+    return null;
+  }
+  if (decoy === undefined || passphrase === undefined) {
+    throw new UsageError('--decoy and --decoy-passphrase go together');
+  }
+  return { secret: { kind: SECRET_KINDS.TEXT, text: decoy }, passphrase };
+};
+
+const describeSignature = (signature) => {
+  if (!signature) return 'Unsigned';
+  if (signature.status === SIGNATURE_STATES.VALID) return `Signed by ${signature.fingerprint}`;
+  return 'Signature invalid: the data was altered after signing';
+};
+
+const readSecret = async ({ message, file }, { stdinFree }) => {
+  if (message !== undefined && file !== undefined) {
+    throw new UsageError('Give either --message or --file, not both');
+  }
+  if (file !== undefined) {
+    return { kind: SECRET_KINDS.FILE, file: { name: basename(file), type: DEFAULT_FILE_TYPE, bytes: await readInput(file) } };
+  }
+  if (message !== undefined) {
+    return { kind: SECRET_KINDS.TEXT, text: message };
+  }
+  if (!stdinFree) {
+    throw new UsageError('The carrier is read from stdin, so the message needs --message or --file');
+  }
+  return { kind: SECRET_KINDS.TEXT, text: new TextDecoder().decode(await readInput(STDIO)) };
+};
+
+// Capacity analysis as the browser's meter does it, compression measured for real
+const measure = async (imageData, animation, secret, { passphrase, embedding, compress, ecc, signingKey, decoy }) => {
+  const frames = animation ? animation.frames.length : 1;
+  const info = { width: imageData.width, height: imageData.height / frames, layout: 'RGBA', frames };
+  let compression = null;
+  if (secret && compress) {
+    const body = payloadBody(secret);
+    const { bytes, compressed } = await compressPayload(body);
+    compression = { originalBytes: body.length, storedBytes: bytes.length, compressed };
+  }
+  return analyzeCapacity(info, PROCESSING_MODES.LOCAL, secret || { kind: SECRET_KINDS.TEXT, text: '' }, {
+    encrypted: Boolean(passphrase),
+    embedding,
+    compression,
+    ecc,
+    signed: Boolean(signingKey),
+    decoy: decoy?.secret ?? null,
+  });
+};
+
+const hide = async (image, options, report) => {
+  const settings = {
+    passphrase: options.passphrase ?? process.env.STEGO_PASSPHRASE,
+    scatterKey: options['scatter-key'] ?? process.env.STEGO_SCATTER_KEY,
+    embedding: parseEmbedding(options),
+    compress: !options['no-compress'],
+    ecc: parseEcc(options.ecc),
+    signingKey: await readSigningKey(options['sign-key']),
+    decoy: readDecoy(options),
+  };
+  const output = options.output ?? (image === STDIO ? STDIO : `${image.replace(/\.[^./]+$/, '')}_stego.png`);
+  const secret = await readSecret(options, { stdinFree: image !== STDIO });
+  const { imageData, animation } = await decodeImage(await readInput(image));
+
+  const capacity = await measure(imageData, animation, secret, settings);
+  if (!capacity.fits) {
+    throw new ExitError(
+      `The secret needs ${capacity.totalBits.toLocaleString()} bits but the image holds ` +
+      `${capacity.capacityBits.toLocaleString()}. Use more bits or channels, or a larger image.`,
+      EXIT_CODES.TOO_LARGE,
+    );
+  }
+
+  const stego = await hideInPixels(imageData, secret, settings);
+  await writeOutput(output, await encodeImage(stego, animation));
+  report({
+    output,
+    width: capacity.width,
+    height: capacity.height,
+    frames: capacity.frames,
+    usedBits: capacity.totalBits,
+    capacityBits: capacity.capacityBits,
+    encrypted: Boolean(settings.passphrase),
+    compressed: Boolean(capacity.compression?.compressed),
+    scattered: Boolean(settings.scatterKey),
+    ecc: settings.ecc,
+    embedding: settings.embedding,
+    signed: Boolean(settings.signingKey),
+    decoy: Boolean(settings.decoy),
+  }, () => `Hidden ${capacity.totalBits.toLocaleString()} of ${capacity.capacityBits.toLocaleString()} bits in ${output === STDIO ? 'stdout' : output}`);
+  return EXIT_CODES.SUCCESS;
+};
+
+const reveal = async (image, options, report) => {
+  const { imageData } = await decodeImage(await readInput(image));
+  const result = await revealFromPixels(imageData, {
+    passphrase: options.passphrase ?? process.env.STEGO_PASSPHRASE,
+    scatterKey: options['scatter-key'] ?? process.env.STEGO_SCATTER_KEY,
+  });
+  const { message, file, encryption, signature, format } = result;
+
+  let savedTo = null;
+  if (file) {
+    // The stored name comes from the image; never let it pick a directory
+    savedTo = options.output ?? (basename(file.name) || 'hidden_file');
+    await writeOutput(savedTo, file.bytes);
+  }
+
+  const found = message !== null || file !== null;
+  const summary = {
+    found,
+    message,
+    file: file && { name: file.name, type: file.type, size: file.bytes.length, savedTo },
+    encryption,
+    signature: signature && { status: signature.status, fingerprint: signature.fingerprint, publicKey: signature.publicKey },
+    format,
+  };
+  if (message !== null && !options.json) {
+    process.stdout.write(process.stdout.isTTY ? `${message}\n` : message);
+    if (signature) {
+      process.stderr.write(`${describeSignature(signature)}\n`);
+    }
+  } else if (savedTo !== STDIO || options.json) {
+    report(summary, () => {
+      if (file) return `Saved hidden file ${file.name} (${file.bytes.length} bytes) to ${savedTo}\n${describeSignature(signature)}`;
+      if (encryption === ENCRYPTION_STATES.LOCKED) return 'The hidden data is encrypted. Pass its passphrase with --passphrase.';
+      if (encryption === ENCRYPTION_STATES.FAILED) return 'Authentication failed. The passphrase is wrong.';
+      if (format?.share) return `This image holds share #${format.share.index} of ${format.share.total}; ${format.share.threshold} are needed.`;
+      if (format?.scattered) return 'A key-scattered payload was found. Pass its key with --scatter-key.';
+      return 'No hidden data found.';
+    });
+  }
+
+  if (signature?.status === SIGNATURE_STATES.INVALID) return EXIT_CODES.BAD_SIGNATURE;
+  if (found) return EXIT_CODES.SUCCESS;
+  if (encryption === ENCRYPTION_STATES.LOCKED || encryption === ENCRYPTION_STATES.FAILED) return EXIT_CODES.LOCKED;
+  return EXIT_CODES.NOT_FOUND;
+};
+
+const capacity = async (image, options, report) => {
+  const settings = {
+    passphrase: options.passphrase ?? process.env.STEGO_PASSPHRASE,
+    embedding: parseEmbedding(options),
+    compress: !options['no-compress'],
+    ecc: parseEcc(options.ecc),
+    signingKey: await readSigningKey(options['sign-key']),
+    decoy: readDecoy(options),
+  };
+  const { imageData, animation } = await decodeImage(await readInput(image));
+  const secret = options.message !== undefined || options.file !== undefined
+    ? await readSecret(options, { stdinFree: false })
+    : null;
+  const result = await measure(imageData, animation, secret, settings);
+
+  report(result, () => {
+    const lines = [
+      `${result.width}×${result.height}${result.frames > 1 ? ` × ${result.frames} frames` : ''}, ` +
+        `${result.bitsPerPixel} bits/pixel: ${Math.floor(result.capacityBits / 8).toLocaleString()} bytes`,
+    ];
+    if (secret) {
+      lines.push(`Secret: ${Math.ceil(result.totalBits / 8).toLocaleString()} bytes, ${result.fits ? 'fits' : 'does not fit'}`);
+    }
+    return lines.join('\n');
+  });
+  return secret && !result.fits ? EXIT_CODES.TOO_LARGE : EXIT_CODES.SUCCESS;
+};
+
+const analyze = async (image, options, report) => {
+  const { imageData } = await decodeImage(await readInput(image));
+  const statistics = analyzeImage(imageData);
+  const percent = (value) => `${(value * 100).toFixed(1)}%`;
+  report(statistics, () => [
+    statistics.suspicious ? 'LSB embedding likely' : 'No LSB embedding detected',
+    `Estimated embedding rate: ${percent(statistics.rate)} (confidence ${percent(statistics.confidence)})`,
+    ...(statistics.suspicious ? [`Estimated payload: ${statistics.payloadBytes.toLocaleString()} bytes`] : []),
+    `Chi-square: ${percent(statistics.chiSquare.rate)}, RS: ${percent(statistics.rs.rate)}, SPA: ${percent(statistics.spa.rate)}`,
+  ].join('\n'));
+  return EXIT_CODES.SUCCESS;
+};
+
+const COMMANDS = { hide, reveal, capacity, analyze };
+
+// Resolves with the exit code. Reports go to stdout, unless stdout carries the image or file.
+const run = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values: options, positionals: [command, image, ...extra] } = parsed;
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+  if (!image || extra.length > 0) {
+    throw new UsageError(`${command} takes exactly one image`);
+  }
+
+  const stream = options.output === STDIO || (command === 'hide' && image === STDIO && !options.output)
+    ? process.stderr
+    : process.stdout;
+  const report = (data, describe) => {
+    stream.write(`${options.json ? JSON.stringify(data, null, 2) : describe()}\n`);
+  };
+  return COMMANDS[command](image, options, report);
+};
+
+run(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    const code = error instanceof UsageError ? EXIT_CODES.USAGE
+      : error instanceof ExitError ? error.code : EXIT_CODES.ERROR;
+    if (process.argv.includes('--json')) {
+      process.stderr.write(`${JSON.stringify({ error: error.message, code })}\n`);
+    } else {
+      process.stderr.write(`stego: ${error.message}\n${error instanceof UsageError ? 'Run stego --help for usage.\n' : ''}`);
+    }
+    process.exitCode = code;
+  },
+);
@@ -0,0 +1,86 @@
+/* eslint-disable no-restricted-globals */
+// Service worker for the installable, offline-capable app.
+// The app shell (index.html, every hashed bundle listed in asset-manifest.json and the icons)
+// is precached on install. API calls are never intercepted: they go to another origin and
+// the app falls back to in-browser processing when they fail.
+
+const CACHE_NAME = 'stego-shell-v2';
+const SCOPE = new URL(self.registration.scope);
+const INDEX_URL = new URL('index.html', SCOPE).href;
+const STATIC_FILES = ['', 'index.html', 'manifest.json', 'favicon.ico', 'logo192.png', 'logo512.png'];
+
+const PRECACHED_ASSET = /\.(js|css|wasm)$/;
+
+// Every script, stylesheet and wasm file the production build emitted, from `files` rather than
+// `entrypoints`: the worker chunk and the chunks it imports are only listed there
+const buildAssets = async () => {
+  try {
+    const response = await fetch(new URL('asset-manifest.json', SCOPE), { cache: 'no-store' });
+    const { files = {} } = await response.json();
+    return Object.values(files)
+      .filter((file) => PRECACHED_ASSET.test(file))
+      .map((file) => new URL(file, SCOPE).href);
+  } catch (error) {
+    return [];
+  }
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    const files = [...STATIC_FILES.map((file) => new URL(file, SCOPE).href), ...await buildAssets()];
+    await cache.addAll(files);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// Navigations: network first so a new deploy shows up immediately, cached shell when offline
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHE_NAME);
+      await cache.put(INDEX_URL, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await caches.match(INDEX_URL)) || Response.error();
+  }
+};
+
+// Same-origin assets: cache first; bundle names are content hashed so cached copies never go stale
+const handleAsset = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== SCOPE.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else {
+    event.respondWith(handleAsset(request));
+  }
+});
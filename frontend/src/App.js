@@ -1,11 +1,86 @@
-import React, { useState, useCallback, useRef } from 'react';
-import axios from 'axios';
+import React, { useState, useCallback, useRef, useMemo, useEffect } from 'react';
+import { FORMATS } from './stego/codec';
+import { CHECKSUM_STATES } from './stego/container';
+import { createThumbnail } from './stego/image';
+import { analyzeCapacity, PROCESSING_MODES } from './stego/capacity';
+import { utf8Length } from './stego/encoding';
+import { readSecretFile, payloadBody, SECRET_KINDS, ENCRYPTION_STATES } from './stego/payload';
+import { compressPayload } from './stego/compression';
+import { hideInText, revealFromText, hiddenCharacterCount } from './stego/textCarrier';
+import {
+  preflightInWorker,
+  hideSecretInWorker,
+  revealSecretInWorker,
+  detectInWorker,
+  measureQualityInWorker,
+} from './workers/stegoWorkers';
+import CapacityMeter, { describeOverflow } from './components/CapacityMeter';
+import StegoVisualizer from './components/StegoVisualizer';
+import AnalysisReport from './components/AnalysisReport';
+import QualityReport from './components/QualityReport';
+import BatchQueue from './components/BatchQueue';
+import SharePanel from './components/SharePanel';
+import HistoryPanel from './components/HistoryPanel';
+import SigningKeys from './components/SigningKeys';
+import { DEFAULT_EMBEDDING, MAX_BITS_PER_CHANNEL } from './stego/embedding';
+import { ECC_LEVELS, parityBytesFor } from './stego/ecc';
+import { CHANNELS } from './stego/visualize';
+import { SIGNATURE_STATES } from './stego/signature';
+import { StegoApiError, CancelledError, NetworkError } from './api/errors';
+import { useConnectivity, CONNECTION_STATES } from './api/useConnectivity';
+import { addHistoryEntry } from './utils/historyStore';
+import { loadSigningKey, saveSigningKey, loadTrustedKeys, saveTrustedKeys } from './utils/keyStore';
 import './App.css';
 
 // Configuration
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000';
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const WORKSPACES = { SINGLE: 'single', BATCH: 'batch', SHARES: 'shares', HISTORY: 'history' };
+const CARRIERS = { IMAGE: 'image', TEXT: 'text' };
 const SUPPORTED_FORMATS = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/bmp', 'image/webp'];
+const TRANSFER_LABELS = { upload: 'Uploading', download: 'Downloading', processing: 'Processing' };
+const CONNECTION_LABELS = {
+  [CONNECTION_STATES.CHECKING]: '⏳ Checking API…',
+  [CONNECTION_STATES.ONLINE]: '🟢 Online',
+  [CONNECTION_STATES.API_UNREACHABLE]: '🟠 API unreachable · in-browser only',
+  [CONNECTION_STATES.OFFLINE]: '🔴 Offline · in-browser only',
+};
+const BIT_DEPTH_OPTIONS = Array.from({ length: MAX_BITS_PER_CHANNEL }, (_, i) => i + 1);
+const CHANNEL_OPTIONS = Object.entries(CHANNELS);
+
+const describeEmbedding = ({ bitsPerChannel, channels }) =>
+  `${bitsPerChannel} bit${bitsPerChannel === 1 ? '' : 's'} × ${channels.map((channel) => CHANNEL_OPTIONS[channel][0]).join('')}`;
+
+const ECC_OPTIONS = [
+  { level: ECC_LEVELS.NONE, label: 'None' },
+  { level: ECC_LEVELS.LOW, label: 'Low' },
+  { level: ECC_LEVELS.MEDIUM, label: 'Medium' },
+  { level: ECC_LEVELS.HIGH, label: 'High' },
+];
+
+const describeEcc = ({ level, corrected, unrecoverable, blocks }) => {
+  const name = ECC_OPTIONS[level].label;
+  if (unrecoverable > 0) {
+    return `⚠️ ECC ${name}: ${unrecoverable} of ${blocks} block${blocks === 1 ? '' : 's'} unrecoverable`;
+  }
+  return `🛡️ ECC ${name}: ${corrected} byte${corrected === 1 ? '' : 's'} corrected`;
+};
+
+const PRIVATE_HISTORY_KEY = 'stego.privateHistory';
+const HISTORY_PREVIEW_LENGTH = 120;
+
+const previewText = (text) =>
+  text.length > HISTORY_PREVIEW_LENGTH ? `${text.slice(0, HISTORY_PREVIEW_LENGTH)}…` : text;
+
+// Maps a failed hide/reveal to the message shown in the banner, or null when the user cancelled
+const describeFailure = (error, action) => {
+  if (error instanceof CancelledError) {
+    return null;
+  }
+  if (error instanceof StegoApiError) {
+    return error.message;
+  }
+  return `Failed to ${action} message: ${error.message}`;
+};
 
 // Custom hook for file validation
 const useFileValidation = () => {
@@ -34,6 +109,81 @@ const useFileValidation = () => {
   return { validateFile };
 };
 
+// Wraps a recovered file in an object URL the result card can offer for download; the URL is
+// revoked along with the result
+const toDownloadableFile = ({ name, type, size, bytes }) => ({
+  name,
+  type,
+  size,
+  url: window.URL.createObjectURL(new Blob([bytes], { type })),
+});
+
+// The banner for a finished Reveal, { error } or { success }; `carrier` names what was searched
+const describeReveal = (data, carrier) => {
+  if (data.format?.ecc?.unrecoverable > 0) {
+    return { error: 'The hidden payload is too damaged for its error correction to repair. Some of it is lost.' };
+  }
+  if (data.format?.checksum === CHECKSUM_STATES.MISMATCH && data.format.scattered) {
+    return { error: `The hidden payload failed its checksum. The scatter key is wrong or the ${carrier} was modified.` };
+  }
+  if (data.format?.checksum === CHECKSUM_STATES.MISMATCH) {
+    return { error: `The hidden payload failed its checksum. The ${carrier} was modified or is corrupted.` };
+  }
+  if (data.format?.share) {
+    return { success: `This ${carrier} holds share #${data.format.share.index} of ${data.format.share.total}. Combine it with others under Secret sharing.` };
+  }
+  if (data.format?.scattered && !data.format.checksum) {
+    return { success: 'A key-scattered payload was found. Enter its scatter key under Advanced to read it.' };
+  }
+  if (data.encryption === ENCRYPTION_STATES.FAILED) {
+    return { error: `Authentication failed. The passphrase is wrong or the ${carrier} was modified.` };
+  }
+  if (data.encryption === ENCRYPTION_STATES.LOCKED) {
+    return { success: 'An encrypted message was found. Enter its passphrase to read it.' };
+  }
+  if (data.signature?.status === SIGNATURE_STATES.INVALID) {
+    return { error: 'The hidden data was recovered, but its signature is invalid. It was altered after signing.' };
+  }
+  if (data.file) {
+    return { success: 'Hidden file recovered successfully!' };
+  }
+  if (data.message && data.utf8Valid === false) {
+    return { error: 'A hidden message was found, but it is not valid UTF-8. Some characters could not be decoded.' };
+  }
+  if (data.message) {
+    return { success: 'Hidden message detected successfully!' };
+  }
+  return { success: `No hidden message found in this ${carrier}.` };
+};
+
+// What the Detection Results card shows for a revealed payload
+const toDetectResult = (data, statistics) => ({
+  type: 'detect',
+  extracted_message: data.message,
+  extracted_file: data.file && toDownloadableFile(data.file),
+  encryption: data.encryption,
+  signature: data.signature ?? null,
+  utf8_valid: data.utf8Valid !== false,
+  format: data.format,
+  statistics,
+  ai_analysis: data.ai_analysis ?? null,
+});
+
+const triggerDownload = (url, filename) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+};
+
 // Loading spinner component
 const LoadingSpinner = () => (
   <div className="spinner">
@@ -63,6 +213,39 @@ const SuccessMessage = ({ message, onClose }) => (
   </div>
 );
 
+// Who signed a revealed message: the user, a trusted key, an unknown key, or nobody
+const SignatureStatus = ({ signature, signingKey, trustedKeys, onTrust }) => {
+  if (!signature) {
+    return <p className="signature-status signature-unsigned">✒️ Unsigned</p>;
+  }
+  if (signature.status === SIGNATURE_STATES.INVALID) {
+    return (
+      <p className="signature-status signature-invalid">
+        ❌ Signature invalid. The message was altered after signing or the signature is forged.
+      </p>
+    );
+  }
+
+  const trusted = signingKey?.fingerprint === signature.fingerprint
+    ? { label: 'you' }
+    : trustedKeys.find((key) => key.fingerprint === signature.fingerprint);
+  if (trusted) {
+    return (
+      <p className="signature-status signature-verified">
+        ✅ Verified by {trusted.label} <code>{signature.fingerprint}</code>
+      </p>
+    );
+  }
+  return (
+    <p className="signature-status signature-unknown">
+      ⚠️ Valid signature from an unknown key <code>{signature.fingerprint}</code>
+      <button type="button" className="secondary-button" onClick={() => onTrust(signature)}>
+        Trust this key
+      </button>
+    </p>
+  );
+};
+
 // Image preview component
 const ImagePreview = ({ file, onRemove }) => {
   const [previewUrl, setPreviewUrl] = useState(null);
@@ -95,30 +278,241 @@ const ImagePreview = ({ file, onRemove }) => {
 function App() {
   // State management
   const [image, setImage] = useState(null);
+  const [imageInfo, setImageInfo] = useState(null);
+  const [preflight, setPreflight] = useState(null);
   const [message, setMessage] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [scatterKey, setScatterKey] = useState('');
+  const [embedding, setEmbedding] = useState(DEFAULT_EMBEDDING);
+  const [compress, setCompress] = useState(true);
+  const [eccLevel, setEccLevel] = useState(ECC_LEVELS.NONE);
+  const [compressionPreview, setCompressionPreview] = useState(null);
+  const [secretMode, setSecretMode] = useState(SECRET_KINDS.TEXT);
+  const [secretFile, setSecretFile] = useState(null);
   const [result, setResult] = useState(null);
   const [injectLoading, setInjectLoading] = useState(false);
   const [detectLoading, setDetectLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [dragOver, setDragOver] = useState(false);
+  const [showVisualizer, setShowVisualizer] = useState(false);
+  const [aiAnalysis, setAiAnalysis] = useState(false);
+  const [workspace, setWorkspace] = useState(WORKSPACES.SINGLE);
+  const [carrier, setCarrier] = useState(CARRIERS.IMAGE);
+  const [coverText, setCoverText] = useState('');
+  const [processingMode, setProcessingMode] = useState(PROCESSING_MODES.LOCAL);
+  const [transfer, setTransfer] = useState(null);
+  const [historyRevision, setHistoryRevision] = useState(0);
+  const [privateHistory, setPrivateHistory] = useState(() => localStorage.getItem(PRIVATE_HISTORY_KEY) === 'true');
+  const [signingKey, setSigningKey] = useState(null);
+  const [trustedKeys, setTrustedKeys] = useState(loadTrustedKeys);
+  const [sign, setSign] = useState(false);
+  const [deniable, setDeniable] = useState(false);
+  const [decoyMessage, setDecoyMessage] = useState('');
+  const [decoyPassphrase, setDecoyPassphrase] = useState('');
 
   // Refs
   const fileInputRef = useRef(null);
   const messageInputRef = useRef(null);
+  const secretFileInputRef = useRef(null);
+  const selectedFileRef = useRef(null);
+  const preflightControllerRef = useRef(null);
+  const abortControllerRef = useRef(null);
+
+  const { state: connection, recheck: recheckConnection } = useConnectivity();
+  const apiAvailable = connection === CONNECTION_STATES.ONLINE || connection === CONNECTION_STATES.CHECKING;
+
+  // Without the API only the in-browser path works, so switch to it instead of failing every request
+  useEffect(() => {
+    if (!apiAvailable && processingMode === PROCESSING_MODES.SERVER) {
+      setProcessingMode(PROCESSING_MODES.LOCAL);
+      setSuccess('The API is unreachable, so processing switched to in-browser mode.');
+    }
+  }, [apiAvailable, processingMode]);
+
+  // The signing key is read from IndexedDB, so it arrives after the first render
+  useEffect(() => {
+    let cancelled = false;
+    loadSigningKey()
+      .then((key) => {
+        if (!cancelled) {
+          setSigningKey(key);
+        }
+      })
+      .catch((error) => console.error('Failed to load signing key:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Object URLs belong to the result that made them (the stego image, a recovered file); revoke
+  // them once the result is replaced, reset or the app unmounts
+  useEffect(() => {
+    const urls = [result?.url, result?.extracted_file?.url].filter(Boolean);
+    return () => urls.forEach((url) => window.URL.revokeObjectURL(url));
+  }, [result]);
 
   // Custom hooks
   const { validateFile } = useFileValidation();
 
+  // What the user wants to hide, or null while the input is empty
+  const secret = useMemo(() => {
+    if (secretMode === SECRET_KINDS.FILE) {
+      return secretFile ? { kind: SECRET_KINDS.FILE, file: secretFile } : null;
+    }
+    return message.trim() ? { kind: SECRET_KINDS.TEXT, text: message.trim() } : null;
+  }, [secretMode, secretFile, message]);
+
+  // What Reveal shows under the decoy passphrase in deniable mode
+  const decoySecret = useMemo(() => (
+    deniable && decoyMessage.trim() ? { kind: SECRET_KINDS.TEXT, text: decoyMessage.trim() } : null
+  ), [deniable, decoyMessage]);
+
+  // The key pair Hide signs with (see ./utils/keyStore), or null when signing is off
+  const activeSigningKey = sign ? signingKey : null;
+
+  // How far the secret deflates; only the in-browser encoder compresses
+  useEffect(() => {
+    if (!secret || !compress || processingMode !== PROCESSING_MODES.LOCAL) {
+      setCompressionPreview(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const body = payloadBody(secret);
+    compressPayload(body)
+      .then(({ bytes, compressed }) => {
+        if (!cancelled) {
+          setCompressionPreview({ secret, originalBytes: body.length, storedBytes: bytes.length, compressed });
+        }
+      })
+      .catch((error) => console.error('Failed to measure compression:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [secret, compress, processingMode]);
+
+  // Capacity of the selected carrier for the secret as it would be embedded. Until the
+  // compression preview has caught up with the secret, the uncompressed size is shown.
+  const capacity = useMemo(() => (
+    imageInfo && secret
+      ? analyzeCapacity(imageInfo, processingMode, secret, {
+        encrypted: Boolean(passphrase),
+        embedding,
+        compression: compressionPreview?.secret === secret ? compressionPreview : null,
+        ecc: eccLevel,
+        signed: Boolean(activeSigningKey),
+        decoy: decoySecret,
+      })
+      : null
+  ), [imageInfo, processingMode, secret, passphrase, embedding, compressionPreview, eccLevel, activeSigningKey, decoySecret]);
+
+  // At least one channel must stay selected; channels are kept in R, G, B, A order
+  const toggleEmbeddingChannel = useCallback((channel) => {
+    setEmbedding((current) => {
+      const channels = current.channels.includes(channel)
+        ? current.channels.filter((selected) => selected !== channel)
+        : [...current.channels, channel].sort();
+      return channels.length > 0 ? { ...current, channels } : current;
+    });
+  }, []);
+
   // Helper functions
   const clearMessages = useCallback(() => {
     setError(null);
     setSuccess(null);
   }, []);
 
+  const showRevealOutcome = useCallback(({ error, success }) => {
+    if (error) {
+      setError(error);
+    } else {
+      setSuccess(success);
+    }
+  }, []);
+
+  // Starts a cancellable operation, aborting any request still in flight
+  const beginOperation = useCallback(() => {
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setTransfer(null);
+    return controller;
+  }, []);
+
+  const endOperation = useCallback((controller) => {
+    if (abortControllerRef.current === controller) {
+      abortControllerRef.current = null;
+      setTransfer(null);
+    }
+  }, []);
+
+  // In-browser work reports through the same progress bar as network transfers
+  const reportProcessing = useCallback((fraction) => {
+    setTransfer({ phase: 'processing', fraction });
+  }, []);
+
+  const handleCancel = useCallback(() => {
+    abortControllerRef.current?.abort();
+  }, []);
+
+  const handlePrivateHistoryChange = useCallback((enabled) => {
+    localStorage.setItem(PRIVATE_HISTORY_KEY, String(enabled));
+    setPrivateHistory(enabled);
+  }, []);
+
+  const handleSigningKeyChange = useCallback((key, privateJwk) => {
+    setSigningKey(key);
+    saveSigningKey(key, privateJwk).catch((error) => {
+      console.error('Failed to store signing key:', error);
+      setError('Could not store the signing key in this browser; it is only kept until the page is closed.');
+    });
+  }, []);
+
+  const handleTrustedKeysChange = useCallback((keys) => {
+    saveTrustedKeys(keys);
+    setTrustedKeys(keys);
+  }, []);
+
+  // Adds the signer of a revealed message to the trusted keys
+  const handleTrustSigner = useCallback(({ fingerprint, publicKey }) => {
+    const label = window.prompt('Name for this key', `Key ${fingerprint.slice(0, 11)}`);
+    if (label === null) {
+      return;
+    }
+    handleTrustedKeysChange([
+      ...trustedKeys.filter((key) => key.fingerprint !== fingerprint),
+      { fingerprint, label: label.trim() || fingerprint, publicKey, addedAt: Date.now() },
+    ]);
+  }, [trustedKeys, handleTrustedKeysChange]);
+
+  // Persists a finished operation; history is best effort and never fails the operation itself
+  const recordHistory = useCallback(async (carrier, entry) => {
+    try {
+      const thumbnail = await createThumbnail(carrier);
+      await addHistoryEntry({ ...entry, filename: carrier.name, mode: processingMode, thumbnail });
+      setHistoryRevision((revision) => revision + 1);
+    } catch (error) {
+      console.error('Failed to record history:', error);
+    }
+  }, [processingMode]);
+
   const resetForm = useCallback(() => {
+    selectedFileRef.current = null;
+    preflightControllerRef.current?.abort();
     setImage(null);
+    setImageInfo(null);
+    setPreflight(null);
     setMessage('');
+    setPassphrase('');
+    setScatterKey('');
+    setDecoyMessage('');
+    setDecoyPassphrase('');
+    setCoverText('');
+    setSecretFile(null);
+    if (secretFileInputRef.current) {
+      secretFileInputRef.current.value = '';
+    }
     setResult(null);
     clearMessages();
     if (fileInputRef.current) {
@@ -137,7 +531,33 @@ function App() {
     }
 
     setImage(file);
+    setImageInfo(null);
+    setPreflight(null);
     setResult(null);
+
+    // Hide works on a normalized copy of the carrier; its dimensions and channel layout drive
+    // the capacity meter. Reveal keeps the original upload. Ignore results for stale selections.
+    // Decoding the previous selection in the background is wasted work now
+    selectedFileRef.current = file;
+    preflightControllerRef.current?.abort();
+    const controller = new AbortController();
+    preflightControllerRef.current = controller;
+    preflightInWorker(file, { signal: controller.signal })
+      .then(({ carrier, info, notes }) => {
+        if (selectedFileRef.current === file) {
+          setImageInfo(info);
+          setPreflight({ carrier, notes });
+        }
+      })
+      .catch((error) => {
+        if (error instanceof CancelledError) {
+          return;
+        }
+        console.error('Failed to read image dimensions:', error);
+        if (selectedFileRef.current === file) {
+          setError('Could not decode this image. It may be corrupted.');
+        }
+      });
   }, [validateFile, clearMessages]);
 
   const handleImageChange = useCallback((e) => {
@@ -148,13 +568,45 @@ function App() {
   }, [handleFileSelect]);
 
   const handleImageRemove = useCallback(() => {
+    selectedFileRef.current = null;
+    preflightControllerRef.current?.abort();
     setImage(null);
+    setImageInfo(null);
+    setPreflight(null);
     setResult(null);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
   }, []);
 
+  const handleSecretFileChange = useCallback(async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+
+    clearMessages();
+    if (file.size > MAX_FILE_SIZE) {
+      setError('File size too large. Please choose a file smaller than 10MB.');
+      e.target.value = '';
+      return;
+    }
+
+    try {
+      setSecretFile(await readSecretFile(file));
+    } catch (error) {
+      console.error('Failed to read file:', error);
+      setError('Could not read the selected file.');
+    }
+  }, [clearMessages]);
+
+  const handleSecretFileRemove = useCallback(() => {
+    setSecretFile(null);
+    if (secretFileInputRef.current) {
+      secretFileInputRef.current.value = '';
+    }
+  }, []);
+
   // Drag and drop handlers
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
@@ -178,49 +630,110 @@ function App() {
 
   // API calls with proper error handling
   const handleInject = useCallback(async () => {
-    if (!image || !message.trim()) {
-      setError('Please select an image and enter a message');
+    if (!preflight || !secret) {
+      setError(secretMode === SECRET_KINDS.FILE
+        ? 'Please select an image and a file to hide'
+        : 'Please select an image and enter a message');
+      return;
+    }
+
+    if (deniable) {
+      if (!decoySecret) {
+        setError('Enter the decoy message Reveal should show under the decoy passphrase');
+        return;
+      }
+      if (!passphrase || !decoyPassphrase) {
+        setError('A decoy needs both a passphrase for the real message and a decoy passphrase');
+        return;
+      }
+      if (passphrase === decoyPassphrase) {
+        setError('The decoy passphrase must differ from the real one');
+        return;
+      }
+    }
+
+    if (capacity && !capacity.fits) {
+      setError(describeOverflow(capacity));
       return;
     }
 
     setInjectLoading(true);
     clearMessages();
+    const controller = beginOperation();
 
+    const local = processingMode === PROCESSING_MODES.LOCAL;
     try {
-      const formData = new FormData();
-      formData.append('file', image);
-      formData.append('message', message.trim());
-
-      const response = await axios.post(`${API_BASE_URL}/inject`, formData, {
-        responseType: 'blob',
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-        timeout: 30000, // 30 seconds timeout
+      const { carrier } = preflight;
+      const blob = await hideSecretInWorker(carrier, secret, {
+        passphrase,
+        scatterKey,
+        embedding,
+        compress,
+        ecc: eccLevel,
+        signingKey: activeSigningKey,
+        decoy: deniable ? { secret: decoySecret, passphrase: decoyPassphrase } : null,
+        mode: processingMode,
+        signal: controller.signal,
+        onProgress: local ? reportProcessing : undefined,
+        onTransfer: setTransfer,
       });
 
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      setResult({ type: 'inject', url, filename: `steganography_${Date.now()}.png` });
-      setSuccess('Message successfully injected into image!');
+      const filename = `steganography_${Date.now()}.png`;
+      let quality = null;
+      try {
+        const { width, height, frames, metrics } = await measureQualityInWorker(carrier, blob, { signal: controller.signal });
+        quality = {
+          generatedAt: new Date().toISOString(),
+          carrier: { name: image.name, width, height, frames },
+          output: filename,
+          mode: processingMode,
+          embedding: local ? embedding : null,
+          scattered: local && Boolean(scatterKey),
+          encrypted: Boolean(passphrase),
+          metrics,
+        };
+      } catch (metricsError) {
+        // The image is still usable; only the report is missing
+        if (!(metricsError instanceof CancelledError)) {
+          console.error('Failed to compute quality metrics:', metricsError);
+        }
+      }
+
+      const url = window.URL.createObjectURL(blob);
+      setResult({ type: 'inject', url, carrier, filename, quality });
+      setShowVisualizer(false);
+      setSuccess(secretMode === SECRET_KINDS.FILE
+        ? 'File successfully hidden in image!'
+        : 'Message successfully injected into image!');
+
+      // The stego image carries the message, so private history keeps neither. The preview or
+      // size of the real message would give a deniable image away, so those record the decoy's.
+      recordHistory(image, {
+        type: 'inject',
+        payloadSize: deniable
+          ? utf8Length(decoySecret.text)
+          : secret.kind === SECRET_KINDS.FILE ? secret.file.bytes.length : utf8Length(secret.text),
+        encrypted: Boolean(passphrase),
+        preview: privateHistory || deniable ? null : (secret.kind === SECRET_KINDS.FILE ? `📄 ${secret.file.name}` : previewText(secret.text)),
+        stegoImage: privateHistory ? null : blob,
+      });
       
     } catch (error) {
       console.error('Injection error:', error);
-      
-      if (error.code === 'ECONNABORTED') {
-        setError('Request timed out. Please try again.');
-      } else if (error.response?.status === 413) {
-        setError('File too large. Please try a smaller image.');
-      } else if (error.response?.status === 400) {
-        setError('Invalid request. Please check your input and try again.');
-      } else if (error.response?.status >= 500) {
-        setError('Server error. Please try again later.');
+      if (error instanceof NetworkError) {
+        recheckConnection();
+      }
+      const failure = describeFailure(error, 'inject');
+      if (failure) {
+        setError(failure);
       } else {
-        setError('Failed to inject message. Please check your connection and try again.');
+        setSuccess('Injection cancelled.');
       }
     } finally {
+      endOperation(controller);
       setInjectLoading(false);
     }
-  }, [image, message, clearMessages]);
+  }, [image, preflight, secret, secretMode, passphrase, scatterKey, embedding, compress, eccLevel, activeSigningKey, deniable, decoySecret, decoyPassphrase, processingMode, capacity, privateHistory, recordHistory, clearMessages, beginOperation, endOperation, reportProcessing, recheckConnection]);
 
   const handleDetect = useCallback(async () => {
     if (!image) {
@@ -230,54 +743,127 @@ function App() {
 
     setDetectLoading(true);
     clearMessages();
+    const controller = beginOperation();
 
     try {
-      const formData = new FormData();
-      formData.append('file', image);
-
-      const response = await axios.post(`${API_BASE_URL}/detect`, formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-        timeout: 30000, // 30 seconds timeout
+      // Statistical steganalysis always runs in the browser, whichever path extracts the payload;
+      // the in-browser reveal shares its decoded pixels
+      const local = processingMode === PROCESSING_MODES.LOCAL;
+      const { statistics, revealed } = await detectInWorker(image, {
+        passphrase,
+        scatterKey,
+        reveal: local,
+        signal: controller.signal,
+        onProgress: reportProcessing,
       });
 
-      setResult({ type: 'detect', ...response.data });
+      const data = revealed || await revealSecretInWorker(image, {
+        passphrase,
+        scatterKey,
+        mode: processingMode,
+        aiAnalysis,
+        signal: controller.signal,
+        onTransfer: setTransfer,
+      });
+
+      setResult(toDetectResult(data, statistics));
+
+      // A message read from a deniable trailer leaves neither its size nor a preview behind
+      const hidden = Boolean(data.format?.deniable);
+      recordHistory(image, {
+        type: 'detect',
+        payloadSize: hidden ? null : data.file ? data.file.bytes.length : data.message ? utf8Length(data.message) : null,
+        encrypted: Boolean(data.encryption),
+        preview: privateHistory || hidden ? null : (data.file ? `📄 ${data.file.name}` : data.message && previewText(data.message)),
+      });
       
-      if (response.data.extracted_message) {
-        setSuccess('Hidden message detected successfully!');
-      } else {
-        setSuccess('No hidden message found in this image.');
-      }
+      showRevealOutcome(describeReveal(data, 'image'));
       
     } catch (error) {
       console.error('Detection error:', error);
-      
-      if (error.code === 'ECONNABORTED') {
-        setError('Request timed out. Please try again.');
-      } else if (error.response?.status === 413) {
-        setError('File too large. Please try a smaller image.');
-      } else if (error.response?.status === 400) {
-        setError('Invalid request. Please check your input and try again.');
-      } else if (error.response?.status >= 500) {
-        setError('Server error. Please try again later.');
+      if (error instanceof NetworkError) {
+        recheckConnection();
+      }
+      const failure = describeFailure(error, 'detect');
+      if (failure) {
+        setError(failure);
       } else {
-        setError('Failed to detect message. Please check your connection and try again.');
+        setSuccess('Detection cancelled.');
       }
     } finally {
+      endOperation(controller);
       setDetectLoading(false);
     }
-  }, [image, clearMessages]);
+  }, [image, passphrase, scatterKey, processingMode, aiAnalysis, privateHistory, recordHistory, clearMessages, showRevealOutcome, beginOperation, endOperation, reportProcessing, recheckConnection]);
+
+  // The text carrier is cheap enough for the main thread and always runs in the browser; the
+  // image-only settings (scattering, embedding, error correction, decoy) do not apply
+  const handleTextHide = useCallback(async () => {
+    if (!coverText.trim() || !secret) {
+      setError('Please enter a cover text and a message');
+      return;
+    }
+
+    setInjectLoading(true);
+    clearMessages();
+    try {
+      const text = await hideInText(coverText, secret, { passphrase, compress, signingKey: activeSigningKey });
+      setResult({ type: 'inject-text', text, hiddenCharacters: hiddenCharacterCount(text) });
+      setSuccess(secretMode === SECRET_KINDS.FILE ? 'File successfully hidden in text!' : 'Message successfully hidden in text!');
+    } catch (error) {
+      console.error('Injection error:', error);
+      setError(describeFailure(error, 'inject'));
+    } finally {
+      setInjectLoading(false);
+    }
+  }, [coverText, secret, secretMode, passphrase, compress, activeSigningKey, clearMessages]);
+
+  const handleTextReveal = useCallback(async () => {
+    if (!coverText) {
+      setError('Please paste the text to search');
+      return;
+    }
+
+    setDetectLoading(true);
+    clearMessages();
+    try {
+      const data = await revealFromText(coverText, { passphrase });
+      setResult(toDetectResult(data, null));
+      showRevealOutcome(describeReveal(data, 'text'));
+    } catch (error) {
+      console.error('Detection error:', error);
+      setError(describeFailure(error, 'detect'));
+    } finally {
+      setDetectLoading(false);
+    }
+  }, [coverText, passphrase, clearMessages, showRevealOutcome]);
+
+  const handleCarrierChange = useCallback((kind) => {
+    setCarrier(kind);
+    setResult(null);
+  }, []);
+
+  const handleCopyText = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(result.text);
+      setSuccess('Text copied to clipboard!');
+    } catch (error) {
+      console.error('Failed to copy to clipboard:', error);
+      setError('Failed to copy text to clipboard');
+    }
+  }, [result]);
 
   // Download handler for injected images
   const handleDownload = useCallback(() => {
     if (result?.type === 'inject' && result.url) {
-      const link = document.createElement('a');
-      link.href = result.url;
-      link.download = result.filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      triggerDownload(result.url, result.filename);
+    }
+  }, [result]);
+
+  // Download handler for recovered files
+  const handleDownloadFile = useCallback(() => {
+    if (result?.extracted_file) {
+      triggerDownload(result.extracted_file.url, result.extracted_file.name);
     }
   }, [result]);
 
@@ -303,6 +889,9 @@ function App() {
       <header className="app-header">
         <h1>Image Steganography</h1>
         <p className="app-subtitle">Hide and discover secret messages in images</p>
+        <span className={`connection-status connection-${connection}`} role="status">
+          {CONNECTION_LABELS[connection]}
+        </span>
       </header>
 
       <main className="container">
@@ -310,174 +899,722 @@ function App() {
         {error && <ErrorMessage message={error} onClose={() => setError(null)} />}
         {success && <SuccessMessage message={success} onClose={() => setSuccess(null)} />}
 
-        {/* File Upload Section */}
-        <section className="form-section">
-          <div className="form-group">
-            <label htmlFor="file-input" className="form-label">
-              Upload Image <span className="required">*</span>
-            </label>
-            
-            <div
-              className={`file-drop-zone ${dragOver ? 'drag-over' : ''}`}
-              onDragOver={handleDragOver}
-              onDragLeave={handleDragLeave}
-              onDrop={handleDrop}
+        {/* Workspace Switch */}
+        <div className="mode-toggle workspace-toggle" role="tablist" aria-label="Workspace">
+          {[
+            [WORKSPACES.SINGLE, '🖼️ Single image'],
+            [WORKSPACES.BATCH, '🗂️ Batch'],
+            [WORKSPACES.SHARES, '🧩 Secret sharing'],
+            [WORKSPACES.HISTORY, '🕘 History'],
+          ].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              role="tab"
+              aria-selected={workspace === value}
+              className={`mode-option ${workspace === value ? 'active' : ''}`}
+              onClick={() => setWorkspace(value)}
+              disabled={isProcessing}
             >
-              {!image ? (
-                <>
-                  <div className="drop-zone-content">
-                    <div className="upload-icon">📁</div>
-                    <p>Drag and drop an image here, or</p>
-                    <button
-                      type="button"
-                      className="upload-button"
-                      onClick={() => fileInputRef.current?.click()}
-                      disabled={isProcessing}
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {/* File Upload Section */}
+        {workspace !== WORKSPACES.HISTORY && (
+          <section className="form-section">
+            {workspace === WORKSPACES.SINGLE && (
+              <>
+                <div className="form-group">
+                  <div className="secret-header">
+                    <label
+                      htmlFor={carrier === CARRIERS.TEXT ? 'cover-text-input' : 'file-input'}
+                      className="form-label"
+                    >
+                      {carrier === CARRIERS.TEXT ? 'Cover Text' : 'Upload Image'} <span className="required">*</span>
+                    </label>
+                    <div className="mode-toggle compact" role="radiogroup" aria-label="Carrier">
+                      {[[CARRIERS.IMAGE, '🖼️ Image'], [CARRIERS.TEXT, '💬 Text carrier']].map(([kind, label]) => (
+                        <button
+                          key={kind}
+                          type="button"
+                          role="radio"
+                          aria-checked={carrier === kind}
+                          className={`mode-option ${carrier === kind ? 'active' : ''}`}
+                          onClick={() => handleCarrierChange(kind)}
+                          disabled={isProcessing}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  {carrier === CARRIERS.IMAGE ? (
+                    <>
+                      <div
+                        className={`file-drop-zone ${dragOver ? 'drag-over' : ''}`}
+                        onDragOver={handleDragOver}
+                        onDragLeave={handleDragLeave}
+                        onDrop={handleDrop}
+                      >
+                        {!image ? (
+                          <>
+                            <div className="drop-zone-content">
+                              <div className="upload-icon">📁</div>
+                              <p>Drag and drop an image here, or</p>
+                              <button
+                                type="button"
+                                className="upload-button"
+                                onClick={() => fileInputRef.current?.click()}
+                                disabled={isProcessing}
+                              >
+                                Choose File
+                              </button>
+                            </div>
+                            <input
+                              id="file-input"
+                              ref={fileInputRef}
+                              type="file"
+                              accept="image/*"
+                              onChange={handleImageChange}
+                              className="file-input-hidden"
+                              disabled={isProcessing}
+                            />
+                          </>
+                        ) : (
+                          <ImagePreview file={image} onRemove={handleImageRemove} />
+                        )}
+                      </div>
+
+                      {preflight?.notes.length > 0 && (
+                        <ul className="preflight-notes">
+                          {preflight.notes.map((note) => (
+                            <li key={note.text} className={`preflight-note ${note.level}`}>{note.text}</li>
+                          ))}
+                        </ul>
+                      )}
+
+                      <div className="file-info">
+                        <small>Supported formats: JPEG, PNG, GIF, BMP, WebP (Max: 10MB)</small>
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <textarea
+                        id="cover-text-input"
+                        value={coverText}
+                        onChange={(e) => setCoverText(e.target.value)}
+                        placeholder="Write a cover sentence to hide the secret in, or paste text that may carry one"
+                        className="message-input"
+                        rows="3"
+                        disabled={isProcessing}
+                      />
+                      <div className="file-info">
+                        <small>
+                          The secret goes into invisible Unicode characters between the words, processed in the browser.
+                          {hiddenCharacterCount(coverText) > 0 && ` This text already carries ${hiddenCharacterCount(coverText)} invisible characters.`}
+                        </small>
+                      </div>
+                    </>
+                  )}
+                </div>
+
+                {/* Secret Input */}
+                <div className="form-group">
+                  <div className="secret-header">
+                    <label
+                      htmlFor={secretMode === SECRET_KINDS.FILE ? 'secret-file-input' : 'message-input'}
+                      className="form-label"
                     >
-                      Choose File
-                    </button>
+                      {secretMode === SECRET_KINDS.FILE ? 'Secret File' : 'Secret Message'}
+                    </label>
+                    <div className="mode-toggle compact" role="radiogroup" aria-label="What to hide">
+                      <button
+                        type="button"
+                        role="radio"
+                        aria-checked={secretMode === SECRET_KINDS.TEXT}
+                        className={`mode-option ${secretMode === SECRET_KINDS.TEXT ? 'active' : ''}`}
+                        onClick={() => setSecretMode(SECRET_KINDS.TEXT)}
+                        disabled={isProcessing}
+                      >
+                        ✍️ Text
+                      </button>
+                      <button
+                        type="button"
+                        role="radio"
+                        aria-checked={secretMode === SECRET_KINDS.FILE}
+                        className={`mode-option ${secretMode === SECRET_KINDS.FILE ? 'active' : ''}`}
+                        onClick={() => setSecretMode(SECRET_KINDS.FILE)}
+                        disabled={isProcessing}
+                      >
+                        📎 Hide a file
+                      </button>
+                    </div>
                   </div>
+
+                  {secretMode === SECRET_KINDS.TEXT ? (
+                    <>
+                      <textarea
+                        id="message-input"
+                        ref={messageInputRef}
+                        value={message}
+                        onChange={(e) => setMessage(e.target.value)}
+                        placeholder="Enter your secret message here..."
+                        className="message-input"
+                        rows="4"
+                        disabled={isProcessing}
+                      />
+                      <div className="character-count">
+                        {[...message].length} characters · {utf8Length(message)} bytes (UTF-8)
+                      </div>
+                    </>
+                  ) : (
+                    <div className="secret-file">
+                      {secretFile ? (
+                        <div className="secret-file-info">
+                          <span className="image-name">📄 {secretFile.name}</span>
+                          <span className="image-size">
+                            {secretFile.type} · {formatFileSize(secretFile.bytes.length)}
+                          </span>
+                          <button className="remove-image" onClick={handleSecretFileRemove} disabled={isProcessing}>
+                            Remove
+                          </button>
+                        </div>
+                      ) : (
+                        <button
+                          type="button"
+                          className="upload-button"
+                          onClick={() => secretFileInputRef.current?.click()}
+                          disabled={isProcessing}
+                        >
+                          Choose File to Hide
+                        </button>
+                      )}
+                      <input
+                        id="secret-file-input"
+                        ref={secretFileInputRef}
+                        type="file"
+                        onChange={handleSecretFileChange}
+                        className="file-input-hidden"
+                        disabled={isProcessing}
+                      />
+                    </div>
+                  )}
+                  {carrier === CARRIERS.IMAGE && capacity && <CapacityMeter capacity={capacity} />}
+                </div>
+              </>
+            )}
+
+            {/* Passphrase Input */}
+            <div className="form-group">
+              <label htmlFor="passphrase-input" className="form-label">
+                Passphrase <span className="optional">(optional)</span>
+              </label>
+              <input
+                id="passphrase-input"
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                placeholder="Encrypt on Hide, decrypt on Reveal"
+                className="text-input"
+                autoComplete="off"
+                disabled={isProcessing}
+              />
+              <div className="file-info">
+                <small>Messages are encrypted with AES-GCM before embedding. Without the passphrase they cannot be read.</small>
+              </div>
+            </div>
+
+            {/* Decoy Message */}
+            {workspace === WORKSPACES.SINGLE && carrier === CARRIERS.IMAGE && (
+              <div className="form-group">
+                <label className="checkbox-label">
                   <input
-                    id="file-input"
-                    ref={fileInputRef}
-                    type="file"
-                    accept="image/*"
-                    onChange={handleImageChange}
-                    className="file-input-hidden"
+                    type="checkbox"
+                    checked={deniable}
+                    onChange={(e) => setDeniable(e.target.checked)}
                     disabled={isProcessing}
                   />
-                </>
-              ) : (
-                <ImagePreview file={image} onRemove={handleImageRemove} />
+                  Add a decoy message under a second passphrase
+                </label>
+                {deniable && (
+                  <div className="decoy-fields">
+                    <textarea
+                      id="decoy-message-input"
+                      value={decoyMessage}
+                      onChange={(e) => setDecoyMessage(e.target.value)}
+                      placeholder="A harmless message to reveal instead"
+                      className="message-input"
+                      rows="2"
+                      disabled={isProcessing}
+                      aria-label="Decoy message"
+                    />
+                    <input
+                      id="decoy-passphrase-input"
+                      type="password"
+                      value={decoyPassphrase}
+                      onChange={(e) => setDecoyPassphrase(e.target.value)}
+                      placeholder="Decoy passphrase"
+                      className="text-input"
+                      autoComplete="off"
+                      disabled={isProcessing}
+                      aria-label="Decoy passphrase"
+                    />
+                  </div>
+                )}
+                <div className="file-info">
+                  <small>
+                    {processingMode === PROCESSING_MODES.LOCAL
+                      ? 'Reveal with the decoy passphrase shows the decoy; the passphrase above shows the real secret. Nothing in the image shows that a second message exists.'
+                      : 'Decoy messages need in-browser processing.'}
+                  </small>
+                </div>
+              </div>
+            )}
+
+            {/* Processing Mode */}
+            <div className="form-group">
+              <span className="form-label">Processing</span>
+              <div className="mode-toggle" role="radiogroup" aria-label="Processing mode">
+                <button
+                  type="button"
+                  role="radio"
+                  aria-checked={processingMode === PROCESSING_MODES.LOCAL}
+                  className={`mode-option ${processingMode === PROCESSING_MODES.LOCAL ? 'active' : ''}`}
+                  onClick={() => setProcessingMode(PROCESSING_MODES.LOCAL)}
+                  disabled={isProcessing}
+                >
+                  💻 In browser
+                </button>
+                <button
+                  type="button"
+                  role="radio"
+                  aria-checked={processingMode === PROCESSING_MODES.SERVER}
+                  className={`mode-option ${processingMode === PROCESSING_MODES.SERVER ? 'active' : ''}`}
+                  onClick={() => setProcessingMode(PROCESSING_MODES.SERVER)}
+                  disabled={isProcessing || !apiAvailable}
+                  title={apiAvailable ? undefined : 'The API is unreachable'}
+                >
+                  🌐 On server
+                </button>
+              </div>
+              <div className="file-info">
+                <small>
+                  {processingMode === PROCESSING_MODES.LOCAL
+                    ? 'Your image and message never leave this device.'
+                    : 'The image and message are sent to the API.'}
+                </small>
+              </div>
+              {processingMode === PROCESSING_MODES.SERVER && (
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={aiAnalysis}
+                    onChange={(e) => setAiAnalysis(e.target.checked)}
+                    disabled={isProcessing}
+                  />
+                  Also ask the server's AI model on Reveal (shares the image with a third party)
+                </label>
               )}
             </div>
-            
-            <div className="file-info">
-              <small>Supported formats: JPEG, PNG, GIF, BMP, WebP (Max: 10MB)</small>
-            </div>
-          </div>
-
-          {/* Message Input */}
-          <div className="form-group">
-            <label htmlFor="message-input" className="form-label">
-              Secret Message
-            </label>
-            <textarea
-              id="message-input"
-              ref={messageInputRef}
-              value={message}
-              onChange={(e) => setMessage(e.target.value)}
-              placeholder="Enter your secret message here..."
-              className="message-input"
-              rows="4"
-              disabled={isProcessing}
-              maxLength="1000"
-            />
-            <div className="character-count">
-              {message.length}/1000 characters
-            </div>
-          </div>
-        </section>
 
-        {/* Action Buttons */}
-        <section className="actions-section">
-          <div className="button-group">
-            <button
-              onClick={handleInject}
-              disabled={!image || !message.trim() || injectLoading}
-              className="action-button inject-button"
-            >
-              {injectLoading ? (
-                <>
-                  <LoadingSpinner />
-                  <span>Injecting...</span>
-                </>
-              ) : (
-                <>
-                  <span className="button-icon">🔒</span>
-                  <span>Hide Message</span>
-                </>
-              )}
-            </button>
+            {/* Advanced Options */}
+            <details className="form-group advanced-options">
+              <summary className="form-label">Advanced</summary>
+              <label htmlFor="scatter-key-input" className="form-label">
+                Scatter key <span className="optional">(optional)</span>
+              </label>
+              <input
+                id="scatter-key-input"
+                type="password"
+                value={scatterKey}
+                onChange={(e) => setScatterKey(e.target.value)}
+                placeholder="Spread the payload in a key-dependent order"
+                className="text-input"
+                autoComplete="off"
+                disabled={isProcessing}
+              />
+              <div className="file-info">
+                <small>
+                  {processingMode === PROCESSING_MODES.LOCAL
+                    ? 'Bits are scattered across pixels and channels instead of filling the image from the top-left. The same key is needed to Reveal.'
+                    : 'Scattering needs in-browser processing; the API only writes bits sequentially.'}
+                </small>
+              </div>
 
-            <button
-              onClick={handleDetect}
-              disabled={!image || detectLoading}
-              className="action-button detect-button"
-            >
-              {detectLoading ? (
-                <>
-                  <LoadingSpinner />
-                  <span>Detecting...</span>
-                </>
-              ) : (
-                <>
-                  <span className="button-icon">🔍</span>
-                  <span>Reveal Message</span>
-                </>
-              )}
-            </button>
-          </div>
-
-          <button
-            onClick={resetForm}
-            disabled={isProcessing}
-            className="reset-button"
-          >
-            Clear All
-          </button>
-        </section>
+              <span className="form-label">Bits per channel</span>
+              <div className="mode-toggle compact" role="radiogroup" aria-label="Bits per channel">
+                {BIT_DEPTH_OPTIONS.map((bits) => (
+                  <button
+                    key={bits}
+                    type="button"
+                    role="radio"
+                    aria-checked={embedding.bitsPerChannel === bits}
+                    className={`mode-option ${embedding.bitsPerChannel === bits ? 'active' : ''}`}
+                    onClick={() => setEmbedding((current) => ({ ...current, bitsPerChannel: bits }))}
+                    disabled={isProcessing}
+                  >
+                    {bits}
+                  </button>
+                ))}
+              </div>
+
+              <span className="form-label">Channels</span>
+              <div className="channel-options">
+                {CHANNEL_OPTIONS.map(([name, channel]) => (
+                  <label key={name} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={embedding.channels.includes(channel)}
+                      onChange={() => toggleEmbeddingChannel(channel)}
+                      disabled={isProcessing || (embedding.channels.length === 1 && embedding.channels.includes(channel))}
+                    />
+                    {name}
+                  </label>
+                ))}
+              </div>
+              <div className="file-info">
+                <small>
+                  {processingMode === PROCESSING_MODES.LOCAL
+                    ? 'More bits and channels hold more data but change the image more. Reveal reads these settings from the image.'
+                    : 'The API always writes 1 bit into R, G and B.'}
+                </small>
+              </div>
+
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={compress}
+                  onChange={(e) => setCompress(e.target.checked)}
+                  disabled={isProcessing}
+                />
+                Compress the payload before embedding
+              </label>
+              <div className="file-info">
+                <small>
+                  {processingMode === PROCESSING_MODES.LOCAL
+                    ? 'Deflates the message or file when that makes it smaller; Reveal decompresses automatically.'
+                    : 'The API stores the message uncompressed.'}
+                </small>
+              </div>
 
-        {/* Results Section */}
-        {result && (
-          <section className="results-section">
-            {result.type === 'inject' && (
-              <div className="result-card inject-result">
-                <h3>✅ Message Hidden Successfully!</h3>
-                <p>Your secret message has been embedded into the image.</p>
-                <div className="result-actions">
-                  <button onClick={handleDownload} className="download-button">
-                    📥 Download Image
+              <span className="form-label">Error correction</span>
+              <div className="mode-toggle compact" role="radiogroup" aria-label="Error correction">
+                {ECC_OPTIONS.map(({ level, label }) => (
+                  <button
+                    key={level}
+                    type="button"
+                    role="radio"
+                    aria-checked={eccLevel === level}
+                    className={`mode-option ${eccLevel === level ? 'active' : ''}`}
+                    onClick={() => setEccLevel(level)}
+                    disabled={isProcessing}
+                    title={level === ECC_LEVELS.NONE
+                      ? undefined
+                      : `${parityBytesFor(level)} Reed-Solomon parity bytes per 255-byte block`}
+                  >
+                    {label}
                   </button>
-                </div>
+                ))}
+              </div>
+              <div className="file-info">
+                <small>
+                  {processingMode === PROCESSING_MODES.LOCAL
+                    ? 'Adds redundancy so the message survives a few edited pixels or rows cropped off the bottom (without a scatter key). Higher levels use more capacity.'
+                    : 'The API writes no redundancy; a single changed bit can corrupt the message.'}
+                </small>
               </div>
-            )}
 
-            {result.type === 'detect' && (
-              <div className="result-card detect-result">
-                <h3>🔍 Detection Results</h3>
-                
-                {result.extracted_message ? (
-                  <div className="message-result">
-                    <div className="message-header">
-                      <h4>Hidden Message Found:</h4>
-                      <button
-                        onClick={handleCopyMessage}
-                        className="copy-button"
-                        title="Copy to clipboard"
-                      >
-                        📋
-                      </button>
+              <SigningKeys
+                signingKey={signingKey}
+                onSigningKeyChange={handleSigningKeyChange}
+                trustedKeys={trustedKeys}
+                onTrustedKeysChange={handleTrustedKeysChange}
+                sign={sign}
+                onSignChange={setSign}
+                local={processingMode === PROCESSING_MODES.LOCAL}
+                disabled={isProcessing}
+                onError={setError}
+              />
+            </details>
+          </section>
+        )}
+
+        {workspace === WORKSPACES.HISTORY && (
+          <HistoryPanel
+            revision={historyRevision}
+            privateHistory={privateHistory}
+            onPrivateHistoryChange={handlePrivateHistoryChange}
+            onError={setError}
+          />
+        )}
+
+        {workspace === WORKSPACES.BATCH && (
+          <BatchQueue
+            processingMode={processingMode}
+            passphrase={passphrase}
+            scatterKey={scatterKey}
+            embedding={embedding}
+            compress={compress}
+            eccLevel={eccLevel}
+            signingKey={activeSigningKey}
+            validateFile={validateFile}
+            onError={setError}
+          />
+        )}
+
+        {workspace === WORKSPACES.SHARES && (
+          <SharePanel
+            passphrase={passphrase}
+            scatterKey={scatterKey}
+            embedding={embedding}
+            compress={compress}
+            eccLevel={eccLevel}
+            signingKey={activeSigningKey}
+            validateFile={validateFile}
+            onError={setError}
+          />
+        )}
+
+        {workspace === WORKSPACES.SINGLE && (
+          <>
+            {/* Action Buttons */}
+            <section className="actions-section">
+              <div className="button-group">
+                <button
+                  onClick={carrier === CARRIERS.TEXT ? handleTextHide : handleInject}
+                  disabled={carrier === CARRIERS.TEXT
+                    ? !coverText.trim() || !secret || injectLoading
+                    : !preflight || !secret || capacity?.fits === false || injectLoading}
+                  className="action-button inject-button"
+                >
+                  {injectLoading ? (
+                    <>
+                      <LoadingSpinner />
+                      <span>Injecting...</span>
+                    </>
+                  ) : (
+                    <>
+                      <span className="button-icon">🔒</span>
+                      <span>{secretMode === SECRET_KINDS.FILE ? 'Hide File' : 'Hide Message'}</span>
+                    </>
+                  )}
+                </button>
+
+                <button
+                  onClick={carrier === CARRIERS.TEXT ? handleTextReveal : handleDetect}
+                  disabled={(carrier === CARRIERS.TEXT ? !coverText : !image) || detectLoading}
+                  className="action-button detect-button"
+                >
+                  {detectLoading ? (
+                    <>
+                      <LoadingSpinner />
+                      <span>Detecting...</span>
+                    </>
+                  ) : (
+                    <>
+                      <span className="button-icon">🔍</span>
+                      <span>Reveal Message</span>
+                    </>
+                  )}
+                </button>
+              </div>
+
+              {isProcessing && (
+                <div className="operation-status">
+                  {transfer && (
+                    <div className="transfer-progress">
+                      <div className="capacity-bar">
+                        <div
+                          className="capacity-fill"
+                          style={{ width: `${Math.round((transfer.fraction ?? 0) * 100)}%` }}
+                        />
+                      </div>
+                      <span>
+                        {TRANSFER_LABELS[transfer.phase]}
+                        {transfer.fraction !== null && ` ${Math.round(transfer.fraction * 100)}%`}
+                      </span>
                     </div>
-                    <div className="extracted-message">
-                      {result.extracted_message}
+                  )}
+                  <button onClick={handleCancel} className="secondary-button">
+                    ✖ Cancel
+                  </button>
+                </div>
+              )}
+
+              <button
+                onClick={resetForm}
+                disabled={isProcessing}
+                className="reset-button"
+              >
+                Clear All
+              </button>
+            </section>
+
+            {/* Results Section */}
+            {result && (
+              <section className="results-section">
+                {result.type === 'inject' && (
+                  <div className="result-card inject-result">
+                    <h3>✅ Message Hidden Successfully!</h3>
+                    <p>Your secret message has been embedded into the image.</p>
+                    <p className="result-warning">
+                      Keep the PNG as downloaded. Re-saving it as JPEG, editing it or sending it through apps
+                      that recompress images will destroy the hidden data.
+                    </p>
+                    <div className="result-actions">
+                      <button onClick={handleDownload} className="download-button">
+                        📥 Download Image
+                      </button>
+                      <button onClick={() => setShowVisualizer((shown) => !shown)} className="secondary-button">
+                        {showVisualizer ? '🙈 Hide Changes' : '🔬 Inspect Changes'}
+                      </button>
                     </div>
+                    {result.quality && <QualityReport report={result.quality} />}
+                    {showVisualizer && <StegoVisualizer original={result.carrier} stegoUrl={result.url} />}
                   </div>
-                ) : (
-                  <div className="no-message">
-                    <p>No hidden message detected in this image.</p>
+                )}
+
+                {result.type === 'inject-text' && (
+                  <div className="result-card inject-result">
+                    <h3>✅ Message Hidden in Text!</h3>
+                    <p>
+                      {result.hiddenCharacters.toLocaleString()} invisible characters were added to the cover text.
+                      Copy it and send it as is.
+                    </p>
+                    <p className="result-warning">
+                      Some apps and editors strip invisible characters or reformat text, which destroys the hidden data.
+                    </p>
+                    <textarea
+                      readOnly
+                      value={result.text}
+                      className="message-input"
+                      rows="3"
+                      aria-label="Text carrying the hidden message"
+                      onFocus={(e) => e.target.select()}
+                    />
+                    <div className="result-actions">
+                      <button onClick={handleCopyText} className="download-button">
+                        📋 Copy Text
+                      </button>
+                    </div>
                   </div>
                 )}
 
-                {result.ai_analysis && (
-                  <div className="ai-analysis">
-                    <h4>AI Analysis:</h4>
-                    <p>{result.ai_analysis}</p>
+                {result.type === 'detect' && (
+                  <div className="result-card detect-result">
+                    <h3>🔍 Detection Results</h3>
+                
+                    {result.extracted_message ? (
+                      <div className="message-result">
+                        <div className="message-header">
+                          <h4>
+                            Hidden Message Found:
+                            {result.encryption === ENCRYPTION_STATES.DECRYPTED && (
+                              <span className="badge">🔓 Decrypted</span>
+                            )}
+                          </h4>
+                          <button
+                            onClick={handleCopyMessage}
+                            className="copy-button"
+                            title="Copy to clipboard"
+                          >
+                            📋
+                          </button>
+                        </div>
+                        {!result.utf8_valid && (
+                          <p className="encoding-warning">
+                            ⚠️ The hidden bytes are not valid UTF-8. Undecodable sequences are shown as �.
+                          </p>
+                        )}
+                        <div className="extracted-message">
+                          {result.extracted_message}
+                        </div>
+                      </div>
+                    ) : result.extracted_file ? (
+                      <div className="message-result">
+                        <div className="message-header">
+                          <h4>
+                            Hidden File Found:
+                            {result.encryption === ENCRYPTION_STATES.DECRYPTED && (
+                              <span className="badge">🔓 Decrypted</span>
+                            )}
+                          </h4>
+                        </div>
+                        <div className="secret-file-info">
+                          <span className="image-name">📄 {result.extracted_file.name}</span>
+                          <span className="image-size">
+                            {result.extracted_file.type} · {formatFileSize(result.extracted_file.size)}
+                          </span>
+                        </div>
+                        <div className="result-actions">
+                          <button onClick={handleDownloadFile} className="download-button">
+                            📥 Download File
+                          </button>
+                        </div>
+                      </div>
+                    ) : result.encryption === ENCRYPTION_STATES.FAILED ? (
+                      <div className="no-message auth-failed">
+                        <p>🔐 Authentication failed. The passphrase is wrong or the hidden message was tampered with.</p>
+                      </div>
+                    ) : result.encryption === ENCRYPTION_STATES.LOCKED ? (
+                      <div className="no-message">
+                        <p>🔐 This image holds an encrypted message. Enter the passphrase and click "Reveal Message" again.</p>
+                      </div>
+                    ) : result.format?.share ? (
+                      <div className="no-message">
+                        <p>
+                          🧩 This image holds share #{result.format.share.index} of {result.format.share.total}.
+                          {' '}{result.format.share.threshold} shares are needed; combine them under Secret sharing.
+                        </p>
+                      </div>
+                    ) : result.format?.scattered && !result.format.checksum ? (
+                      <div className="no-message">
+                        <p>🔀 This image holds a key-scattered payload. Enter its scatter key under Advanced and click "Reveal Message" again.</p>
+                      </div>
+                    ) : (
+                      <div className="no-message">
+                        <p>No hidden message detected in this {carrier === CARRIERS.TEXT ? 'text' : 'image'}.</p>
+                      </div>
+                    )}
+
+                    {(result.extracted_message || result.extracted_file) && (
+                      <SignatureStatus
+                        signature={result.signature}
+                        signingKey={signingKey}
+                        trustedKeys={trustedKeys}
+                        onTrust={handleTrustSigner}
+                      />
+                    )}
+
+                    {result.format && (
+                      <div className="format-info">
+                        <span>
+                          {result.format.name === FORMATS.CONTAINER
+                            ? `Container format v${result.format.version}`
+                            : 'Legacy terminator format'}
+                        </span>
+                        <span>{formatFileSize(result.format.payloadSize)} payload</span>
+                        {result.format.embedding && <span>{describeEmbedding(result.format.embedding)}</span>}
+                        {result.format.scattered && <span>🔀 Key-scattered</span>}
+                        {result.format.compressed && <span>🗜️ Compressed</span>}
+                        {result.format.ecc && <span>{describeEcc(result.format.ecc)}</span>}
+                        {result.format.checksum && (
+                          <span className={`checksum checksum-${result.format.checksum}`}>
+                            {result.format.checksum === CHECKSUM_STATES.VALID ? '✅ Checksum OK' : '⚠️ Checksum mismatch'}
+                          </span>
+                        )}
+                      </div>
+                    )}
+
+                    {result.statistics && <AnalysisReport statistics={result.statistics} aiAnalysis={result.ai_analysis} />}
                   </div>
                 )}
-              </div>
+              </section>
             )}
-          </section>
+          </>
         )}
 
         {/* Help Section */}
@@ -489,7 +1626,8 @@ function App() {
                 <h4>🔒 Hide a Message:</h4>
                 <ol>
                   <li>Upload an image (JPEG, PNG, GIF, BMP, or WebP)</li>
-                  <li>Enter your secret message</li>
+                  <li>Enter your secret message, or switch to "Hide a file"</li>
+                  <li>Optionally set a passphrase to encrypt it</li>
                   <li>Click "Hide Message"</li>
                   <li>Download the processed image</li>
                 </ol>
@@ -498,6 +1636,7 @@ function App() {
                 <h4>🔍 Reveal a Message:</h4>
                 <ol>
                   <li>Upload an image that may contain a hidden message</li>
+                  <li>Enter the passphrase if the message was encrypted</li>
                   <li>Click "Reveal Message"</li>
                   <li>View the extracted message if found</li>
                 </ol>
@@ -509,6 +1648,8 @@ function App() {
                   <li>The modified image will look identical to the original</li>
                   <li>Keep your original image safe for comparison</li>
                   <li>Image compression may affect hidden messages</li>
+                  <li>Switch to the Text carrier to hide a message in a chat message instead of an image</li>
+                  <li>A decoy message gives you a harmless passphrase to hand over if you are ever forced to</li>
                 </ul>
               </div>
             </div>
@@ -0,0 +1,72 @@
+// Error taxonomy for the steganography API. Every failure the client surfaces is one of these,
+// with a message that can be shown to the user as-is.
+
+export class StegoApiError extends Error {
+  constructor(message, { status = null, detail = null, cause } = {}) {
+    super(message);
+    this.name = 'StegoApiError';
+    this.status = status;
+    this.detail = detail;
+    this.cause = cause;
+  }
+
+  // Whether retrying the same request could succeed
+  get retryable() {
+    return false;
+  }
+}
+
+export class NetworkError extends StegoApiError {
+  constructor(options) {
+    super('Could not reach the server. Please check your connection and try again.', options);
+    this.name = 'NetworkError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+export class TimeoutError extends StegoApiError {
+  constructor(options) {
+    super('Request timed out. Please try again.', options);
+    this.name = 'TimeoutError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+export class CancelledError extends StegoApiError {
+  constructor(options) {
+    super('Operation cancelled.', options);
+    this.name = 'CancelledError';
+  }
+}
+
+// 4xx responses: the request itself is wrong, so the server's explanation is the message
+export class ClientError extends StegoApiError {
+  constructor(detail, options) {
+    super(detail || 'Invalid request. Please check your input and try again.', { ...options, detail });
+    this.name = 'ClientError';
+  }
+}
+
+export class PayloadTooLargeError extends ClientError {
+  constructor(detail, options) {
+    super(detail || 'File too large. Please try a smaller image.', options);
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+export class ServerError extends StegoApiError {
+  constructor(detail, options) {
+    super(detail ? `Server error: ${detail}` : 'Server error. Please try again later.', { ...options, detail });
+    this.name = 'ServerError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
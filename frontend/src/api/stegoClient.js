@@ -0,0 +1,138 @@
+// HTTP client for the FastAPI backend: cancellation, progress reporting, retries with
+// exponential backoff and typed errors (see ./errors).
+import axios from 'axios';
+import {
+  StegoApiError,
+  NetworkError,
+  TimeoutError,
+  CancelledError,
+  ClientError,
+  PayloadTooLargeError,
+  ServerError,
+} from './errors';
+
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000';
+
+const DEFAULT_TIMEOUT = 30000; // 30 seconds per attempt
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+const HEALTH_TIMEOUT = 5000;
+
+// FastAPI reports errors as { detail: string } or, for validation, { detail: [{ msg, loc }] }
+const readDetail = async (data) => {
+  let body = data;
+  if (body instanceof Blob) {
+    try {
+      body = JSON.parse(await body.text());
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const detail = body?.detail;
+  if (Array.isArray(detail)) {
+    return detail.map((item) => item.msg).filter(Boolean).join('; ') || null;
+  }
+  return typeof detail === 'string' ? detail : null;
+};
+
+const toApiError = async (error) => {
+  if (error instanceof StegoApiError) return error;
+  if (axios.isCancel(error)) return new CancelledError({ cause: error });
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return new TimeoutError({ cause: error });
+  if (!error.response) return new NetworkError({ cause: error });
+
+  const { status, data } = error.response;
+  const detail = await readDetail(data);
+  if (status === 413) return new PayloadTooLargeError(detail, { status, cause: error });
+  if (status >= 500) return new ServerError(detail, { status, cause: error });
+  return new ClientError(detail, { status, cause: error });
+};
+
+// Resolves after `ms`, or rejects as soon as the signal aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CancelledError());
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new CancelledError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const toFraction = (event) => (event.total ? event.loaded / event.total : null);
+
+export const createStegoClient = ({
+  baseURL = API_BASE_URL,
+  timeout = DEFAULT_TIMEOUT,
+  retries = DEFAULT_RETRIES,
+} = {}) => {
+  const http = axios.create({ baseURL, timeout });
+
+  // onProgress receives ({ phase: 'upload' | 'download', fraction }) where fraction may be null
+  const request = async (config, { signal, onProgress, onRetry } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await http.request({
+          ...config,
+          signal,
+          onUploadProgress: onProgress && ((event) => onProgress({ phase: 'upload', fraction: toFraction(event) })),
+          onDownloadProgress: onProgress && ((event) => onProgress({ phase: 'download', fraction: toFraction(event) })),
+        });
+      } catch (rawError) {
+        const error = await toApiError(rawError);
+        if (!error.retryable || attempt >= retries || signal?.aborted) {
+          throw error;
+        }
+
+        const delay = BACKOFF_BASE_MS * 2 ** attempt;
+        onRetry?.({ attempt: attempt + 1, delay, error });
+        await wait(delay, signal);
+      }
+    }
+  };
+
+  const upload = (path, fields, options = {}) => {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    return request({
+      method: 'post',
+      url: path,
+      data: formData,
+      params: options.params,
+      responseType: options.responseType,
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }, options);
+  };
+
+  return {
+    // Resolves with the stego PNG blob
+    inject: async (file, message, options) => {
+      const response = await upload('/inject', { file, message }, { ...options, responseType: 'blob' });
+      return new Blob([response.data], { type: 'image/png' });
+    },
+
+    // Resolves when the API answers its health check; a single attempt with a short timeout
+    health: async ({ signal } = {}) => {
+      try {
+        await http.get('/health', { signal, timeout: HEALTH_TIMEOUT });
+      } catch (error) {
+        throw await toApiError(error);
+      }
+    },
+
+    // Resolves with the raw /detect response body
+    detect: async (file, { aiAnalysis = false, ...options } = {}) => {
+      const response = await upload('/detect', { file }, { ...options, params: { ai: aiAnalysis } });
+      return response.data;
+    },
+  };
+};
+
+export const stegoClient = createStegoClient();
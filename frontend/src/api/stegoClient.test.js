@@ -0,0 +1,91 @@
+import axios from 'axios';
+import { createStegoClient } from './stegoClient';
+import {
+  NetworkError,
+  TimeoutError,
+  CancelledError,
+  ClientError,
+  PayloadTooLargeError,
+  ServerError,
+} from './errors';
+
+// Jest resolves axios to its untranspiled ESM build; the client only needs these two. The
+// configured resetMocks clears `http.request` before every test.
+jest.mock('axios', () => {
+  const http = { request: jest.fn() };
+  return {
+    __esModule: true,
+    default: { create: () => http, isCancel: (error) => Boolean(error?.cancelled), http },
+  };
+});
+
+const { http } = axios;
+const response = (status, data) => Object.assign(new Error(`HTTP ${status}`), { response: { status, data } });
+const image = new Blob(['png'], { type: 'image/png' });
+
+describe('stegoClient', () => {
+  it('uploads the image as multipart form data', async () => {
+    http.request.mockResolvedValue({ data: { extracted_message: 'hi' } });
+    const signal = new AbortController().signal;
+    const body = await createStegoClient().detect(image, { aiAnalysis: true, signal });
+
+    expect(body).toEqual({ extracted_message: 'hi' });
+    const [config] = http.request.mock.calls[0];
+    expect(config).toMatchObject({ method: 'post', url: '/detect', params: { ai: true }, signal });
+    expect(config.data.get('file')).toBeInstanceOf(Blob);
+  });
+
+  it('reports upload and download progress', async () => {
+    http.request.mockImplementation(async (config) => {
+      config.onUploadProgress({ loaded: 50, total: 200 });
+      config.onDownloadProgress({ loaded: 10 });
+      return { data: 'png' };
+    });
+    const onProgress = jest.fn();
+    await createStegoClient().inject(image, 'hello', { onProgress });
+
+    expect(onProgress.mock.calls).toEqual([
+      [{ phase: 'upload', fraction: 0.25 }],
+      [{ phase: 'download', fraction: null }],
+    ]);
+  });
+
+  it('retries network failures with backoff and then succeeds', async () => {
+    http.request
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockRejectedValueOnce(response(503, { detail: 'busy' }))
+      .mockResolvedValueOnce({ data: { extracted_message: 'hi' } });
+    const onRetry = jest.fn();
+
+    await expect(createStegoClient().detect(image, { onRetry })).resolves.toEqual({ extracted_message: 'hi' });
+    expect(onRetry.mock.calls.map(([{ attempt, delay, error }]) => [attempt, delay, error.constructor])).toEqual([
+      [1, 500, NetworkError],
+      [2, 1000, ServerError],
+    ]);
+  });
+
+  it('gives up after the configured retries', async () => {
+    http.request.mockRejectedValue(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }));
+    await expect(createStegoClient({ retries: 0 }).detect(image)).rejects.toThrow(TimeoutError);
+    expect(http.request).toHaveBeenCalledTimes(1);
+  });
+
+  it.each([
+    [response(400, { detail: 'Message is required' }), ClientError, 'Message is required'],
+    [response(422, { detail: [{ msg: 'field required' }, { msg: 'bad type' }] }), ClientError, 'field required; bad type'],
+    [response(413, {}), PayloadTooLargeError, 'File too large. Please try a smaller image.'],
+    [response(500, { detail: 'boom' }), ServerError, 'Server error: boom'],
+    [{ cancelled: true }, CancelledError, 'Operation cancelled.'],
+  ])('maps failures to typed errors (%#)', async (failure, ErrorClass, message) => {
+    http.request.mockRejectedValue(failure);
+    const error = await createStegoClient({ retries: 0 }).detect(image).catch((caught) => caught);
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error.message).toBe(message);
+  });
+
+  it('does not retry client errors', async () => {
+    http.request.mockRejectedValue(response(400, { detail: 'nope' }));
+    await expect(createStegoClient().detect(image)).rejects.toThrow(ClientError);
+    expect(http.request).toHaveBeenCalledTimes(1);
+  });
+});
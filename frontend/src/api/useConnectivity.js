@@ -0,0 +1,70 @@
+// Tracks whether the browser is online and whether the API answers, so the app can fall back
+// to in-browser processing when the server path is unavailable.
+import { useState, useEffect, useCallback } from 'react';
+import { stegoClient } from './stegoClient';
+import { NetworkError, TimeoutError } from './errors';
+
+export const CONNECTION_STATES = {
+  CHECKING: 'checking',
+  ONLINE: 'online',
+  API_UNREACHABLE: 'api-unreachable',
+  OFFLINE: 'offline',
+};
+
+const RECHECK_INTERVAL = 30000; // while the API is down
+
+export const useConnectivity = () => {
+  const [browserOnline, setBrowserOnline] = useState(() => navigator.onLine);
+  const [apiReachable, setApiReachable] = useState(null);
+
+  // Any HTTP answer, even an error status, proves the server is reachable
+  const recheck = useCallback(async () => {
+    if (!navigator.onLine) {
+      setApiReachable(false);
+      return false;
+    }
+    try {
+      await stegoClient.health();
+      setApiReachable(true);
+      return true;
+    } catch (error) {
+      const reachable = !(error instanceof NetworkError || error instanceof TimeoutError);
+      setApiReachable(reachable);
+      return reachable;
+    }
+  }, []);
+
+  useEffect(() => {
+    const handleChange = () => {
+      setBrowserOnline(navigator.onLine);
+      recheck();
+    };
+
+    recheck();
+    window.addEventListener('online', handleChange);
+    window.addEventListener('offline', handleChange);
+    return () => {
+      window.removeEventListener('online', handleChange);
+      window.removeEventListener('offline', handleChange);
+    };
+  }, [recheck]);
+
+  useEffect(() => {
+    if (!browserOnline || apiReachable !== false) {
+      return undefined;
+    }
+    const timer = setInterval(recheck, RECHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [browserOnline, apiReachable, recheck]);
+
+  let state = CONNECTION_STATES.ONLINE;
+  if (!browserOnline) {
+    state = CONNECTION_STATES.OFFLINE;
+  } else if (apiReachable === null) {
+    state = CONNECTION_STATES.CHECKING;
+  } else if (!apiReachable) {
+    state = CONNECTION_STATES.API_UNREACHABLE;
+  }
+
+  return { state, recheck };
+};
@@ -0,0 +1,60 @@
+import React from 'react';
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Detection evidence from every available source: in-browser statistics and, optionally, the server's AI
+const AnalysisReport = ({ statistics, aiAnalysis }) => (
+  <div className="ai-analysis analysis-report">
+    <h4>Analysis:</h4>
+
+    {statistics && (
+      <div className="analysis-source">
+        <div className="analysis-summary">
+          <span className={`analysis-verdict ${statistics.suspicious ? 'suspicious' : 'clean'}`}>
+            {statistics.suspicious ? '🚩 LSB embedding likely' : '✅ No LSB embedding detected'}
+          </span>
+          <span>Estimated embedding rate: <strong>{percent(statistics.rate)}</strong></span>
+          {statistics.suspicious && (
+            <span>Estimated payload: <strong>{statistics.payloadBytes.toLocaleString()} bytes</strong></span>
+          )}
+          <span>Confidence: <strong>{percent(statistics.confidence)}</strong></span>
+        </div>
+        <table className="analysis-table">
+          <thead>
+            <tr>
+              <th>Method</th>
+              <th>Estimate</th>
+              <th>Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>Chi-square attack</td>
+              <td>{percent(statistics.chiSquare.rate)}</td>
+              <td>p = {statistics.chiSquare.probability.toFixed(3)} on the first 5% (confidence and sequential payload length only)</td>
+            </tr>
+            <tr>
+              <td>RS analysis</td>
+              <td>{percent(statistics.rs.rate)}</td>
+              <td>R/G/B: {statistics.rs.channels.map(percent).join(' / ')}</td>
+            </tr>
+            <tr>
+              <td>Sample pair analysis</td>
+              <td>{percent(statistics.spa.rate)}</td>
+              <td>R/G/B: {statistics.spa.channels.map(percent).join(' / ')}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    )}
+
+    {aiAnalysis && (
+      <div className="analysis-source">
+        <h5>AI (server):</h5>
+        <p>{aiAnalysis}</p>
+      </div>
+    )}
+  </div>
+);
+
+export default AnalysisReport;
@@ -0,0 +1,327 @@
+import React, { useState, useCallback, useRef } from 'react';
+import { preflightInWorker, hideSecretInWorker, revealSecretInWorker } from '../workers/stegoWorkers';
+import { SECRET_KINDS, ENCRYPTION_STATES } from '../stego/payload';
+import { CHECKSUM_STATES } from '../stego/container';
+import { runWithConcurrency } from '../utils/concurrency';
+import { createZip } from '../utils/zip';
+
+const OPERATIONS = { HIDE: 'hide', REVEAL: 'reveal' };
+const STATUSES = { QUEUED: 'queued', PROCESSING: 'processing', DONE: 'done', ERROR: 'error' };
+const STATUS_LABELS = {
+  [STATUSES.QUEUED]: 'Queued',
+  [STATUSES.PROCESSING]: 'Processing',
+  [STATUSES.DONE]: 'Done',
+  [STATUSES.ERROR]: 'Failed',
+};
+const BATCH_CONCURRENCY = 3;
+
+let nextItemId = 0;
+
+const baseName = (name) => name.replace(/\.[^.]+$/, '');
+
+// A hidden file's name comes from whoever made the image. Keep its last path segment without
+// control characters or dot runs so the entry cannot land outside the folder it is unpacked into.
+const safeEntryName = (name) => {
+  const last = name.split(/[/\\]/).pop();
+  const printable = Array.from(last).filter((char) => char >= ' ' && char !== '\u007f').join('');
+  return printable.replace(/\.{2,}/g, '.').replace(/^\.+/, '') || 'file';
+};
+
+// One-line outcome shown next to each finished item
+const describeOutput = (item) => {
+  const { output } = item;
+  if (output.blob) return `${(output.blob.size / 1024).toFixed(1)} KB PNG`;
+  if (output.encryption === ENCRYPTION_STATES.FAILED) return 'Authentication failed';
+  if (output.encryption === ENCRYPTION_STATES.LOCKED) return 'Encrypted (no passphrase)';
+  if (output.format?.scattered && !output.format.checksum) return 'Key-scattered (no scatter key)';
+  if (output.format?.ecc?.unrecoverable > 0) return 'Damaged beyond repair';
+  if (output.format?.checksum === CHECKSUM_STATES.MISMATCH) return 'Checksum mismatch';
+  if (output.file) return `File: ${output.file.name}`;
+  if (output.message) return output.message.length > 60 ? `${output.message.slice(0, 60)}…` : output.message;
+  return 'No hidden message';
+};
+
+// Zip entries for every finished item plus a summary of the whole run
+export const buildArchiveEntries = (items) => {
+  const entries = [];
+  items.forEach((item, index) => {
+    const prefix = `${String(index + 1).padStart(3, '0')}_${baseName(item.file.name)}`;
+    if (item.status !== STATUSES.DONE) return;
+    if (item.output.blob) {
+      entries.push({ name: `${prefix}.png`, data: item.output.blob });
+    } else if (item.output.file) {
+      entries.push({ name: `${prefix}_${safeEntryName(item.output.file.name)}`, data: item.output.file.bytes });
+    } else if (item.output.message) {
+      entries.push({ name: `${prefix}.txt`, data: item.output.message });
+    }
+  });
+
+  const summary = items.map((item) => ({
+    file: item.file.name,
+    status: item.status,
+    result: item.status === STATUSES.DONE ? describeOutput(item) : null,
+    error: item.error,
+  }));
+  entries.push({ name: 'summary.json', data: JSON.stringify(summary, null, 2) });
+  return entries;
+};
+
+// Queue that hides or reveals across many images with bounded concurrency
+const BatchQueue = ({ processingMode, passphrase, scatterKey, embedding, compress, eccLevel, signingKey, validateFile, onError }) => {
+  const [items, setItems] = useState([]);
+  const [operation, setOperation] = useState(OPERATIONS.HIDE);
+  const [sharedMessage, setSharedMessage] = useState('');
+  const [running, setRunning] = useState(false);
+  const [dragOver, setDragOver] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const updateItem = useCallback((id, patch) => {
+    setItems((current) => current.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+  }, []);
+
+  const addFiles = useCallback((fileList) => {
+    const added = Array.from(fileList).map((file) => {
+      const validation = validateFile(file);
+      return {
+        id: nextItemId++,
+        file,
+        message: '',
+        status: validation.isValid ? STATUSES.QUEUED : STATUSES.ERROR,
+        progress: 0,
+        error: validation.error,
+        output: null,
+      };
+    });
+    setItems((current) => [...current, ...added]);
+  }, [validateFile]);
+
+  const handleDrop = useCallback((e) => {
+    e.preventDefault();
+    setDragOver(false);
+    addFiles(e.dataTransfer.files);
+  }, [addFiles]);
+
+  const handleFileChange = useCallback((e) => {
+    addFiles(e.target.files);
+    e.target.value = '';
+  }, [addFiles]);
+
+  const processItem = useCallback(async (item) => {
+    updateItem(item.id, { status: STATUSES.PROCESSING, progress: 0, error: null });
+    const onProgress = (progress) => updateItem(item.id, { progress });
+
+    try {
+      let output;
+      if (operation === OPERATIONS.HIDE) {
+        const text = (item.message || sharedMessage).trim();
+        if (!text) {
+          throw new Error('No message to hide');
+        }
+        const secret = { kind: SECRET_KINDS.TEXT, text };
+        const { carrier } = await preflightInWorker(item.file);
+        const blob = await hideSecretInWorker(carrier, secret, { passphrase, scatterKey, embedding, compress, ecc: eccLevel, signingKey, mode: processingMode, onProgress });
+        output = { blob };
+      } else {
+        output = await revealSecretInWorker(item.file, { passphrase, scatterKey, mode: processingMode, onProgress });
+      }
+      updateItem(item.id, { status: STATUSES.DONE, progress: 1, output });
+    } catch (error) {
+      console.error(`Batch item ${item.file.name} failed:`, error);
+      updateItem(item.id, { status: STATUSES.ERROR, error: error.message || 'Processing failed' });
+    }
+  }, [operation, sharedMessage, passphrase, scatterKey, embedding, compress, eccLevel, signingKey, processingMode, updateItem]);
+
+  const handleRun = useCallback(async () => {
+    const pending = items.filter((item) => item.status === STATUSES.QUEUED);
+    if (pending.length === 0) {
+      onError('Add images to the queue first.');
+      return;
+    }
+
+    setRunning(true);
+    try {
+      await runWithConcurrency(pending, BATCH_CONCURRENCY, processItem);
+    } finally {
+      setRunning(false);
+    }
+  }, [items, processItem, onError]);
+
+  // Failed items only go back into the queue if their file itself was valid
+  const handleRetryFailed = useCallback(() => {
+    setItems((current) => current.map((item) => (
+      item.status === STATUSES.ERROR && validateFile(item.file).isValid
+        ? { ...item, status: STATUSES.QUEUED, error: null, progress: 0 }
+        : item
+    )));
+  }, [validateFile]);
+
+  const handleRemove = useCallback((id) => {
+    setItems((current) => current.filter((item) => item.id !== id));
+  }, []);
+
+  const handleClear = useCallback(() => {
+    setItems([]);
+  }, []);
+
+  // Rerunning with another operation needs every item queued again
+  const handleOperationChange = useCallback((next) => {
+    setOperation(next);
+    setItems((current) => current.map((item) => (
+      item.status === STATUSES.DONE ? { ...item, status: STATUSES.QUEUED, output: null, progress: 0 } : item
+    )));
+  }, []);
+
+  const handleDownloadAll = useCallback(async () => {
+    try {
+      const archive = await createZip(buildArchiveEntries(items));
+      const url = window.URL.createObjectURL(archive);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `steganography_batch_${Date.now()}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to build archive:', error);
+      onError('Failed to build the zip archive.');
+    }
+  }, [items, onError]);
+
+  const doneCount = items.filter((item) => item.status === STATUSES.DONE).length;
+  const failedCount = items.filter((item) => item.status === STATUSES.ERROR).length;
+  const queuedCount = items.filter((item) => item.status === STATUSES.QUEUED).length;
+
+  return (
+    <section className="form-section batch-queue">
+      <div className="form-group">
+        <div className="secret-header">
+          <span className="form-label">Batch Operation</span>
+          <div className="mode-toggle compact" role="radiogroup" aria-label="Batch operation">
+            {[[OPERATIONS.HIDE, '🔒 Hide'], [OPERATIONS.REVEAL, '🔍 Reveal']].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                role="radio"
+                aria-checked={operation === value}
+                className={`mode-option ${operation === value ? 'active' : ''}`}
+                onClick={() => handleOperationChange(value)}
+                disabled={running}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div
+          className={`file-drop-zone ${dragOver ? 'drag-over' : ''}`}
+          onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+          onDragLeave={(e) => { e.preventDefault(); setDragOver(false); }}
+          onDrop={handleDrop}
+        >
+          <div className="drop-zone-content">
+            <div className="upload-icon">🗂️</div>
+            <p>Drop any number of images here, or</p>
+            <button
+              type="button"
+              className="upload-button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={running}
+            >
+              Choose Files
+            </button>
+          </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={handleFileChange}
+            className="file-input-hidden"
+            disabled={running}
+          />
+        </div>
+      </div>
+
+      {operation === OPERATIONS.HIDE && (
+        <div className="form-group">
+          <label htmlFor="batch-message-input" className="form-label">
+            Message for every image
+          </label>
+          <textarea
+            id="batch-message-input"
+            value={sharedMessage}
+            onChange={(e) => setSharedMessage(e.target.value)}
+            placeholder="Used for every image without its own message below"
+            className="message-input"
+            rows="3"
+            disabled={running}
+          />
+        </div>
+      )}
+
+      {items.length > 0 && (
+        <ul className="batch-list">
+          {items.map((item) => (
+            <li key={item.id} className={`batch-item status-${item.status}`}>
+              <div className="batch-item-header">
+                <span className="image-name">{item.file.name}</span>
+                <span className="batch-status">{STATUS_LABELS[item.status]}</span>
+              </div>
+              {operation === OPERATIONS.HIDE && item.status === STATUSES.QUEUED && (
+                <input
+                  type="text"
+                  value={item.message}
+                  onChange={(e) => updateItem(item.id, { message: e.target.value })}
+                  placeholder="Own message (optional)"
+                  className="text-input batch-message"
+                  disabled={running}
+                />
+              )}
+              {item.status === STATUSES.PROCESSING && (
+                <div className="capacity-bar">
+                  <div className="capacity-fill" style={{ width: `${Math.round(item.progress * 100)}%` }}></div>
+                </div>
+              )}
+              {item.status === STATUSES.DONE && <small className="batch-output">{describeOutput(item)}</small>}
+              {item.status === STATUSES.ERROR && <small className="batch-error">{item.error}</small>}
+              {!running && (
+                <button className="batch-remove" onClick={() => handleRemove(item.id)} aria-label={`Remove ${item.file.name}`}>
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="batch-summary">
+        <small>
+          {items.length} images · {queuedCount} queued · {doneCount} done · {failedCount} failed
+        </small>
+      </div>
+
+      <div className="result-actions batch-actions">
+        <button
+          onClick={handleRun}
+          disabled={running || queuedCount === 0}
+          className={`action-button ${operation === OPERATIONS.HIDE ? 'inject-button' : 'detect-button'}`}
+        >
+          {running ? 'Processing…' : `${operation === OPERATIONS.HIDE ? 'Hide in' : 'Reveal from'} ${queuedCount} images`}
+        </button>
+        <button onClick={handleDownloadAll} disabled={running || doneCount === 0} className="download-button">
+          📦 Download All (.zip)
+        </button>
+        <button onClick={handleRetryFailed} disabled={running || failedCount === 0} className="secondary-button">
+          Retry Failed
+        </button>
+        <button onClick={handleClear} disabled={running || items.length === 0} className="reset-button">
+          Clear Queue
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default BatchQueue;
@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ */
+import { buildArchiveEntries } from './BatchQueue';
+
+// The worker entry points locate their script with import.meta, which Jest cannot parse
+jest.mock('../workers/stegoWorkers', () => ({
+  preflightInWorker: jest.fn(),
+  hideSecretInWorker: jest.fn(),
+  revealSecretInWorker: jest.fn(),
+}));
+
+const item = (name, status, output = null, error = null) => ({ file: { name }, status, output, error });
+
+describe('buildArchiveEntries', () => {
+  it('names each result after its position and source image', () => {
+    const stego = new Blob(['png']);
+    const entries = buildArchiveEntries([
+      item('cat.png', 'done', { blob: stego }),
+      item('dog.jpg', 'done', { message: 'hello' }),
+      item('doc.png', 'done', { file: { name: 'notes.txt', bytes: Uint8Array.of(1) } }),
+      item('bad.png', 'error', null, 'Image is too small'),
+    ]);
+
+    expect(entries.map((entry) => entry.name)).toEqual([
+      '001_cat.png',
+      '002_dog.txt',
+      '003_doc_notes.txt',
+      'summary.json',
+    ]);
+    expect(entries[0].data).toBe(stego);
+    expect(entries[1].data).toBe('hello');
+  });
+
+  it('keeps hidden file names inside the archive', () => {
+    const names = ['../../etc/passwd', '..\\..\\evil.exe', 'dir/..', 'a\u0000b\nc.txt', '...'];
+    const entries = buildArchiveEntries(
+      names.map((name) => item('doc.png', 'done', { file: { name, bytes: Uint8Array.of(1) } }))
+    );
+
+    expect(entries.map((entry) => entry.name).slice(0, -1)).toEqual([
+      '001_doc_passwd',
+      '002_doc_evil.exe',
+      '003_doc_file',
+      '004_doc_abc.txt',
+      '005_doc_file',
+    ]);
+  });
+
+  it('summarises every item, failed ones included', () => {
+    const entries = buildArchiveEntries([item('a.png', 'done', { message: 'hi' }), item('b.png', 'error', null, 'Boom')]);
+    expect(JSON.parse(entries.pop().data)).toEqual([
+      { file: 'a.png', status: 'done', result: 'hi', error: null },
+      { file: 'b.png', status: 'error', result: null, error: 'Boom' },
+    ]);
+  });
+});
@@ -0,0 +1,83 @@
+import React from 'react';
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+};
+
+const bitsToBytes = (bits) => Math.ceil(bits / 8);
+
+const formatPsnr = (psnr) => (Number.isFinite(psnr) ? `${psnr.toFixed(1)} dB` : '∞');
+
+// Explains why a payload does not fit, in terms the user can act on
+export const describeOverflow = (capacity) => {
+  const { width, height, layout, frames, bitsPerPixel, capacityBits, totalBits } = capacity;
+
+  if (bitsPerPixel === 0 && frames > 1) {
+    return `The server only reads the first frame of an animation (${frames} frames). Switch to in-browser processing.`;
+  }
+  if (bitsPerPixel === 0) {
+    return `The server cannot embed into ${layout} images (${width}×${height}). Switch to in-browser processing.`;
+  }
+
+  const missingBytes = bitsToBytes(totalBits - capacityBits);
+  const carrier = frames > 1 ? `${frames}-frame ${width}×${height} animation` : `${width}×${height} ${layout} image`;
+  return `This message needs ${totalBits.toLocaleString()} bits, but a ${carrier} ` +
+    `only holds ${capacityBits.toLocaleString()} bits (${bitsPerPixel} per pixel). ` +
+    `Remove at least ${missingBytes.toLocaleString()} bytes or choose a larger ${frames > 1 ? 'or longer animation' : 'image'}.`;
+};
+
+// Live view of how much of the carrier the current message occupies
+const CapacityMeter = ({ capacity }) => {
+  const {
+    width, height, layout, frames, bitsPerPixel, capacityBits, frameCapacityBits, contentBits, overheadBits, totalBits, fits,
+    psnr, compression,
+  } = capacity;
+  const usage = capacityBits > 0 ? Math.min(100, (totalBits / capacityBits) * 100) : 100;
+
+  return (
+    <div className={`capacity-meter ${fits ? '' : 'over-capacity'}`}>
+      <div className="capacity-bar" role="progressbar" aria-valuenow={Math.round(usage)} aria-valuemin="0" aria-valuemax="100">
+        <div className="capacity-fill" style={{ width: `${usage}%` }}></div>
+      </div>
+      <div className="capacity-details">
+        <span>
+          {formatBytes(bitsToBytes(totalBits))} of {formatBytes(bitsToBytes(capacityBits))} used
+          ({usage.toFixed(1)}%)
+        </span>
+        <span>
+          {width}×{height} {layout} · {bitsPerPixel} bit{bitsPerPixel === 1 ? '' : 's'}/pixel · {capacityBits.toLocaleString()} bits
+        </span>
+      </div>
+      <div className="capacity-breakdown">
+        <small>
+          Message {formatBytes(bitsToBytes(contentBits))} + overhead {formatBytes(bitsToBytes(overheadBits))}
+        </small>
+        {frames > 1 && (
+          <small>
+            {frames} frames · {formatBytes(bitsToBytes(frameCapacityBits))} per frame
+            {frameCapacityBits > 0 && ` · payload spans ${Math.min(frames, Math.ceil(totalBits / frameCapacityBits))} of them`}
+          </small>
+        )}
+        {compression && (
+          <small>
+            {compression.compressed
+              ? `Compressed ${formatBytes(compression.originalBytes)} → ${formatBytes(compression.storedBytes)} ` +
+                `(saves ${formatBytes(compression.originalBytes - compression.storedBytes)}, ` +
+                `${((1 - compression.storedBytes / compression.originalBytes) * 100).toFixed(0)}%)`
+              : 'Does not compress; stored uncompressed'}
+          </small>
+        )}
+        {psnr !== null && (
+          <small title="Expected peak signal-to-noise ratio of the stego image; above about 40 dB changes are invisible. Unused bits are filled with random data, so it does not depend on the message length.">
+            Estimated PSNR {formatPsnr(psnr)}
+          </small>
+        )}
+      </div>
+      {!fits && <p className="capacity-warning">{describeOverflow(capacity)}</p>}
+    </div>
+  );
+};
+
+export default CapacityMeter;
@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { listHistoryEntries, deleteHistoryEntry, clearHistory } from '../utils/historyStore';
+
+const FILTERS = { ALL: 'all', INJECT: 'inject', DETECT: 'detect' };
+const FILTER_LABELS = [[FILTERS.ALL, 'All'], [FILTERS.INJECT, '🔒 Hide'], [FILTERS.DETECT, '🔍 Reveal']];
+const MODE_LABELS = { local: '💻 Browser', server: '🌐 Server' };
+
+const formatSize = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`);
+
+const matchesSearch = (entry, query) => {
+  if (!query) return true;
+  const haystack = `${entry.filename} ${entry.preview || ''}`.toLowerCase();
+  return haystack.includes(query.toLowerCase());
+};
+
+// Past Hide/Reveal operations persisted in IndexedDB. `revision` changes whenever App records
+// a new entry so the list reloads.
+const HistoryPanel = ({ revision, privateHistory, onPrivateHistoryChange, onError }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [query, setQuery] = useState('');
+  const [filter, setFilter] = useState(FILTERS.ALL);
+  const [thumbnails, setThumbnails] = useState(() => new Map());
+
+  const reload = useCallback(async () => {
+    try {
+      setEntries(await listHistoryEntries());
+    } catch (error) {
+      console.error('Failed to load history:', error);
+      onError('Failed to load the operation history.');
+    } finally {
+      setLoading(false);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    reload();
+  }, [reload, revision]);
+
+  // Object URLs for the stored thumbnails, released whenever the list changes
+  useEffect(() => {
+    const urls = new Map(
+      entries.filter((entry) => entry.thumbnail).map((entry) => [entry.id, URL.createObjectURL(entry.thumbnail)])
+    );
+    setThumbnails(urls);
+    return () => urls.forEach((url) => URL.revokeObjectURL(url));
+  }, [entries]);
+
+  const visibleEntries = useMemo(() => entries.filter((entry) =>
+    (filter === FILTERS.ALL || entry.type === filter) && matchesSearch(entry, query)
+  ), [entries, filter, query]);
+
+  const handleDownload = useCallback((entry) => {
+    const url = window.URL.createObjectURL(entry.stegoImage);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `steganography_${entry.createdAt}.png`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  }, []);
+
+  const handleDelete = useCallback(async (id) => {
+    try {
+      await deleteHistoryEntry(id);
+      setEntries((current) => current.filter((entry) => entry.id !== id));
+    } catch (error) {
+      console.error('Failed to delete history entry:', error);
+      onError('Failed to delete the history entry.');
+    }
+  }, [onError]);
+
+  const handleClear = useCallback(async () => {
+    if (!window.confirm('Delete the whole operation history? This cannot be undone.')) {
+      return;
+    }
+    try {
+      await clearHistory();
+      setEntries([]);
+    } catch (error) {
+      console.error('Failed to clear history:', error);
+      onError('Failed to clear the operation history.');
+    }
+  }, [onError]);
+
+  return (
+    <section className="form-section history-panel">
+      <div className="form-group">
+        <div className="secret-header">
+          <span className="form-label">History</span>
+          <div className="mode-toggle compact" role="radiogroup" aria-label="Filter history">
+            {FILTER_LABELS.map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                role="radio"
+                aria-checked={filter === value}
+                className={`mode-option ${filter === value ? 'active' : ''}`}
+                onClick={() => setFilter(value)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search by file name or message"
+          className="text-input"
+          aria-label="Search history"
+        />
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={privateHistory}
+            onChange={(e) => onPrivateHistoryChange(e.target.checked)}
+          />
+          Never store message content (only file name, time and size are kept)
+        </label>
+      </div>
+
+      {loading ? (
+        <p className="history-empty">Loading history…</p>
+      ) : visibleEntries.length === 0 ? (
+        <p className="history-empty">
+          {entries.length === 0 ? 'No operations recorded yet.' : 'No entries match your search.'}
+        </p>
+      ) : (
+        <ul className="batch-list history-list">
+          {visibleEntries.map((entry) => (
+            <li key={entry.id} className={`batch-item history-item history-${entry.type}`}>
+              {thumbnails.has(entry.id) && (
+                <img src={thumbnails.get(entry.id)} alt="" className="history-thumbnail" />
+              )}
+              <div className="history-details">
+                <div className="batch-item-header">
+                  <span className="image-name">
+                    {entry.type === 'inject' ? '🔒' : '🔍'} {entry.filename}
+                  </span>
+                  <span className="batch-status">{new Date(entry.createdAt).toLocaleString()}</span>
+                </div>
+                <small className="history-meta">
+                  {MODE_LABELS[entry.mode] || entry.mode}
+                  {entry.payloadSize != null && ` · ${formatSize(entry.payloadSize)} payload`}
+                  {entry.encrypted && ' · 🔐 encrypted'}
+                </small>
+                {entry.preview && <small className="batch-output">{entry.preview}</small>}
+                {entry.stegoImage && (
+                  <button onClick={() => handleDownload(entry)} className="secondary-button history-download">
+                    📥 Download Image
+                  </button>
+                )}
+              </div>
+              <button
+                className="batch-remove"
+                onClick={() => handleDelete(entry.id)}
+                aria-label={`Delete ${entry.filename} from history`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="result-actions batch-actions">
+        <button onClick={handleClear} disabled={entries.length === 0} className="reset-button">
+          Wipe History
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default HistoryPanel;
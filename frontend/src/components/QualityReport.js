@@ -0,0 +1,69 @@
+import React, { useCallback } from 'react';
+
+const formatDecibels = (value) => (Number.isFinite(value) ? `${value.toFixed(2)} dB` : '∞ (identical)');
+
+// Rough reading of PSNR for 8-bit images
+const describePsnr = (psnr) => {
+  if (psnr >= 50) return 'Imperceptible';
+  if (psnr >= 40) return 'Excellent';
+  if (psnr >= 30) return 'Visible on close inspection';
+  return 'Clearly visible';
+};
+
+// How much an injection changed the carrier, with a JSON export of the same numbers
+const QualityReport = ({ report }) => {
+  const { metrics } = report;
+
+  const handleExport = useCallback(() => {
+    const json = JSON.stringify({
+      ...report,
+      // JSON has no Infinity; identical images have no finite PSNR
+      metrics: { ...metrics, psnr: Number.isFinite(metrics.psnr) ? metrics.psnr : null },
+    }, null, 2);
+    const url = window.URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = report.output.replace(/\.png$/, '_quality.json');
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  }, [report, metrics]);
+
+  return (
+    <div className="ai-analysis analysis-report quality-report">
+      <h4>Image Quality:</h4>
+      <div className="analysis-summary">
+        <span className="analysis-verdict clean">{describePsnr(metrics.psnr)}</span>
+        <span>PSNR: <strong>{formatDecibels(metrics.psnr)}</strong></span>
+        <span>SSIM: <strong>{metrics.ssim.toFixed(5)}</strong></span>
+      </div>
+      <table className="analysis-table">
+        <tbody>
+          <tr>
+            <td>Mean squared error</td>
+            <td>{metrics.mse.toFixed(4)}</td>
+          </tr>
+          <tr>
+            <td>Modified pixels</td>
+            <td>
+              {metrics.changedPixels.toLocaleString()} of {metrics.totalPixels.toLocaleString()}
+              {' '}({((metrics.changedPixels / metrics.totalPixels) * 100).toFixed(2)}%)
+            </td>
+          </tr>
+          <tr>
+            <td>Largest channel change</td>
+            <td>±{metrics.maxDelta}{metrics.alphaChanged && ' · alpha modified'}</td>
+          </tr>
+        </tbody>
+      </table>
+      <div className="result-actions">
+        <button onClick={handleExport} className="secondary-button">
+          📄 Export Report (.json)
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QualityReport;
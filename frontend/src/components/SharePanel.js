@@ -0,0 +1,338 @@
+import React, { useState, useCallback, useRef } from 'react';
+import { SHARE_STATUSES } from '../processing';
+import { SECRET_KINDS, ENCRYPTION_STATES } from '../stego/payload';
+import { MIN_SHARES, MAX_SHARES } from '../stego/shamir';
+import { preflightInWorker, hideSecretSharesInWorker, revealSecretSharesInWorker } from '../workers/stegoWorkers';
+import { createZip } from '../utils/zip';
+
+const OPERATIONS = { SPLIT: 'split', COMBINE: 'combine' };
+
+const STATUS_LABELS = {
+  [SHARE_STATUSES.USED]: (index) => `Share #${index}`,
+  [SHARE_STATUSES.DUPLICATE]: (index) => `Duplicate of share #${index}`,
+  [SHARE_STATUSES.OTHER_SET]: (index) => `Share #${index} of another secret`,
+  [SHARE_STATUSES.NOT_SHARE]: () => 'Holds a regular message, not a share',
+  [SHARE_STATUSES.NOT_FOUND]: () => 'No share found',
+  [SHARE_STATUSES.DAMAGED]: () => 'Damaged share (checksum mismatch)',
+  [SHARE_STATUSES.SCATTERED]: () => 'Key-scattered (no scatter key)',
+};
+
+let nextItemId = 0;
+
+const baseName = (name) => name.replace(/\.[^.]+$/, '');
+
+const downloadBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+// Splits one secret across several images (Shamir's scheme) and puts it back together
+const SharePanel = ({ passphrase, scatterKey, embedding, compress, eccLevel, signingKey, validateFile, onError }) => {
+  const [items, setItems] = useState([]);
+  const [operation, setOperation] = useState(OPERATIONS.SPLIT);
+  const [message, setMessage] = useState('');
+  const [threshold, setThreshold] = useState(MIN_SHARES);
+  const [outcome, setOutcome] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [dragOver, setDragOver] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const addFiles = useCallback((fileList) => {
+    const added = [];
+    Array.from(fileList).forEach((file) => {
+      const validation = validateFile(file);
+      if (validation.isValid) {
+        added.push({ id: nextItemId++, file, blob: null, share: null });
+      } else {
+        onError(`${file.name}: ${validation.error}`);
+      }
+    });
+    setItems((current) => [...current, ...added].slice(0, MAX_SHARES));
+    setOutcome(null);
+  }, [validateFile, onError]);
+
+  const handleDrop = useCallback((e) => {
+    e.preventDefault();
+    setDragOver(false);
+    addFiles(e.dataTransfer.files);
+  }, [addFiles]);
+
+  const handleFileChange = useCallback((e) => {
+    addFiles(e.target.files);
+    e.target.value = '';
+  }, [addFiles]);
+
+  const handleRemove = useCallback((id) => {
+    setItems((current) => current.filter((item) => item.id !== id));
+    setOutcome(null);
+  }, []);
+
+  const handleClear = useCallback(() => {
+    setItems([]);
+    setOutcome(null);
+  }, []);
+
+  const handleOperationChange = useCallback((next) => {
+    setOperation(next);
+    setOutcome(null);
+    setItems((current) => current.map((item) => ({ ...item, blob: null, share: null })));
+  }, []);
+
+  const handleSplit = useCallback(async () => {
+    const text = message.trim();
+    if (!text) {
+      onError('Enter the secret to split.');
+      return;
+    }
+
+    const carriers = await Promise.all(items.map(async (item) => (await preflightInWorker(item.file)).carrier));
+    const blobs = await hideSecretSharesInWorker(carriers, { kind: SECRET_KINDS.TEXT, text }, {
+      threshold: Math.min(threshold, items.length),
+      passphrase,
+      scatterKey,
+      embedding,
+      compress,
+      ecc: eccLevel,
+      signingKey,
+    });
+    setItems((current) => current.map((item, i) => ({ ...item, blob: blobs[i], share: { index: i + 1 } })));
+  }, [items, message, threshold, passphrase, scatterKey, embedding, compress, eccLevel, signingKey, onError]);
+
+  const handleCombine = useCallback(async () => {
+    const result = await revealSecretSharesInWorker(items.map((item) => item.file), { passphrase, scatterKey });
+    setItems((current) => current.map((item, i) => ({ ...item, share: result.shares[i] })));
+    setOutcome(result);
+  }, [items, passphrase, scatterKey]);
+
+  const handleRun = useCallback(async () => {
+    if (items.length < MIN_SHARES) {
+      onError(`Add at least ${MIN_SHARES} images.`);
+      return;
+    }
+
+    setRunning(true);
+    setOutcome(null);
+    try {
+      await (operation === OPERATIONS.SPLIT ? handleSplit() : handleCombine());
+    } catch (error) {
+      console.error('Secret sharing failed:', error);
+      onError(error.message || 'Secret sharing failed.');
+    } finally {
+      setRunning(false);
+    }
+  }, [items, operation, handleSplit, handleCombine, onError]);
+
+  const handleDownloadAll = useCallback(async () => {
+    const total = items.length;
+    try {
+      const archive = await createZip(items.map((item, i) => ({
+        name: `share_${String(i + 1).padStart(3, '0')}_of_${total}_${baseName(item.file.name)}.png`,
+        data: item.blob,
+      })));
+      downloadBlob(archive, `steganography_shares_${Date.now()}.zip`);
+    } catch (error) {
+      console.error('Failed to build archive:', error);
+      onError('Failed to build the zip archive.');
+    }
+  }, [items, onError]);
+
+  const splitDone = operation === OPERATIONS.SPLIT && items.length > 0 && items.every((item) => item.blob);
+  const effectiveThreshold = Math.min(threshold, Math.max(items.length, MIN_SHARES));
+
+  return (
+    <section className="form-section share-panel">
+      <div className="form-group">
+        <div className="secret-header">
+          <span className="form-label">Secret Sharing</span>
+          <div className="mode-toggle compact" role="radiogroup" aria-label="Secret sharing operation">
+            {[[OPERATIONS.SPLIT, '✂️ Split'], [OPERATIONS.COMBINE, '🧩 Combine']].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                role="radio"
+                aria-checked={operation === value}
+                className={`mode-option ${operation === value ? 'active' : ''}`}
+                onClick={() => handleOperationChange(value)}
+                disabled={running}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="file-info">
+          <small>
+            {operation === OPERATIONS.SPLIT
+              ? 'Each image receives one share. Any chosen number of them recover the secret; fewer reveal nothing. Runs in the browser.'
+              : 'Add the share images you have. The secret is rebuilt once enough shares of one split are present.'}
+          </small>
+        </div>
+
+        <div
+          className={`file-drop-zone ${dragOver ? 'drag-over' : ''}`}
+          onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+          onDragLeave={(e) => { e.preventDefault(); setDragOver(false); }}
+          onDrop={handleDrop}
+        >
+          <div className="drop-zone-content">
+            <div className="upload-icon">🧩</div>
+            <p>{operation === OPERATIONS.SPLIT ? 'Drop one carrier image per share here, or' : 'Drop share images here, or'}</p>
+            <button
+              type="button"
+              className="upload-button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={running}
+            >
+              Choose Files
+            </button>
+          </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={handleFileChange}
+            className="file-input-hidden"
+            disabled={running}
+          />
+        </div>
+      </div>
+
+      {operation === OPERATIONS.SPLIT && (
+        <>
+          <div className="form-group">
+            <label htmlFor="share-message-input" className="form-label">
+              Secret Message
+            </label>
+            <textarea
+              id="share-message-input"
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              placeholder="The secret to split across the images"
+              className="message-input"
+              rows="3"
+              disabled={running}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="share-threshold-input" className="form-label">
+              Shares needed to recover
+            </label>
+            <input
+              id="share-threshold-input"
+              type="number"
+              min={MIN_SHARES}
+              max={Math.max(items.length, MIN_SHARES)}
+              value={effectiveThreshold}
+              onChange={(e) => setThreshold(Number(e.target.value) || MIN_SHARES)}
+              className="text-input share-threshold"
+              disabled={running}
+            />
+            <div className="file-info">
+              <small>
+                {effectiveThreshold} of {items.length} images will be needed
+              </small>
+            </div>
+          </div>
+        </>
+      )}
+
+      {items.length > 0 && (
+        <ul className="batch-list">
+          {items.map((item) => (
+            <li
+              key={item.id}
+              className={`batch-item ${item.blob || item.share?.status === SHARE_STATUSES.USED ? 'status-done' : ''}`}
+            >
+              <div className="batch-item-header">
+                <span className="image-name">{item.file.name}</span>
+                {item.share && (
+                  <span className="batch-status">
+                    {item.blob
+                      ? `Share #${item.share.index} of ${items.length}`
+                      : STATUS_LABELS[item.share.status](item.share.index)}
+                  </span>
+                )}
+              </div>
+              {item.blob && (
+                <button
+                  className="secondary-button"
+                  onClick={() => downloadBlob(item.blob, `share_${item.share.index}_of_${items.length}.png`)}
+                >
+                  📥 Download
+                </button>
+              )}
+              {!running && (
+                <button className="batch-remove" onClick={() => handleRemove(item.id)} aria-label={`Remove ${item.file.name}`}>
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {outcome && (
+        <div className="result-card detect-result share-outcome">
+          <p>
+            {outcome.found === 0
+              ? 'None of these images holds a share.'
+              : `${outcome.found} of ${outcome.total} shares found; ${outcome.threshold} are needed.`}
+          </p>
+          {outcome.message ? (
+            <div className="message-result">
+              <div className="message-header">
+                <h4>
+                  Secret Recovered:
+                  {outcome.encryption === ENCRYPTION_STATES.DECRYPTED && <span className="badge">🔓 Decrypted</span>}
+                </h4>
+              </div>
+              <div className="extracted-message">{outcome.message}</div>
+            </div>
+          ) : outcome.file ? (
+            <div className="result-actions">
+              <button
+                onClick={() => downloadBlob(new Blob([outcome.file.bytes], { type: outcome.file.type }), outcome.file.name)}
+                className="download-button"
+              >
+                📥 Download {outcome.file.name}
+              </button>
+            </div>
+          ) : outcome.encryption === ENCRYPTION_STATES.FAILED ? (
+            <p className="encoding-warning">🔐 Authentication failed. The passphrase is wrong.</p>
+          ) : outcome.encryption === ENCRYPTION_STATES.LOCKED ? (
+            <p className="encoding-warning">🔐 The secret is encrypted. Enter its passphrase and combine again.</p>
+          ) : null}
+        </div>
+      )}
+
+      <div className="result-actions batch-actions">
+        <button
+          onClick={handleRun}
+          disabled={running || items.length < MIN_SHARES}
+          className={`action-button ${operation === OPERATIONS.SPLIT ? 'inject-button' : 'detect-button'}`}
+        >
+          {running
+            ? 'Processing…'
+            : operation === OPERATIONS.SPLIT ? `Split across ${items.length} images` : `Combine ${items.length} images`}
+        </button>
+        {operation === OPERATIONS.SPLIT && (
+          <button onClick={handleDownloadAll} disabled={running || !splitDone} className="download-button">
+            📦 Download All (.zip)
+          </button>
+        )}
+        <button onClick={handleClear} disabled={running || items.length === 0} className="reset-button">
+          Clear
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default SharePanel;
@@ -0,0 +1,222 @@
+import React, { useCallback, useRef, useState } from 'react';
+import { generateSigningKey, importSigningKey, keyFingerprint, publicJwk, validateJwk } from '../stego/signature';
+import { exportSigningKey } from '../utils/keyStore';
+
+const downloadJson = (value, filename) => {
+  const url = window.URL.createObjectURL(new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+const readJwk = async (file, options) => {
+  let jwk;
+  try {
+    jwk = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error(`${file.name} is not a JWK file`);
+  }
+  return validateJwk(jwk, options);
+};
+
+// The browser's signing key pair (generate, import, share the public half) and the list of
+// public keys whose signatures Reveal reports as verified. Signing uses a non-extractable copy
+// of the private key (see ../utils/keyStore); exporting the key pair asks for confirmation first.
+const SigningKeys = ({
+  signingKey,
+  onSigningKeyChange,
+  trustedKeys,
+  onTrustedKeysChange,
+  sign,
+  onSignChange,
+  local,
+  disabled,
+  onError,
+}) => {
+  const [busy, setBusy] = useState(false);
+  const keyInputRef = useRef(null);
+  const trustedInputRef = useRef(null);
+
+  const adoptKey = useCallback(async (jwk) => {
+    const key = await importSigningKey(jwk);
+    onSigningKeyChange({ ...key, fingerprint: await keyFingerprint(key.publicKey), createdAt: Date.now() }, jwk);
+  }, [onSigningKeyChange]);
+
+  const handleGenerate = useCallback(async () => {
+    if (signingKey && !window.confirm('Replace your signing key? Images signed with it will no longer show as yours unless you trust its public key.')) {
+      return;
+    }
+    setBusy(true);
+    try {
+      await adoptKey(await generateSigningKey());
+    } catch (error) {
+      console.error('Failed to generate signing key:', error);
+      onError('Could not generate a signing key in this browser.');
+    } finally {
+      setBusy(false);
+    }
+  }, [signingKey, adoptKey, onError]);
+
+  const handleImportKey = useCallback(async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      await adoptKey(await readJwk(file, { requirePrivate: true }));
+    } catch (error) {
+      onError(error.message);
+    }
+  }, [adoptKey, onError]);
+
+  const handleExportKey = useCallback(async () => {
+    if (!window.confirm('Export your private signing key? Anyone who gets the file can sign as you, so keep it somewhere safe.')) {
+      return;
+    }
+    try {
+      const jwk = await exportSigningKey();
+      if (!jwk) {
+        onError('This signing key was not stored in this browser and cannot be exported.');
+        return;
+      }
+      downloadJson(jwk, 'stego-signing-key.jwk');
+    } catch (error) {
+      console.error('Failed to export signing key:', error);
+      onError('Could not export the signing key from this browser.');
+    }
+  }, [onError]);
+
+  const handleRemoveKey = useCallback(() => {
+    if (window.confirm('Delete your signing key from this browser? It cannot be recovered unless you exported the key pair.')) {
+      onSigningKeyChange(null);
+      onSignChange(false);
+    }
+  }, [onSigningKeyChange, onSignChange]);
+
+  const handleAddTrusted = useCallback(async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      const publicKey = publicJwk(await readJwk(file));
+      const fingerprint = await keyFingerprint(publicKey);
+      if (trustedKeys.some((key) => key.fingerprint === fingerprint)) {
+        onError('This key is already trusted.');
+        return;
+      }
+      const label = file.name.replace(/\.[^.]+$/, '');
+      onTrustedKeysChange([...trustedKeys, { fingerprint, label, publicKey, addedAt: Date.now() }]);
+    } catch (error) {
+      onError(error.message);
+    }
+  }, [trustedKeys, onTrustedKeysChange, onError]);
+
+  const handleRemoveTrusted = useCallback((fingerprint) => {
+    onTrustedKeysChange(trustedKeys.filter((key) => key.fingerprint !== fingerprint));
+  }, [trustedKeys, onTrustedKeysChange]);
+
+  return (
+    <div className="signing-keys">
+      <span className="form-label">Signing</span>
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          checked={sign && Boolean(signingKey)}
+          onChange={(e) => onSignChange(e.target.checked)}
+          disabled={disabled || !signingKey || !local}
+        />
+        Sign hidden data with my key
+      </label>
+      <div className="file-info">
+        <small>
+          {local
+            ? 'Reveal shows who signed a message and whether it was altered. The signature is encrypted along with the message when a passphrase is set.'
+            : 'Signing needs in-browser processing; the API cannot sign.'}
+        </small>
+      </div>
+
+      <div className="key-row">
+        {signingKey ? (
+          <>
+            <span className="key-fingerprint" title="Your public key fingerprint">🔑 <code>{signingKey.fingerprint}</code></span>
+            <button type="button" className="secondary-button" onClick={() => downloadJson(signingKey.publicKey, 'stego-public-key.jwk')}>
+              Share public key
+            </button>
+            <button type="button" className="secondary-button" onClick={handleExportKey} disabled={disabled}>
+              Export key pair
+            </button>
+            <button type="button" className="remove-image" onClick={handleRemoveKey} disabled={disabled}>
+              Delete
+            </button>
+          </>
+        ) : (
+          <span className="key-fingerprint">No signing key yet</span>
+        )}
+      </div>
+      <div className="file-info">
+        <small>
+          The private key stays in this browser and signing never reads it; export the key pair for a backup or to sign elsewhere.
+        </small>
+      </div>
+      <div className="key-row">
+        <button type="button" className="secondary-button" onClick={handleGenerate} disabled={disabled || busy}>
+          {signingKey ? 'New key pair' : 'Generate key pair'}
+        </button>
+        <button type="button" className="secondary-button" onClick={() => keyInputRef.current?.click()} disabled={disabled}>
+          Import key pair
+        </button>
+        <input
+          ref={keyInputRef}
+          type="file"
+          accept=".jwk,.json,application/json"
+          onChange={handleImportKey}
+          className="file-input-hidden"
+        />
+      </div>
+
+      <span className="form-label">Trusted keys</span>
+      {trustedKeys.length > 0 ? (
+        <ul className="trusted-keys">
+          {trustedKeys.map((key) => (
+            <li key={key.fingerprint}>
+              <span className="trusted-key-label">{key.label}</span>
+              <code>{key.fingerprint}</code>
+              <button
+                type="button"
+                className="remove-image"
+                onClick={() => handleRemoveTrusted(key.fingerprint)}
+                disabled={disabled}
+                aria-label={`Stop trusting ${key.label}`}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="file-info">
+          <small>Signatures from keys not listed here are reported as valid but unknown.</small>
+        </div>
+      )}
+      <button type="button" className="secondary-button" onClick={() => trustedInputRef.current?.click()} disabled={disabled}>
+        Add trusted public key
+      </button>
+      <input
+        ref={trustedInputRef}
+        type="file"
+        accept=".jwk,.json,application/json"
+        onChange={handleAddTrusted}
+        className="file-input-hidden"
+      />
+    </div>
+  );
+};
+
+export default SigningKeys;
@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { decodeInWorker } from '../workers/stegoWorkers';
+import { lsbPlane, differenceMap, CHANNELS } from '../stego/visualize';
+
+const VIEWS = [
+  { id: 'diff', label: 'Changes' },
+  { id: 'stego-r', label: 'LSB R', channel: CHANNELS.R },
+  { id: 'stego-g', label: 'LSB G', channel: CHANNELS.G },
+  { id: 'stego-b', label: 'LSB B', channel: CHANNELS.B },
+  { id: 'original-r', label: 'Original LSB R', channel: CHANNELS.R, source: 'original' },
+];
+
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 32;
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+// Bit-plane and difference viewer for the carrier and the stego image, with zoom and pan
+const StegoVisualizer = ({ original, stegoUrl }) => {
+  const [images, setImages] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [view, setView] = useState('diff');
+  const [stats, setStats] = useState(null);
+  const [zoom, setZoom] = useState(1);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+  const canvasRef = useRef(null);
+  const viewportRef = useRef(null);
+  const dragRef = useRef(null);
+
+  // Decode both images once; the views are derived from these pixels
+  useEffect(() => {
+    let cancelled = false;
+    setImages(null);
+    setLoadError(null);
+
+    Promise.all([
+      decodeInWorker(original),
+      fetch(stegoUrl).then((response) => response.blob()).then((blob) => decodeInWorker(blob)),
+    ])
+      .then(([originalPixels, stegoPixels]) => {
+        if (!cancelled) {
+          setImages({ original: originalPixels, stego: stegoPixels });
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to load images for visualization:', error);
+        if (!cancelled) {
+          setLoadError('Could not decode the images for inspection.');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [original, stegoUrl]);
+
+  // Render the selected view into the canvas
+  useEffect(() => {
+    if (!images || !canvasRef.current) {
+      return;
+    }
+
+    const selected = VIEWS.find((candidate) => candidate.id === view);
+    let rendered;
+
+    try {
+      if (selected.id === 'diff') {
+        const result = differenceMap(images.original, images.stego);
+        rendered = result.image;
+        setStats(result);
+      } else {
+        rendered = lsbPlane(selected.source === 'original' ? images.original : images.stego, selected.channel);
+      }
+    } catch (error) {
+      setLoadError(error.message);
+      return;
+    }
+
+    const canvas = canvasRef.current;
+    canvas.width = rendered.width;
+    canvas.height = rendered.height;
+    canvas.getContext('2d').putImageData(new ImageData(rendered.data, rendered.width, rendered.height), 0, 0);
+  }, [images, view]);
+
+  const resetView = useCallback(() => {
+    setZoom(1);
+    setOffset({ x: 0, y: 0 });
+  }, []);
+
+  // React registers wheel listeners as passive, so zooming needs a native one to stop page scroll
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    if (!viewport) {
+      return undefined;
+    }
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      setZoom((current) => clampZoom(current * (e.deltaY < 0 ? 1.25 : 0.8)));
+    };
+
+    viewport.addEventListener('wheel', handleWheel, { passive: false });
+    return () => viewport.removeEventListener('wheel', handleWheel);
+  }, [loadError]);
+
+  const handlePointerDown = useCallback((e) => {
+    dragRef.current = { x: e.clientX - offset.x, y: e.clientY - offset.y };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  }, [offset]);
+
+  const handlePointerMove = useCallback((e) => {
+    if (dragRef.current) {
+      setOffset({ x: e.clientX - dragRef.current.x, y: e.clientY - dragRef.current.y });
+    }
+  }, []);
+
+  const handlePointerUp = useCallback(() => {
+    dragRef.current = null;
+  }, []);
+
+  if (loadError) {
+    return <p className="visualizer-error">{loadError}</p>;
+  }
+
+  return (
+    <div className="visualizer">
+      <div className="visualizer-toolbar">
+        <div className="visualizer-views">
+          {VIEWS.map((candidate) => (
+            <button
+              key={candidate.id}
+              type="button"
+              className={`mode-option ${view === candidate.id ? 'active' : ''}`}
+              onClick={() => setView(candidate.id)}
+            >
+              {candidate.label}
+            </button>
+          ))}
+        </div>
+        <div className="visualizer-zoom">
+          <button type="button" onClick={() => setZoom((current) => clampZoom(current * 0.8))} aria-label="Zoom out">−</button>
+          <span>{Math.round(zoom * 100)}%</span>
+          <button type="button" onClick={() => setZoom((current) => clampZoom(current * 1.25))} aria-label="Zoom in">+</button>
+          <button type="button" onClick={resetView}>Reset</button>
+        </div>
+      </div>
+
+      <div
+        ref={viewportRef}
+        className="visualizer-viewport"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        {!images && <div className="visualizer-loading">Decoding images…</div>}
+        <canvas
+          ref={canvasRef}
+          className="visualizer-canvas"
+          style={{ transform: `translate(${offset.x}px, ${offset.y}px) scale(${zoom})` }}
+        />
+      </div>
+
+      {view === 'diff' && stats && (
+        <div className="format-info">
+          <span>
+            {stats.changedPixels.toLocaleString()} of {stats.totalPixels.toLocaleString()} pixels changed
+            ({((stats.changedPixels / stats.totalPixels) * 100).toFixed(2)}%)
+          </span>
+          <span>Largest change: {stats.maxDelta} levels</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StegoVisualizer;
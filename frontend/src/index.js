@@ -135,11 +135,11 @@ const reportWebVitals = (onPerfEntry) => {
   }
 };
 
-// Service Worker registration for PWA capabilities (optional)
+// Service Worker registration for PWA capabilities (public/sw.js precaches the app shell)
 const registerServiceWorker = () => {
   if ('serviceWorker' in navigator && process.env.NODE_ENV === 'production') {
     window.addEventListener('load', () => {
-      navigator.serviceWorker.register('/sw.js')
+      navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/sw.js`)
         .then((registration) => {
           console.log('SW registered: ', registration);
         })
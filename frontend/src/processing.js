@@ -0,0 +1,283 @@
+// Hide/Reveal pipelines shared by the single-image form, the batch queue and secret sharing.
+// The browser writes the versioned container; the server only speaks the legacy format, so
+// server-mode Reveal opens containers here and leaves the legacy format to the server.
+import { embedPayload, extractPayload, FORMATS } from './stego/codec';
+import { FLAGS, CHECKSUM_STATES } from './stego/container';
+import { deriveScatterSeed } from './stego/scatter';
+import { DEFAULT_EMBEDDING, encodeEmbedding } from './stego/embedding';
+import { ECC_LEVELS } from './stego/ecc';
+import { loadPixels, readImageInfo, imageDataToPngBlob, animationToPngBlob } from './stego/image';
+import { unstackFrames } from './stego/animation';
+import { PROCESSING_MODES } from './stego/capacity';
+import { utf8Length } from './stego/encoding';
+import { sealMessage, sealPayload, openPayload } from './stego/payload';
+import { NOTHING_FOUND, hideInPixels, revealFromPixels, openLegacyMessage } from './stego/pipeline';
+import { createShares, readShare, recoverPayload } from './stego/shamir';
+import { stegoClient } from './api/stegoClient';
+import { CancelledError } from './api/errors';
+
+const SERVER_NO_MESSAGE = 'No message found';
+
+// What each image contributed when reconstructing a shared secret
+export const SHARE_STATUSES = {
+  USED: 'used',
+  DUPLICATE: 'duplicate',
+  OTHER_SET: 'other-set',
+  NOT_SHARE: 'not-share',
+  NOT_FOUND: 'not-found',
+  DAMAGED: 'damaged',
+  SCATTERED: 'scattered',
+};
+
+const noop = () => {};
+
+// Local work cannot be interrupted mid-step, so cancellation is checked between steps
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw new CancelledError();
+  }
+};
+
+// Animations go back out as APNG with every frame and its timing; GIF cannot hold the
+// modified pixels without re-quantizing them
+const stegoBlob = (stego, animation) =>
+  animation ? animationToPngBlob(unstackFrames(stego, animation)) : imageDataToPngBlob(stego);
+
+// Processing backends: each returns the same shape so callers do not care which ran
+const injectLocally = async (file, secret, { passphrase, scatterKey, embedding, compress, ecc, signingKey, decoy, signal, onProgress }) => {
+  const { imageData, animation } = await loadPixels(file);
+  throwIfAborted(signal);
+  onProgress(0.3);
+  const stego = await hideInPixels(imageData, secret, { passphrase, scatterKey, embedding, compress, ecc, signingKey, decoy });
+  throwIfAborted(signal);
+  onProgress(0.8);
+  return stegoBlob(stego, animation);
+};
+
+// Upload counts for the first 80% of the progress, the download of the PNG for the rest
+const injectOnServer = async (file, secret, { passphrase, scatterKey, embedding, ecc, signingKey, decoy, signal, onProgress, onTransfer }) => {
+  if (scatterKey) {
+    throw new Error('Key-scattered embedding is only available when processing in the browser');
+  }
+  if (encodeEmbedding(embedding) !== encodeEmbedding(DEFAULT_EMBEDDING)) {
+    throw new Error('Custom bits per channel and channels are only available when processing in the browser');
+  }
+  if (ecc !== ECC_LEVELS.NONE) {
+    throw new Error('Error correction is only available when processing in the browser');
+  }
+  if (signingKey) {
+    throw new Error('Signing is only available when processing in the browser');
+  }
+  if (decoy) {
+    throw new Error('Decoy messages are only available when processing in the browser');
+  }
+  if ((await readImageInfo(file)).frames > 1) {
+    throw new Error('Animated carriers are only supported when processing in the browser');
+  }
+  const message = await sealMessage(secret, passphrase);
+  return stegoClient.inject(file, message, {
+    signal,
+    onProgress: (transfer) => {
+      onTransfer(transfer);
+      if (transfer.fraction !== null) {
+        onProgress(transfer.phase === 'upload' ? transfer.fraction * 0.8 : 0.8 + transfer.fraction * 0.2);
+      }
+    },
+  });
+};
+
+const detectLocally = async (pixels, passphrase, scatterKey) => ({
+  ...(await revealFromPixels(pixels, { passphrase, scatterKey })),
+  ai_analysis: null,
+});
+
+const detectOnServer = async (file, { passphrase, scatterKey, aiAnalysis, pixels, signal, onProgress, onTransfer }) => {
+  // Images from the in-browser encoder or the CLI hold a container the server cannot read; the
+  // server is then only asked for the AI analysis
+  const imageData = pixels || (await loadPixels(file)).imageData;
+  throwIfAborted(signal);
+  const local = await revealFromPixels(imageData, { passphrase, scatterKey });
+  const container = local.format?.name === FORMATS.CONTAINER;
+  if (container && !aiAnalysis) {
+    return { ...local, ai_analysis: null };
+  }
+
+  const body = await stegoClient.detect(file, {
+    aiAnalysis,
+    signal,
+    onProgress: (transfer) => {
+      onTransfer(transfer);
+      if (transfer.phase === 'upload' && transfer.fraction !== null) {
+        onProgress(transfer.fraction * 0.9);
+      }
+    },
+  });
+
+  const { extracted_message: extracted, utf8_valid: utf8Valid = true, ai_analysis } = body;
+  if (container) {
+    return { ...local, ai_analysis };
+  }
+  const opened = extracted && extracted !== SERVER_NO_MESSAGE
+    ? await openLegacyMessage({ message: extracted, size: utf8Length(extracted), utf8Valid }, passphrase)
+    : NOTHING_FOUND;
+  return { ...opened, ai_analysis };
+};
+
+// Embeds a secret into an image file and resolves with the stego PNG.
+// onProgress gets an overall fraction; onTransfer gets raw { phase, fraction } network events.
+// `scatterKey` (key-seeded bit ordering), `embedding` (bits per channel and channels) and `ecc`
+// (Reed-Solomon redundancy, an ECC_LEVELS value) are only supported by the in-browser encoder.
+// Reveal reads the embedding from the container header; only the scatter key has to be
+// supplied again. `compress` deflates the payload when that shrinks it; the legacy format has
+// no flag for it, so the server path stores text as is.
+// `signingKey`, a private JWK or an imported key pair (see ./stego/signature), signs the
+// payload; also browser only.
+// `decoy` ({ secret, passphrase }) is what Reveal shows under the decoy passphrase; `secret`
+// then only opens with `passphrase`, and nothing shows that it exists (see ./stego/deniable).
+export const hideSecret = async (file, secret, {
+  passphrase,
+  scatterKey,
+  embedding = DEFAULT_EMBEDDING,
+  compress = false,
+  ecc = ECC_LEVELS.NONE,
+  signingKey = null,
+  decoy = null,
+  mode,
+  signal,
+  onProgress = noop,
+  onTransfer = noop,
+}) => {
+  const options = { passphrase, scatterKey, embedding, compress, ecc, signingKey, decoy, signal, onProgress, onTransfer };
+  const blob = mode === PROCESSING_MODES.LOCAL
+    ? await injectLocally(file, secret, options)
+    : await injectOnServer(file, secret, options);
+  onProgress(1);
+  return blob;
+};
+
+// Extracts and opens whatever an image hides. `pixels` skips decoding when the caller has them
+// (for animations, the stacked frames from loadPixels).
+export const revealSecret = async (file, {
+  passphrase,
+  scatterKey,
+  mode,
+  aiAnalysis = false,
+  pixels,
+  signal,
+  onProgress = noop,
+  onTransfer = noop,
+}) => {
+  let data;
+  if (mode === PROCESSING_MODES.LOCAL) {
+    const imageData = pixels || (await loadPixels(file)).imageData;
+    throwIfAborted(signal);
+    onProgress(0.5);
+    data = await detectLocally(imageData, passphrase, scatterKey);
+  } else {
+    data = await detectOnServer(file, { passphrase, scatterKey, aiAnalysis, pixels, signal, onProgress, onTransfer });
+  }
+  onProgress(1);
+  return data;
+};
+
+// Splits a secret across several carriers with Shamir's scheme: any `threshold` of the returned
+// stego PNGs (one per carrier, in order) recover it, fewer reveal nothing. Always runs in the
+// browser; the other options behave as in hideSecret.
+export const hideSecretShares = async (files, secret, {
+  threshold,
+  passphrase,
+  scatterKey,
+  embedding = DEFAULT_EMBEDDING,
+  compress = false,
+  ecc = ECC_LEVELS.NONE,
+  signingKey = null,
+  signal,
+  onProgress = noop,
+}) => {
+  const { payload, flags } = await sealPayload(secret, passphrase, { compress, signingKey });
+  const shares = createShares(payload, flags, files.length, threshold);
+  const scatterSeed = scatterKey ? await deriveScatterSeed(scatterKey) : null;
+
+  const blobs = [];
+  for (let i = 0; i < files.length; i++) {
+    throwIfAborted(signal);
+    const { imageData, animation } = await loadPixels(files[i]);
+    const stego = embedPayload(imageData, shares[i], FLAGS.SHARE, { scatterSeed, embedding, ecc });
+    blobs.push(await stegoBlob(stego, animation));
+    onProgress((i + 1) / files.length);
+  }
+  return blobs;
+};
+
+const readShareFrom = async (file, scatterSeed) => {
+  const extracted = extractPayload((await loadPixels(file)).imageData, scatterSeed);
+  if (!extracted || extracted.format !== FORMATS.CONTAINER) {
+    return { status: SHARE_STATUSES.NOT_FOUND };
+  }
+  if (!extracted.payload) {
+    return { status: SHARE_STATUSES.SCATTERED };
+  }
+  if (!(extracted.flags & FLAGS.SHARE)) {
+    return { status: SHARE_STATUSES.NOT_SHARE };
+  }
+  const share = readShare(extracted.payload);
+  if (!share || extracted.checksum !== CHECKSUM_STATES.VALID) {
+    return { status: SHARE_STATUSES.DAMAGED };
+  }
+  return { status: SHARE_STATUSES.USED, share };
+};
+
+// Reads a share from every image and rebuilds the secret once enough shares of one set are
+// present. Resolves with the opened secret (as from revealSecret) plus `shares`, one
+// { status, index } per file in order, and `threshold`, `total` and `found` for the set used.
+export const revealSecretShares = async (files, { passphrase, scatterKey, signal, onProgress = noop }) => {
+  const scatterSeed = scatterKey ? await deriveScatterSeed(scatterKey) : null;
+
+  const results = [];
+  for (let i = 0; i < files.length; i++) {
+    throwIfAborted(signal);
+    results.push(await readShareFrom(files[i], scatterSeed));
+    onProgress((i + 1) / files.length);
+  }
+
+  // Images from several splits may be mixed; the set with the most shares wins
+  const sets = new Map();
+  results.forEach(({ share }) => {
+    if (share) {
+      sets.set(share.setId, (sets.get(share.setId) || 0) + 1);
+    }
+  });
+  const [setId] = [...sets.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+
+  const used = new Map();
+  const shares = results.map(({ status, share }) => {
+    if (!share) {
+      return { status, index: null };
+    }
+    if (share.setId !== setId) {
+      return { status: SHARE_STATUSES.OTHER_SET, index: share.index };
+    }
+    if (used.has(share.index)) {
+      return { status: SHARE_STATUSES.DUPLICATE, index: share.index };
+    }
+    used.set(share.index, share);
+    return { status, index: share.index };
+  });
+
+  const found = [...used.values()];
+  const report = {
+    shares,
+    found: found.length,
+    threshold: found[0]?.threshold ?? null,
+    total: found[0]?.total ?? null,
+  };
+  if (found.length === 0 || found.length < found[0].threshold) {
+    return { ...NOTHING_FOUND, ...report, recovered: false };
+  }
+
+  const recovered = recoverPayload(found);
+  if (!recovered) {
+    throw new Error('The shares do not reproduce the original secret. At least one of them was altered.');
+  }
+  return { ...(await openPayload(recovered, passphrase)), ...report, recovered: true };
+};
@@ -0,0 +1,21 @@
+// jest-dom adds custom jest matchers for asserting on DOM nodes.
+import '@testing-library/jest-dom';
+import { webcrypto } from 'crypto';
+import { Blob, File } from 'buffer';
+import { CompressionStream, DecompressionStream } from 'stream/web';
+
+// Jest's test environments predate Node's WebCrypto, Blob, File and compression stream
+// globals, which the codec in ./stego and the zip writer use as they do in the browser
+const define = (name, value) => Object.defineProperty(global, name, { value, configurable: true, writable: true });
+
+if (!global.crypto?.subtle) {
+  define('crypto', webcrypto);
+}
+if (typeof global.Blob === 'undefined') {
+  define('Blob', Blob);
+  define('File', File);
+}
+if (typeof global.CompressionStream === 'undefined') {
+  define('CompressionStream', CompressionStream);
+  define('DecompressionStream', DecompressionStream);
+}
@@ -0,0 +1,72 @@
+// Multi-frame carriers. The frames of an animation are stacked top to bottom into one tall
+// image, so the header lands in the first frame and the payload runs on through every frame
+// after it; the codecs need no idea of frames at all. Unstacking puts the modified pixels back
+// with the original timing.
+import { apngFrameCount, decodeApng } from './png.js';
+import { isGif, countGifFrames, decodeGif } from './gif.js';
+
+// Fully decoded frames are held in memory at once
+export const MAX_ANIMATION_PIXELS = 40000000;
+
+export const isWebp = (bytes) =>
+  String.fromCharCode(...bytes.subarray(0, 4)) === 'RIFF' && String.fromCharCode(...bytes.subarray(8, 12)) === 'WEBP';
+
+// Extended WebP (VP8X) with the animation flag set
+export const isAnimatedWebp = (bytes) =>
+  isWebp(bytes) && String.fromCharCode(...bytes.subarray(12, 16)) === 'VP8X' && Boolean(bytes[20] & 0x02);
+
+// Frames in an APNG or GIF; 1 for still images and formats decoded elsewhere (animated WebP
+// needs the browser's ImageDecoder)
+export const countFrames = (bytes) => {
+  if (isGif(bytes)) return countGifFrames(bytes);
+  return apngFrameCount(bytes) || 1;
+};
+
+// GIF logical screen or PNG IHDR dimensions, read before decoding anything
+const canvasSize = (bytes) => {
+  if (isGif(bytes)) {
+    return { width: bytes[6] | (bytes[7] << 8), height: bytes[8] | (bytes[9] << 8) };
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return { width: view.getUint32(16), height: view.getUint32(20) };
+};
+
+export const checkAnimationSize = ({ width, height }, frameCount) => {
+  if (width * height * frameCount > MAX_ANIMATION_PIXELS) {
+    throw new Error(
+      `The animation is too large to process (${frameCount} frames of ${width}×${height}). ` +
+      'Shorten it or reduce its size first.',
+    );
+  }
+};
+
+// Decodes an APNG or animated GIF into { width, height, frames: [{ data, delay }], loops }, delays
+// in milliseconds and loops as a number of plays (0 for forever). Resolves with null for still
+// images and single-frame animations.
+export const decodeAnimation = async (bytes) => {
+  const frameCount = countFrames(bytes);
+  if (frameCount < 2) {
+    return null;
+  }
+  checkAnimationSize(canvasSize(bytes), frameCount);
+  return isGif(bytes) ? decodeGif(bytes) : decodeApng(bytes);
+};
+
+// One ImageData-like image holding every frame, first frame on top
+export const stackFrames = ({ width, height, frames }) => {
+  const data = new Uint8ClampedArray(width * height * 4 * frames.length);
+  frames.forEach((frame, i) => data.set(frame.data, i * width * height * 4));
+  return { width, height: height * frames.length, data };
+};
+
+// Splits a stacked image back into the frames of `animation`, keeping their delays
+export const unstackFrames = (stacked, animation) => {
+  const frameLength = animation.width * animation.height * 4;
+  return {
+    ...animation,
+    frames: animation.frames.map((frame, i) => ({
+      data: stacked.data.slice(i * frameLength, (i + 1) * frameLength),
+      delay: frame.delay,
+    })),
+  };
+};
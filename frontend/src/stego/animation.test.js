@@ -0,0 +1,49 @@
+/**
+ * @jest-environment node
+ */
+import { decodeAnimation, stackFrames, unstackFrames, checkAnimationSize, countFrames, isAnimatedWebp } from './animation.js';
+import { encodePng, encodeApng } from './png.js';
+import { embedPayload, extractPayload } from './codec.js';
+import { CHECKSUM_STATES } from './container.js';
+
+const frame = (width, height, value, delay) => ({ data: new Uint8ClampedArray(width * height * 4).fill(value), delay });
+
+describe('animated carriers', () => {
+  const animation = { width: 10, height: 6, loops: 0, frames: [frame(10, 6, 40, 100), frame(10, 6, 90, 200), frame(10, 6, 200, 50)] };
+
+  it('decodes an APNG and leaves still images alone', async () => {
+    const bytes = await encodeApng(animation);
+    expect(countFrames(bytes)).toBe(3);
+    expect(await decodeAnimation(bytes)).toEqual(animation);
+
+    const still = await encodePng({ width: 2, height: 2, data: new Uint8ClampedArray(16).fill(255) });
+    expect(countFrames(still)).toBe(1);
+    expect(await decodeAnimation(still)).toBeNull();
+  });
+
+  it('carries a payload across stacked frames and puts them back', () => {
+    const stacked = stackFrames(animation);
+    expect(stacked).toMatchObject({ width: 10, height: 18 });
+
+    // More than one frame holds: 10×6 pixels at 3 bits each is 22 bytes per frame
+    const payload = Uint8Array.from({ length: 30 }, (_, i) => i * 5);
+    const stego = unstackFrames(embedPayload(stacked, payload, 0), animation);
+    expect(stego.frames.map((item) => item.delay)).toEqual([100, 200, 50]);
+    expect(stego.frames[1].data).not.toEqual(animation.frames[1].data);
+    expect(extractPayload(stackFrames(stego))).toMatchObject({ payload, checksum: CHECKSUM_STATES.VALID });
+  });
+
+  it('refuses animations too large to hold in memory', () => {
+    expect(() => checkAnimationSize({ width: 2000, height: 2000 }, 11)).toThrow(/too large to process \(11 frames of 2000×2000\)/);
+    expect(() => checkAnimationSize({ width: 2000, height: 2000 }, 10)).not.toThrow();
+  });
+
+  it('recognises animated WebP', () => {
+    const webp = new Uint8Array(30);
+    webp.set(new TextEncoder().encode('RIFF'));
+    webp.set(new TextEncoder().encode('WEBPVP8X'), 8);
+    expect(isAnimatedWebp(webp)).toBe(false);
+    webp[20] = 0x02;
+    expect(isAnimatedWebp(webp)).toBe(true);
+  });
+});
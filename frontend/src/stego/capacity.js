@@ -0,0 +1,115 @@
+// Carrier capacity and payload size estimates for both embedding formats.
+import { TERMINATOR } from './lsb.js';
+import { ARMOR_PREFIX, ENCRYPTION_OVERHEAD } from './crypto.js';
+import { HEADER_LENGTH } from './container.js';
+import { containerCapacityBits } from './codec.js';
+import { DEFAULT_EMBEDDING, bitsPerPixelFor, estimatePsnr } from './embedding.js';
+import { utf8Length } from './encoding.js';
+import { ECC_LEVELS, eccEncodedLength } from './ecc.js';
+import { SECRET_KINDS, encodeFileMessage, packedFileLength } from './payload.js';
+import { SIGNATURE_LENGTH } from './signature.js';
+import { trailerLength } from './deniable.js';
+
+export const PROCESSING_MODES = { LOCAL: 'local', SERVER: 'server' };
+
+// LSBs the backend writes per pixel into the layouts it embeds into as they are. Every other
+// layout (LA, palette, CMYK, ...) is converted to RGB or RGBA first and takes 3; keep this in
+// step with normalize_mode in backend/main.py. The browser always decodes to RGBA, so there the
+// embedding settings alone decide.
+const SERVER_BITS_PER_PIXEL = { L: 1, RGB: 3, RGBA: 3 };
+const SERVER_CONVERTED_BITS_PER_PIXEL = 3;
+
+export const bitsPerPixel = (layout, mode, embedding = DEFAULT_EMBEDDING) =>
+  mode === PROCESSING_MODES.LOCAL
+    ? bitsPerPixelFor(embedding)
+    : SERVER_BITS_PER_PIXEL[layout] ?? SERVER_CONVERTED_BITS_PER_PIXEL;
+
+// The browser embeds into all frames of an animation stacked into one tall image (see
+// ./animation); the server would only see the first frame, so it takes no animations at all
+const stackedInfo = (info) => ({ ...info, height: info.height * (info.frames || 1) });
+
+export const carrierCapacityBits = (info, mode, embedding = DEFAULT_EMBEDDING) => {
+  if (mode === PROCESSING_MODES.LOCAL) {
+    return containerCapacityBits(stackedInfo(info), embedding);
+  }
+  return info.frames > 1 ? 0 : info.width * info.height * bitsPerPixel(info.layout, mode);
+};
+
+// Bits written for a message in the legacy format: its UTF-8 bytes plus the terminator
+export const messageBits = (message) => utf8Length(message) * 8 + TERMINATOR.length;
+
+// Length of the armored text encryptMessage() produces for a message
+export const encryptedMessageLength = (message) =>
+  ARMOR_PREFIX.length + 4 * Math.ceil((ENCRYPTION_OVERHEAD + utf8Length(message)) / 3);
+
+const contentBytes = (secret) =>
+  secret.kind === SECRET_KINDS.FILE ? secret.file.bytes.length : utf8Length(secret.text);
+
+// Legacy format (server path): armored text as UTF-8, terminator
+const estimateLegacy = (secret, encrypted) => {
+  const text = secret.kind === SECRET_KINDS.FILE ? encodeFileMessage(secret.file) : secret.text;
+  return encrypted ? encryptedMessageLength(text) * 8 + TERMINATOR.length : messageBits(text);
+};
+
+// Payload bytes before encryption: deflated when that was smaller, plus any signature
+const sealedLength = (secret, compression, signed) => {
+  const body = compression?.compressed
+    ? compression.storedBytes
+    : secret.kind === SECRET_KINDS.FILE ? packedFileLength(secret.file) : utf8Length(secret.text);
+  return body + (signed ? SIGNATURE_LENGTH : 0);
+};
+
+// Container format (JS encoder): header plus sealed payload and any error-correction parity
+const estimateContainer = (secret, encrypted, compression, ecc, signed) => {
+  const sealed = sealedLength(secret, compression, signed) + (encrypted ? ENCRYPTION_OVERHEAD : 0);
+  return (HEADER_LENGTH + eccEncodedLength(sealed, ecc)) * 8;
+};
+
+// Deniable container (see ./deniable): the encrypted decoy as the visible payload, the secret
+// in the trailer. The decoy is counted uncompressed, which can only overestimate.
+const estimateDeniable = (secret, decoy, compression, ecc, signed) =>
+  estimateContainer(decoy, true, null, ecc, signed) + trailerLength(sealedLength(secret, compression, signed), ecc) * 8;
+
+// Splits the bits a secret will occupy into content and overhead (header or terminator,
+// armor, file metadata, salt/IV/tag, signature, error-correction parity). `compression` is the
+// result of measuring the payload with compressPayload; a compressed payload counts as content,
+// file metadata included. Only the container format can be `signed` or carry a `decoy` secret,
+// which counts as content too.
+export const estimatePayload = (secret, mode, {
+  encrypted,
+  compression = null,
+  ecc = ECC_LEVELS.NONE,
+  signed = false,
+  decoy = null,
+}) => {
+  const local = mode === PROCESSING_MODES.LOCAL;
+  const totalBits = !local ? estimateLegacy(secret, encrypted)
+    : decoy ? estimateDeniable(secret, decoy, compression, ecc, signed)
+      : estimateContainer(secret, encrypted, compression, ecc, signed);
+  const decoyBits = local && decoy ? contentBytes(decoy) * 8 : 0;
+  const contentBits = (local && compression?.compressed ? compression.storedBytes : contentBytes(secret)) * 8 + decoyBits;
+  return { contentBits, overheadBits: totalBits - contentBits, totalBits };
+};
+
+// Everything the capacity meter needs for one carrier/message combination. The PSNR estimate
+// only applies to the in-browser encoder, which rewrites every payload slot whatever the
+// message length (see embedPayload in ./codec).
+// `frameCapacityBits` is what one frame of an animation adds.
+export const analyzeCapacity = (info, mode, secret, { embedding = DEFAULT_EMBEDDING, ...options }) => {
+  const capacityBits = carrierCapacityBits(info, mode, embedding);
+  const payload = estimatePayload(secret, mode, options);
+  const local = mode === PROCESSING_MODES.LOCAL;
+  const frames = info.frames || 1;
+  const perPixel = !local && frames > 1 ? 0 : bitsPerPixel(info.layout, mode, embedding);
+  return {
+    ...info,
+    ...payload,
+    frames,
+    bitsPerPixel: perPixel,
+    capacityBits,
+    frameCapacityBits: info.width * info.height * perPixel,
+    fits: payload.totalBits <= capacityBits,
+    compression: local ? options.compression ?? null : null,
+    psnr: local ? estimatePsnr(stackedInfo(info), embedding, capacityBits) : null,
+  };
+};
@@ -0,0 +1,25 @@
+/**
+ * @jest-environment node
+ */
+import { bitsPerPixel, carrierCapacityBits, PROCESSING_MODES } from './capacity.js';
+import { CHANNELS } from './visualize.js';
+
+describe('bitsPerPixel', () => {
+  it('follows the layouts the backend converts uploads to', () => {
+    const server = (layout) => bitsPerPixel(layout, PROCESSING_MODES.SERVER);
+    expect(server('L')).toBe(1);
+    expect(['RGB', 'RGBA', 'LA', 'P', 'CMYK'].map(server)).toEqual([3, 3, 3, 3, 3]);
+  });
+
+  it('uses the embedding settings in the browser', () => {
+    const embedding = { bitsPerChannel: 2, channels: [CHANNELS.R, CHANNELS.G, CHANNELS.B, CHANNELS.A] };
+    expect(bitsPerPixel('L', PROCESSING_MODES.LOCAL, embedding)).toBe(8);
+  });
+});
+
+describe('carrierCapacityBits', () => {
+  it('counts converted layouts on the server but no animations', () => {
+    expect(carrierCapacityBits({ width: 10, height: 10, layout: 'LA' }, PROCESSING_MODES.SERVER)).toBe(300);
+    expect(carrierCapacityBits({ width: 10, height: 10, layout: 'RGB', frames: 3 }, PROCESSING_MODES.SERVER)).toBe(0);
+  });
+});
@@ -0,0 +1,172 @@
+// High-level embedding and extraction on top of the LSB primitives.
+//
+// The container header always sits in the first bits of the sequential 1-bit R/G/B stream so
+// any decoder can find it. From version 2 on, the payload starts at the first pixel after the
+// header and uses whatever bits per channel and channels the header records. Version 3 adds
+// optional Reed-Solomon parity (see ./ecc) around the payload, version 4 parity inside the
+// header, which moves the payload a few pixels further down (see ./container).
+import { capacityBits, embedBytes, readBytes, readBytesAt, extractMessage } from './lsb.js';
+import { buildHeader, parseHeader, verifyPayload, HEADER_LENGTH, FLAGS } from './container.js';
+import { DEFAULT_EMBEDDING, slotCount, writeSlots, readSlots } from './embedding.js';
+import { scatterPositions } from './scatter.js';
+import { ECC_LEVELS, eccEncode, eccDecode } from './ecc.js';
+import { decodeUtf8, randomBytes } from './encoding.js';
+
+export const FORMATS = { CONTAINER: 'container', LEGACY: 'legacy' };
+
+// Header bits are written 3 per pixel, so the payload region starts after these pixels
+const payloadStartPixel = (headerLength) => Math.ceil((headerLength * 8) / 3);
+
+export const PAYLOAD_START_PIXEL = payloadStartPixel(HEADER_LENGTH);
+
+// Bits available for header plus payload with the given embedding settings
+export const containerCapacityBits = (imageData, embedding = DEFAULT_EMBEDDING) =>
+  HEADER_LENGTH * 8 + slotCount(imageData, embedding, PAYLOAD_START_PIXEL);
+
+// Slot indices start..start+count-1, for reading or writing part of a sequential payload region
+const slotRange = (start, count) => Uint32Array.from({ length: count }, (_, i) => start + i);
+
+// `scatterSeed` (from deriveScatterSeed) spreads the payload in a key-dependent order;
+// `embedding` picks bits per channel and channels (see ./embedding); `ecc` is an ECC_LEVELS value.
+// `trailer` is stored right after the payload, in the same order, without the header counting
+// it (see ./deniable). Every payload slot is first filled with random bits, with or without a
+// trailer, so where the payload ends does not show and a trailer looks like the filler.
+export const embedPayload = (imageData, payload, flags, {
+  scatterSeed = null,
+  embedding = DEFAULT_EMBEDDING,
+  ecc = ECC_LEVELS.NONE,
+  trailer = null,
+} = {}) => {
+  const stored = eccEncode(payload, ecc);
+  const written = stored.length + (trailer ? trailer.length : 0);
+  const slots = slotCount(imageData, embedding, PAYLOAD_START_PIXEL);
+  const needed = (HEADER_LENGTH + written) * 8;
+  if (written * 8 > slots) {
+    throw new Error(
+      `Payload is too large for this image (${needed} bits needed, ${containerCapacityBits(imageData, embedding)} available)`
+    );
+  }
+
+  const header = buildHeader(payload, scatterSeed ? flags | FLAGS.SCATTERED : flags, embedding, ecc);
+  const stego = embedBytes(imageData, header);
+  writeSlots(stego.data, randomBytes(Math.floor(slots / 8)), embedding, PAYLOAD_START_PIXEL);
+  const positions = scatterSeed ? scatterPositions(scatterSeed, 0, slots, written * 8) : null;
+  writeSlots(stego.data, stored, embedding, PAYLOAD_START_PIXEL, positions);
+  if (trailer) {
+    writeSlots(stego.data, trailer, embedding, PAYLOAD_START_PIXEL,
+      positions ? positions.subarray(stored.length * 8) : slotRange(stored.length * 8, trailer.length * 8));
+  }
+  return stego;
+};
+
+// `count` bytes of a version 2+ container's payload region, `start` bytes in, in the order its
+// payload was written; null when the region ends first or a scattered order has no seed
+export const readPayloadRegion = (imageData, { headerLength, embedding, flags }, start, count, scatterSeed = null) => {
+  const startPixel = payloadStartPixel(headerLength);
+  const slots = slotCount(imageData, embedding, startPixel);
+  const end = (start + count) * 8;
+  if (end > slots) {
+    return null;
+  }
+  if (!(flags & FLAGS.SCATTERED)) {
+    return readSlots(imageData.data, count, embedding, startPixel, slotRange(start * 8, count * 8));
+  }
+  return scatterSeed
+    ? readSlots(imageData.data, count, embedding, startPixel, scatterPositions(scatterSeed, 0, slots, end).subarray(start * 8))
+    : null;
+};
+
+// Version 1 containers continue the sequential 1-bit stream right after their header
+const readVersion1Payload = (imageData, header, scatterSeed) => {
+  const headerBits = header.headerLength * 8;
+  if (header.length * 8 > capacityBits(imageData) - headerBits) {
+    return undefined;
+  }
+  if (!(header.flags & FLAGS.SCATTERED)) {
+    return readBytes(imageData, header.headerLength, header.length);
+  }
+  return scatterSeed
+    ? readBytesAt(imageData.data, scatterPositions(scatterSeed, headerBits, capacityBits(imageData), header.length * 8))
+    : null;
+};
+
+const readPayload = (imageData, header, scatterSeed) => {
+  const startPixel = payloadStartPixel(header.headerLength);
+  const slots = slotCount(imageData, header.embedding, startPixel);
+  const scattered = Boolean(header.flags & FLAGS.SCATTERED);
+  if (header.length * 8 > slots) {
+    // Rows cropped off the bottom only cost the tail of a sequential stream, which error
+    // correction can restore; a scattered order depends on the image size and is lost
+    return header.ecc !== ECC_LEVELS.NONE && !scattered
+      ? readSlots(imageData.data, Math.floor(slots / 8), header.embedding, startPixel)
+      : undefined;
+  }
+  if (!scattered) {
+    return readSlots(imageData.data, header.length, header.embedding, startPixel);
+  }
+  return scatterSeed
+    ? readSlots(imageData.data, header.length, header.embedding, startPixel,
+      scatterPositions(scatterSeed, 0, slots, header.length * 8))
+    : null;
+};
+
+const readContainer = (imageData, scatterSeed) => {
+  const capacityBytes = Math.floor(capacityBits(imageData) / 8);
+  const header = parseHeader(readBytes(imageData, 0, Math.min(HEADER_LENGTH, capacityBytes)));
+  if (!header) {
+    return null;
+  }
+
+  // undefined: the header claims more than the image holds, so it is not a real container
+  const payload = header.version === 1
+    ? readVersion1Payload(imageData, header, scatterSeed)
+    : readPayload(imageData, header, scatterSeed);
+  if (payload === undefined) {
+    return null;
+  }
+
+  let ecc = null;
+  let corrected = payload;
+  if (payload && header.ecc !== ECC_LEVELS.NONE) {
+    const decoded = eccDecode(payload, header.ecc, header.length);
+    corrected = decoded.payload;
+    ecc = {
+      level: header.ecc,
+      corrected: decoded.corrected,
+      unrecoverable: decoded.unrecoverable,
+      blocks: decoded.blocks,
+    };
+  }
+
+  return {
+    format: FORMATS.CONTAINER,
+    version: header.version,
+    headerLength: header.headerLength,
+    flags: header.flags,
+    embedding: header.embedding,
+    length: header.length,
+    payload: corrected,
+    ecc,
+    // Without the key the bit order of a scattered payload is unknown, so it cannot be read
+    checksum: corrected ? verifyPayload(header, corrected) : null,
+  };
+};
+
+// Tries the container first and falls back to the legacy terminator format.
+// Returns null when neither is present. Scattered containers read without a seed come back with
+// a null payload. Error-corrected containers report { level, corrected, unrecoverable, blocks }
+// as `ecc`; blocks beyond repair leave their bytes as read, so the checksum then mismatches.
+export const extractPayload = (imageData, scatterSeed = null) => {
+  const container = readContainer(imageData, scatterSeed);
+  if (container) {
+    return container;
+  }
+
+  const bytes = extractMessage(imageData);
+  if (bytes === null) {
+    return null;
+  }
+
+  const { text, valid } = decodeUtf8(bytes);
+  return { format: FORMATS.LEGACY, message: text, size: bytes.length, utf8Valid: valid };
+};
@@ -0,0 +1,211 @@
+/**
+ * @jest-environment node
+ */
+import { buildHeader, parseHeader, verifyPayload, FLAGS, HEADER_LENGTH, CONTAINER_VERSION, CHECKSUM_STATES } from './container.js';
+import { embedPayload, extractPayload, containerCapacityBits, PAYLOAD_START_PIXEL, FORMATS } from './codec.js';
+import { DEFAULT_EMBEDDING, encodeEmbedding, decodeEmbedding } from './embedding.js';
+import { CHANNELS } from './visualize.js';
+import { embedBytes, hideMessage } from './lsb.js';
+import { crc32 } from './crc32.js';
+import { concatBytes } from './encoding.js';
+import { deriveScatterSeed, scatterPositions } from './scatter.js';
+import { ECC_LEVELS } from './ecc.js';
+
+const image = (width, height) => ({
+  width,
+  height,
+  data: Uint8ClampedArray.from({ length: width * height * 4 }, (_, i) => (i * 37 + (i >> 5)) & 0xff),
+});
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+describe('container header', () => {
+  it('round-trips every field', () => {
+    const payload = bytes('payload');
+    const embedding = { bitsPerChannel: 2, channels: [CHANNELS.R, CHANNELS.B, CHANNELS.A] };
+    const header = parseHeader(buildHeader(payload, FLAGS.ENCRYPTED | FLAGS.FILE, embedding, ECC_LEVELS.MEDIUM));
+
+    expect(header).toMatchObject({
+      version: CONTAINER_VERSION,
+      headerLength: HEADER_LENGTH,
+      flags: FLAGS.ENCRYPTED | FLAGS.FILE,
+      embedding,
+      ecc: ECC_LEVELS.MEDIUM,
+    });
+    // The stored length includes the parity
+    expect(header.length).toBeGreaterThan(payload.length);
+    expect(verifyPayload(header, payload)).toBe(CHECKSUM_STATES.VALID);
+    expect(verifyPayload(header, bytes('pAyload'))).toBe(CHECKSUM_STATES.MISMATCH);
+  });
+
+  it('repairs up to 8 damaged bytes and rejects bytes without the magic', () => {
+    const header = buildHeader(bytes('x'), FLAGS.FILE);
+    const damaged = header.slice();
+    for (let i = 0; i < 8; i++) {
+      damaged[i * 2] ^= 0xff;
+    }
+
+    expect(parseHeader(damaged)).toEqual(parseHeader(header));
+    expect(parseHeader(new Uint8Array(HEADER_LENGTH))).toBeNull();
+    expect(parseHeader(bytes('not a container, just some text'))).toBeNull();
+  });
+
+  it('round-trips embedding settings and rejects bytes no encoder writes', () => {
+    const embedding = { bitsPerChannel: 4, channels: [CHANNELS.G] };
+    expect(decodeEmbedding(encodeEmbedding(embedding))).toEqual(embedding);
+    expect(decodeEmbedding(0x30)).toBeNull();
+    expect(decodeEmbedding(0x47)).toBeNull();
+  });
+});
+
+describe('embedPayload / extractPayload', () => {
+  const payload = bytes('The quick brown fox jumps over the lazy dog');
+
+  it.each([
+    ['the default embedding', DEFAULT_EMBEDDING],
+    ['2 bits of R, G, B and A', { bitsPerChannel: 2, channels: [CHANNELS.R, CHANNELS.G, CHANNELS.B, CHANNELS.A] }],
+    ['4 bits of G only', { bitsPerChannel: 4, channels: [CHANNELS.G] }],
+  ])('round-trips with %s', (_, embedding) => {
+    const stego = embedPayload(image(32, 32), payload, FLAGS.FILE, { embedding });
+    expect(extractPayload(stego)).toMatchObject({
+      format: FORMATS.CONTAINER,
+      version: CONTAINER_VERSION,
+      flags: FLAGS.FILE,
+      embedding,
+      payload,
+      checksum: CHECKSUM_STATES.VALID,
+      ecc: null,
+    });
+  });
+
+  it('only changes the low bits it embeds into', () => {
+    const carrier = image(32, 32);
+    const stego = embedPayload(carrier, payload, 0);
+    stego.data.forEach((value, i) => expect(value >> 1).toBe(carrier.data[i] >> 1));
+    for (let i = 3; i < stego.data.length; i += 4) {
+      expect(stego.data[i]).toBe(carrier.data[i]);
+    }
+  });
+
+  it('fills every slot past the payload with random bits', () => {
+    const carrier = image(64, 64);
+    const [first, second] = [embedPayload(carrier, payload, 0), embedPayload(carrier, payload, 0)];
+    const end = (PAYLOAD_START_PIXEL + Math.ceil((payload.length * 8) / 3)) * 4;
+    // Share of the RGB samples past the payload whose LSB differs between two images
+    const changed = (a, b) => {
+      let count = 0;
+      let total = 0;
+      for (let i = end; i < a.length; i++) {
+        if (i % 4 !== 3) {
+          count += (a[i] ^ b[i]) & 1;
+          total++;
+        }
+      }
+      return count / total;
+    };
+
+    expect(changed(first.data, carrier.data)).toBeCloseTo(0.5, 1);
+    expect(changed(first.data, second.data)).toBeCloseTo(0.5, 1);
+    expect(extractPayload(first).payload).toEqual(payload);
+  });
+
+  it('needs the scatter key to read a scattered payload', async () => {
+    const seed = await deriveScatterSeed('scatter key');
+    const stego = embedPayload(image(32, 32), payload, 0, { scatterSeed: seed });
+
+    expect(extractPayload(stego, seed)).toMatchObject({ flags: FLAGS.SCATTERED, payload, checksum: CHECKSUM_STATES.VALID });
+    expect(extractPayload(stego)).toMatchObject({ flags: FLAGS.SCATTERED, payload: null, checksum: null });
+    expect(extractPayload(stego, await deriveScatterSeed('wrong key')).checksum).toBe(CHECKSUM_STATES.MISMATCH);
+  });
+
+  it('reports a checksum mismatch when a payload bit changes', () => {
+    const stego = embedPayload(image(32, 32), payload, 0);
+    stego.data[(PAYLOAD_START_PIXEL + 5) * 4] ^= 1;
+    expect(extractPayload(stego).checksum).toBe(CHECKSUM_STATES.MISMATCH);
+  });
+
+  it('survives flipped bits in the header', () => {
+    const stego = embedPayload(image(32, 32), payload, FLAGS.FILE);
+    // One flipped bit in any header pixel, then one in each of 8 different header bytes
+    for (let pixel = 0; pixel < PAYLOAD_START_PIXEL; pixel++) {
+      const damaged = { ...stego, data: stego.data.slice() };
+      damaged.data[pixel * 4 + (pixel % 3)] ^= 1;
+      expect(extractPayload(damaged)).toMatchObject({ flags: FLAGS.FILE, payload, checksum: CHECKSUM_STATES.VALID });
+    }
+
+    const damaged = { ...stego, data: stego.data.slice() };
+    for (let byte = 0; byte < HEADER_LENGTH; byte += 4) {
+      const bit = byte * 8 + (byte % 8);
+      damaged.data[Math.floor(bit / 3) * 4 + (bit % 3)] ^= 1;
+    }
+    expect(extractPayload(damaged)).toMatchObject({ flags: FLAGS.FILE, payload, checksum: CHECKSUM_STATES.VALID });
+  });
+
+  it('refuses a payload larger than the image', () => {
+    const carrier = image(8, 8);
+    const tooLarge = new Uint8Array(containerCapacityBits(carrier) / 8);
+    expect(() => embedPayload(carrier, tooLarge, 0)).toThrow(/too large for this image/);
+  });
+
+  it('still reads version 1 containers', () => {
+    const header = new Uint8Array(14);
+    const view = new DataView(header.buffer);
+    header.set(bytes('STEG'));
+    view.setUint8(4, 1);
+    view.setUint8(5, FLAGS.FILE);
+    view.setUint32(6, payload.length);
+    view.setUint32(10, crc32(payload));
+
+    expect(extractPayload(embedBytes(image(32, 32), concatBytes(header, payload)))).toMatchObject({
+      version: 1,
+      flags: FLAGS.FILE,
+      embedding: DEFAULT_EMBEDDING,
+      payload,
+      checksum: CHECKSUM_STATES.VALID,
+    });
+  });
+
+  it('still reads version 3 containers', () => {
+    const header = new Uint8Array(15);
+    const view = new DataView(header.buffer);
+    header.set(bytes('STEG'));
+    view.setUint8(4, 3);
+    view.setUint8(5, FLAGS.FILE);
+    view.setUint8(6, encodeEmbedding(DEFAULT_EMBEDDING));
+    view.setUint32(7, payload.length);
+    view.setUint32(11, crc32(payload));
+
+    // A 15-byte header fills exactly 40 pixels, so the payload follows in the same stream
+    expect(extractPayload(embedBytes(image(32, 32), concatBytes(header, payload)))).toMatchObject({
+      version: 3,
+      headerLength: 15,
+      flags: FLAGS.FILE,
+      payload,
+      checksum: CHECKSUM_STATES.VALID,
+    });
+  });
+
+  it('falls back to the legacy format', () => {
+    expect(extractPayload(hideMessage(image(32, 32), 'legacy'))).toEqual({ format: FORMATS.LEGACY, message: 'legacy', size: 6, utf8Valid: true });
+    expect(extractPayload(image(8, 8))).toBeNull();
+  });
+});
+
+describe('scatterPositions', () => {
+  it('picks distinct positions in range, the same for the same key', async () => {
+    const seed = await deriveScatterSeed('key');
+    const positions = scatterPositions(seed, 112, 3072, 2000);
+
+    expect(new Set(positions).size).toBe(2000);
+    positions.forEach((position) => {
+      expect(position).toBeGreaterThanOrEqual(112);
+      expect(position).toBeLessThan(3072);
+    });
+    expect(scatterPositions(await deriveScatterSeed('key'), 112, 3072, 2000)).toEqual(positions);
+    expect(scatterPositions(await deriveScatterSeed('other'), 112, 3072, 2000)).not.toEqual(positions);
+  });
+
+  it('refuses more bits than positions', () => {
+    expect(() => scatterPositions(new Uint32Array([1, 2, 3, 4]), 10, 20, 11)).toThrow(/Cannot scatter 11 bits/);
+  });
+});
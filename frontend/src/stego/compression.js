@@ -0,0 +1,54 @@
+// zlib deflate through the platform's CompressionStream/DecompressionStream, shared by the PNG
+// codec and the optional payload compression of the container format.
+import { concatBytes } from './encoding.js';
+
+// Deflate's best case: 258-byte matches coded in about 2 bits each
+export const MAX_DEFLATE_RATIO = 1032;
+
+export class DecompressionLimitError extends Error {
+  constructor(limit) {
+    super(`Decompressed data exceeds the limit of ${limit} bytes`);
+    this.name = 'DecompressionLimitError';
+    this.limit = limit;
+  }
+}
+
+// Pushes bytes through a transform stream and collects the output, stopping with a
+// DecompressionLimitError once it grows past `maxLength` bytes
+const transform = async (bytes, stream, maxLength = Infinity) => {
+  const writer = stream.writable.getWriter();
+  const writing = writer.write(bytes).then(() => writer.close());
+  // A failure surfaces through the reader below
+  writing.catch(() => {});
+
+  const reader = stream.readable.getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > maxLength) {
+      reader.cancel().catch(() => {});
+      throw new DecompressionLimitError(maxLength);
+    }
+    chunks.push(value);
+  }
+  await writing;
+  return concatBytes(...chunks);
+};
+
+export const deflate = (bytes) => transform(bytes, new CompressionStream('deflate'));
+
+// `maxLength` bounds the output for untrusted input, which could otherwise be a deflate bomb
+export const inflate = (bytes, { maxLength = Infinity } = {}) =>
+  transform(bytes, new DecompressionStream('deflate'), maxLength);
+
+// Deflates a payload only when that makes it smaller. Already compressed data (images,
+// archives, ciphertext) grows slightly under deflate and is kept raw instead.
+export const compressPayload = async (bytes) => {
+  const deflated = await deflate(bytes);
+  return deflated.length < bytes.length
+    ? { bytes: deflated, compressed: true }
+    : { bytes, compressed: false };
+};
@@ -0,0 +1,45 @@
+/**
+ * @jest-environment node
+ */
+import { deflate, inflate, compressPayload, DecompressionLimitError } from './compression.js';
+
+const text = new TextEncoder().encode('compressible text, '.repeat(200));
+
+// Bytes with no structure for deflate to exploit, like a JPEG or ciphertext
+const noise = (length) => {
+  const bytes = new Uint8Array(length);
+  let seed = 99;
+  for (let i = 0; i < length; i++) {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    bytes[i] = seed >> 16;
+  }
+  return bytes;
+};
+
+describe('compression', () => {
+  it('round-trips through deflate', async () => {
+    expect(await inflate(await deflate(text))).toEqual(text);
+  });
+
+  it('compresses text', async () => {
+    const { bytes, compressed } = await compressPayload(text);
+    expect(compressed).toBe(true);
+    expect(bytes.length).toBeLessThan(text.length / 10);
+    expect(await inflate(bytes)).toEqual(text);
+  });
+
+  it('keeps incompressible data raw', async () => {
+    const random = noise(1000);
+    expect(await compressPayload(random)).toEqual({ bytes: random, compressed: false });
+  });
+
+  it('stops once the output passes the limit', async () => {
+    const zeros = await deflate(new Uint8Array(1 << 20));
+    expect(await inflate(zeros, { maxLength: 1 << 20 })).toHaveLength(1 << 20);
+    await expect(inflate(zeros, { maxLength: 1 << 16 })).rejects.toThrow(DecompressionLimitError);
+  });
+
+  it('rejects data that is not deflate', async () => {
+    await expect(inflate(noise(64))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,117 @@
+// Versioned payload container written by the JS encoder.
+//
+// Header layout (big-endian), version 4:
+//   0  magic "STEG"
+//   4  version
+//   5  flags; bits 4-5 hold the error-correction level (see ./ecc)
+//   6  embedding settings (see ./embedding)
+//   7  stored length (u32): the payload plus any error-correction parity
+//   11 CRC-32 of the payload before error correction (u32)
+//   15 Reed-Solomon parity over bytes 0-14 (16 bytes, see ./reedSolomon)
+// The parity repairs up to 8 damaged header bytes before any field is read, so a few flipped
+// bits at the top of an image no longer cost the whole payload.
+//
+// Version 3 had the same layout without the parity, version 2 without error correction either.
+// Version 1 had no embedding byte (length at 6, CRC at 10) and always used 1 bit of R, G and B.
+import { crc32 } from './crc32.js';
+import { concatBytes } from './encoding.js';
+import { encodeEmbedding, decodeEmbedding, DEFAULT_EMBEDDING } from './embedding.js';
+import { ECC_LEVELS, eccEncodedLength, eccPayloadLength } from './ecc.js';
+import { rsEncode, rsDecode, ReedSolomonError } from './reedSolomon.js';
+
+export const MAGIC = new Uint8Array([0x53, 0x54, 0x45, 0x47]);
+export const CONTAINER_VERSION = 4;
+const FIELDS_LENGTH = 15;
+const HEADER_PARITY = 16;
+export const HEADER_LENGTH = FIELDS_LENGTH + HEADER_PARITY;
+const HEADER_LENGTHS = { 1: 14, 2: FIELDS_LENGTH, 3: FIELDS_LENGTH, 4: HEADER_LENGTH };
+const ECC_SHIFT = 4;
+const ECC_MASK = 0b11 << ECC_SHIFT;
+
+export const FLAGS = {
+  ENCRYPTED: 1 << 0,
+  FILE: 1 << 1,
+  // Payload bits follow a key-seeded order (see ./scatter); the header itself stays sequential
+  SCATTERED: 1 << 2,
+  // Payload was deflated before encryption (see ./compression)
+  COMPRESSED: 1 << 3,
+  // Payload is one Shamir share of a secret split across several images (see ./shamir)
+  SHARE: 1 << 6,
+  // Payload ends with an ECDSA signature block (see ./signature)
+  SIGNED: 1 << 7,
+};
+
+export const CHECKSUM_STATES = { VALID: 'valid', MISMATCH: 'mismatch' };
+
+export const buildHeader = (payload, flags = 0, embedding = DEFAULT_EMBEDDING, ecc = ECC_LEVELS.NONE) => {
+  const fields = new Uint8Array(FIELDS_LENGTH);
+  const view = new DataView(fields.buffer);
+  fields.set(MAGIC, 0);
+  view.setUint8(4, CONTAINER_VERSION);
+  view.setUint8(5, (flags & ~ECC_MASK) | (ecc << ECC_SHIFT));
+  view.setUint8(6, encodeEmbedding(embedding));
+  view.setUint32(7, eccEncodedLength(payload.length, ecc));
+  view.setUint32(11, crc32(payload));
+  return rsEncode(fields, HEADER_PARITY);
+};
+
+const hasMagic = (bytes) => MAGIC.every((byte, i) => bytes[i] === byte);
+
+// The bytes with a version 4 header repaired from its parity; older headers have no parity
+// and come back as they are
+const repairHeader = (bytes) => {
+  if (bytes.length < HEADER_LENGTH) {
+    return bytes;
+  }
+  try {
+    const { data } = rsDecode(bytes.subarray(0, HEADER_LENGTH), HEADER_PARITY);
+    return hasMagic(data) ? concatBytes(data, bytes.subarray(FIELDS_LENGTH)) : bytes;
+  } catch (error) {
+    if (error instanceof ReedSolomonError) {
+      return bytes;
+    }
+    throw error;
+  }
+};
+
+// Returns null when the bytes do not start with a container this version understands.
+// Pass at least HEADER_LENGTH bytes; older headers only use the first 14 or 15.
+export const parseHeader = (bytes) => {
+  const header = repairHeader(bytes);
+  if (header.length < HEADER_LENGTHS[1] || !hasMagic(header)) {
+    return null;
+  }
+
+  const version = header[4];
+  const length = HEADER_LENGTHS[version];
+  if (!length || header.length < length) {
+    return null;
+  }
+
+  const view = new DataView(header.buffer, header.byteOffset, length);
+  const embedding = version === 1 ? DEFAULT_EMBEDDING : decodeEmbedding(view.getUint8(6));
+  if (!embedding) {
+    return null;
+  }
+
+  const fields = version === 1 ? 6 : 7;
+  const flags = view.getUint8(5);
+  const ecc = version >= 3 ? (flags & ECC_MASK) >> ECC_SHIFT : ECC_LEVELS.NONE;
+  const storedLength = view.getUint32(fields);
+  if (eccPayloadLength(storedLength, ecc) === null) {
+    return null;
+  }
+
+  return {
+    version,
+    headerLength: length,
+    flags: flags & ~ECC_MASK,
+    embedding,
+    ecc,
+    length: storedLength,
+    crc: view.getUint32(fields + 4),
+  };
+};
+
+export const verifyPayload = (header, payload) =>
+  crc32(payload) === header.crc ? CHECKSUM_STATES.VALID : CHECKSUM_STATES.MISMATCH;
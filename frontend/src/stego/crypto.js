@@ -0,0 +1,104 @@
+// Passphrase protection for hidden messages: PBKDF2-SHA-256 key derivation and AES-GCM.
+import { bytesToBase64, base64ToBytes, concatBytes } from './encoding.js';
+
+// Encrypted messages travel as ASCII so they survive the legacy terminator format and the API
+export const ARMOR_PREFIX = 'stego:aes-gcm:';
+
+const PBKDF2_ITERATIONS = 250000;
+export const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Bytes added to the plaintext: salt, IV and the GCM authentication tag
+export const ENCRYPTION_OVERHEAD = SALT_LENGTH + IV_LENGTH + TAG_LENGTH;
+
+export class AuthenticationError extends Error {
+  constructor(message = 'Authentication failed: wrong passphrase or tampered message') {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+const deriveKey = async (passphrase, salt) => {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// Key-level pieces for layouts that seal several parts under one passphrase (see ./deniable).
+// A key comes with the salt it was derived with; every sealWithKey call picks a fresh IV.
+export const SEAL_OVERHEAD = IV_LENGTH + TAG_LENGTH;
+
+export const createSealingKey = async (passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+  return { salt, key: await deriveKey(passphrase, salt) };
+};
+
+export const deriveSealingKey = (passphrase, salt) => deriveKey(passphrase, salt);
+
+// Output layout: iv | ciphertext+tag
+export const sealWithKey = async (key, plaintext) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  return concatBytes(iv, new Uint8Array(ciphertext));
+};
+
+export const openWithKey = async (key, sealed) => {
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: sealed.subarray(0, IV_LENGTH) },
+      key,
+      sealed.subarray(IV_LENGTH)
+    );
+    return new Uint8Array(plaintext);
+  } catch (error) {
+    // WebCrypto reports a bad tag as a bare OperationError
+    throw new AuthenticationError();
+  }
+};
+
+// Output layout: salt | iv | ciphertext+tag
+export const encryptBytes = async (plaintext, passphrase) => {
+  const { salt, key } = await createSealingKey(passphrase);
+  return concatBytes(salt, await sealWithKey(key, plaintext));
+};
+
+export const decryptBytes = async (sealed, passphrase) => {
+  if (sealed.length < ENCRYPTION_OVERHEAD) {
+    throw new AuthenticationError('Authentication failed: encrypted message is truncated');
+  }
+
+  const key = await deriveKey(passphrase, sealed.subarray(0, SALT_LENGTH));
+  return openWithKey(key, sealed.subarray(SALT_LENGTH));
+};
+
+export const isEncryptedMessage = (text) => typeof text === 'string' && text.startsWith(ARMOR_PREFIX);
+
+export const encryptMessage = async (message, passphrase) => {
+  const sealed = await encryptBytes(new TextEncoder().encode(message), passphrase);
+  return ARMOR_PREFIX + bytesToBase64(sealed);
+};
+
+export const decryptMessage = async (armored, passphrase) => {
+  let sealed;
+  try {
+    sealed = base64ToBytes(armored.slice(ARMOR_PREFIX.length));
+  } catch (error) {
+    throw new AuthenticationError('Authentication failed: encrypted message is corrupted');
+  }
+
+  const plaintext = await decryptBytes(sealed, passphrase);
+  return new TextDecoder().decode(plaintext);
+};
@@ -0,0 +1,47 @@
+/**
+ * @jest-environment node
+ */
+import {
+  encryptBytes,
+  decryptBytes,
+  encryptMessage,
+  decryptMessage,
+  isEncryptedMessage,
+  AuthenticationError,
+  ENCRYPTION_OVERHEAD,
+} from './crypto.js';
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+describe('passphrase encryption', () => {
+  it('round-trips bytes with the right passphrase', async () => {
+    const sealed = await encryptBytes(bytes('secret'), 'right');
+    expect(sealed.length).toBe(bytes('secret').length + ENCRYPTION_OVERHEAD);
+    expect(await decryptBytes(sealed, 'right')).toEqual(bytes('secret'));
+  });
+
+  it('salts every encryption', async () => {
+    const [first, second] = await Promise.all([encryptBytes(bytes('same'), 'pw'), encryptBytes(bytes('same'), 'pw')]);
+    expect(first).not.toEqual(second);
+  });
+
+  it('rejects a wrong passphrase', async () => {
+    const sealed = await encryptBytes(bytes('secret'), 'right');
+    await expect(decryptBytes(sealed, 'wrong')).rejects.toThrow(AuthenticationError);
+  });
+
+  it('rejects a tampered or truncated ciphertext', async () => {
+    const sealed = await encryptBytes(bytes('secret'), 'right');
+    await expect(decryptBytes(sealed.subarray(0, ENCRYPTION_OVERHEAD - 1), 'right')).rejects.toThrow(/truncated/);
+    sealed[sealed.length - 1] ^= 1;
+    await expect(decryptBytes(sealed, 'right')).rejects.toThrow(AuthenticationError);
+  });
+
+  it('armors messages as text', async () => {
+    const armored = await encryptMessage('meet at noon', 'pw');
+    expect(isEncryptedMessage(armored)).toBe(true);
+    expect(isEncryptedMessage('meet at noon')).toBe(false);
+    expect(await decryptMessage(armored, 'pw')).toBe('meet at noon');
+    await expect(decryptMessage('stego:aes-gcm:%%%', 'pw')).rejects.toThrow(/corrupted/);
+  });
+});
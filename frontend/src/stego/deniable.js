@@ -0,0 +1,68 @@
+// Plausible deniability: a second payload under its own passphrase, stored as a trailer right
+// after a visible, encrypted decoy payload (see embedPayload in ./codec).
+//
+// The container header only describes the decoy, and every container fills the payload slots
+// it does not use with random bits, so without the second passphrase the trailer cannot be told
+// apart from filler. Nothing in the trailer is in the clear:
+//   0  salt
+//   16 sealed trailer header: iv | AES-GCM(u32 sealed body length, u8 container flags) + tag
+//   49 sealed body: iv | AES-GCM(payload) + tag
+// With error correction, the trailer header and body are each encoded at the container's level.
+import {
+  createSealingKey,
+  deriveSealingKey,
+  sealWithKey,
+  openWithKey,
+  SALT_LENGTH,
+  SEAL_OVERHEAD,
+  AuthenticationError,
+} from './crypto.js';
+import { concatBytes } from './encoding.js';
+import { ECC_LEVELS, eccEncode, eccDecode, eccEncodedLength } from './ecc.js';
+
+const INNER_HEADER_LENGTH = 5;
+const TRAILER_HEADER_LENGTH = SALT_LENGTH + SEAL_OVERHEAD + INNER_HEADER_LENGTH;
+
+// Bytes the trailer takes for a sealed payload of `length` bytes
+export const trailerLength = (length, ecc = ECC_LEVELS.NONE) =>
+  eccEncodedLength(TRAILER_HEADER_LENGTH, ecc) + eccEncodedLength(length + SEAL_OVERHEAD, ecc);
+
+// Seals a payload ({ payload, flags } from sealPayload, unencrypted) into a trailer
+export const sealTrailer = async ({ payload, flags }, passphrase, ecc = ECC_LEVELS.NONE) => {
+  const { salt, key } = await createSealingKey(passphrase);
+  const body = await sealWithKey(key, payload);
+  const inner = new Uint8Array(INNER_HEADER_LENGTH);
+  new DataView(inner.buffer).setUint32(0, body.length);
+  inner[4] = flags;
+  const header = concatBytes(salt, await sealWithKey(key, inner));
+  return concatBytes(eccEncode(header, ecc), eccEncode(body, ecc));
+};
+
+// `read(start, count)` returns trailer bytes, or null past the end of the image. Resolves with
+// { payload, flags }, or null when nothing opens with this passphrase.
+export const openTrailer = async (read, passphrase, ecc = ECC_LEVELS.NONE) => {
+  const storedHeaderLength = eccEncodedLength(TRAILER_HEADER_LENGTH, ecc);
+  const storedHeader = read(0, storedHeaderLength);
+  if (!storedHeader) {
+    return null;
+  }
+
+  const header = ecc === ECC_LEVELS.NONE ? storedHeader : eccDecode(storedHeader, ecc).payload;
+  const key = await deriveSealingKey(passphrase, header.subarray(0, SALT_LENGTH));
+  try {
+    const inner = await openWithKey(key, header.subarray(SALT_LENGTH));
+    const length = new DataView(inner.buffer, inner.byteOffset).getUint32(0);
+    const storedBody = read(storedHeaderLength, eccEncodedLength(length, ecc));
+    if (!storedBody) {
+      return null;
+    }
+    const body = ecc === ECC_LEVELS.NONE ? storedBody : eccDecode(storedBody, ecc).payload;
+    return { payload: await openWithKey(key, body), flags: inner[4] };
+  } catch (error) {
+    // Filler, or a trailer sealed under another passphrase
+    if (error instanceof AuthenticationError) {
+      return null;
+    }
+    throw error;
+  }
+};
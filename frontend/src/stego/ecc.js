@@ -0,0 +1,118 @@
+// Error correction for container payloads: Reed-Solomon blocks, interleaved byte by byte.
+//
+// The payload is split into blocks of equal size (±1 byte), each extended with parity bytes to
+// at most 255 bytes. Codewords are then interleaved, so a run of damaged or missing bytes (rows
+// cropped off the bottom, a scribbled-over area) spreads thinly across every block instead of
+// overwhelming one.
+import { rsEncode, rsDecode, ReedSolomonError } from './reedSolomon.js';
+
+export const ECC_LEVELS = { NONE: 0, LOW: 1, MEDIUM: 2, HIGH: 3 };
+
+// Parity bytes per 255-byte codeword. A codeword repairs half as many wrong bytes, or as many
+// missing ones.
+const PARITY_BYTES = { 0: 0, 1: 16, 2: 32, 3: 64 };
+const CODEWORD_LENGTH = 255;
+
+export const parityBytesFor = (level) => PARITY_BYTES[level] ?? 0;
+
+// Block sizes for a payload of `length` bytes
+const blockSizes = (length, parity) => {
+  const count = Math.max(1, Math.ceil(length / (CODEWORD_LENGTH - parity)));
+  const base = Math.floor(length / count);
+  return Array.from({ length: count }, (_, i) => base + (i < length % count ? 1 : 0));
+};
+
+// Size of a payload once parity is added
+export const eccEncodedLength = (length, level) => {
+  const parity = parityBytesFor(level);
+  return parity ? length + blockSizes(length, parity).length * parity : length;
+};
+
+// Payload size behind an encoded stream of `length` bytes, or null when no payload encodes to
+// exactly that length
+export const eccPayloadLength = (length, level) => {
+  const parity = parityBytesFor(level);
+  const payloadLength = length - Math.ceil(length / CODEWORD_LENGTH) * parity;
+  return payloadLength >= 0 && eccEncodedLength(payloadLength, level) === length ? payloadLength : null;
+};
+
+// Calls visit(block, offset, index) for every position of the interleaved stream
+const interleave = (sizes, parity, visit) => {
+  const lengths = sizes.map((size) => size + parity);
+  const longest = Math.max(...lengths);
+  let index = 0;
+  for (let offset = 0; offset < longest; offset++) {
+    for (let block = 0; block < lengths.length; block++) {
+      if (offset < lengths[block]) {
+        visit(block, offset, index++);
+      }
+    }
+  }
+};
+
+export const eccEncode = (payload, level) => {
+  const parity = parityBytesFor(level);
+  if (!parity) {
+    return payload;
+  }
+
+  const sizes = blockSizes(payload.length, parity);
+  let start = 0;
+  const codewords = sizes.map((size) => {
+    const codeword = rsEncode(payload.subarray(start, start + size), parity);
+    start += size;
+    return codeword;
+  });
+
+  const out = new Uint8Array(eccEncodedLength(payload.length, level));
+  interleave(sizes, parity, (block, offset, i) => {
+    out[i] = codewords[block][offset];
+  });
+  return out;
+};
+
+// Reverses eccEncode for a stream of `length` bytes of which only the first `stored.length`
+// could be read; the rest are treated as erasures. Blocks beyond repair keep their data bytes
+// as read. Returns { payload, corrected, unrecoverable, blocks }.
+export const eccDecode = (stored, level, length = stored.length) => {
+  const parity = parityBytesFor(level);
+  const payloadLength = eccPayloadLength(length, level);
+  if (payloadLength === null) {
+    throw new Error(`${length} bytes is not a valid error-corrected payload length`);
+  }
+  const sizes = blockSizes(payloadLength, parity);
+
+  const codewords = sizes.map((size) => new Uint8Array(size + parity));
+  const erasures = sizes.map(() => []);
+  interleave(sizes, parity, (block, offset, i) => {
+    if (i < stored.length) {
+      codewords[block][offset] = stored[i];
+    } else {
+      erasures[block].push(offset);
+    }
+  });
+
+  let corrected = 0;
+  let unrecoverable = 0;
+  const blocks = codewords.map((codeword, block) => {
+    try {
+      const decoded = rsDecode(codeword, parity, erasures[block]);
+      corrected += decoded.corrected;
+      return decoded.data;
+    } catch (error) {
+      if (!(error instanceof ReedSolomonError)) {
+        throw error;
+      }
+      unrecoverable++;
+      return codeword.subarray(0, codeword.length - parity);
+    }
+  });
+
+  const payload = new Uint8Array(payloadLength);
+  let offset = 0;
+  blocks.forEach((data) => {
+    payload.set(data, offset);
+    offset += data.length;
+  });
+  return { payload, corrected, unrecoverable, blocks: blocks.length };
+};
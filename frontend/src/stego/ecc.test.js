@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+import { ECC_LEVELS, eccEncode, eccDecode, eccEncodedLength, eccPayloadLength, parityBytesFor } from './ecc.js';
+import { embedPayload, extractPayload, PAYLOAD_START_PIXEL } from './codec.js';
+import { CHECKSUM_STATES } from './container.js';
+
+const payload = Uint8Array.from({ length: 600 }, (_, i) => (i * 7 + 3) & 0xff);
+
+// Flips one bit in each of `count` consecutive bytes from `start`: a burst, like a scribbled-over
+// area of the image
+const flipBytes = (stored, count, start = 0) => {
+  const damaged = Uint8Array.from(stored);
+  for (let i = start; i < start + count; i++) {
+    damaged[i] ^= 1 << (i % 8);
+  }
+  return damaged;
+};
+
+describe('error correction', () => {
+  it.each([ECC_LEVELS.LOW, ECC_LEVELS.MEDIUM, ECC_LEVELS.HIGH])('round-trips at level %i', (level) => {
+    const stored = eccEncode(payload, level);
+    expect(stored.length).toBe(eccEncodedLength(payload.length, level));
+    expect(eccPayloadLength(stored.length, level)).toBe(payload.length);
+    expect(eccDecode(stored, level)).toMatchObject({ payload, corrected: 0, unrecoverable: 0 });
+  });
+
+  it('leaves the payload alone at level NONE', () => {
+    expect(eccEncode(payload, ECC_LEVELS.NONE)).toBe(payload);
+  });
+
+  it.each([ECC_LEVELS.LOW, ECC_LEVELS.MEDIUM, ECC_LEVELS.HIGH])('repairs flipped bits at level %i', (level) => {
+    const stored = eccEncode(payload, level);
+    const blocks = eccDecode(stored, level).blocks;
+    // Interleaving spreads a burst across the blocks; each repairs parity / 2 wrong bytes
+    const repairable = blocks * Math.floor(parityBytesFor(level) / 2);
+    const decoded = eccDecode(flipBytes(stored, repairable, blocks * 3), level);
+    expect(decoded).toMatchObject({ payload, corrected: repairable, unrecoverable: 0 });
+  });
+
+  it('reports blocks it cannot repair', () => {
+    const stored = eccEncode(payload, ECC_LEVELS.LOW);
+    const decoded = eccDecode(flipBytes(stored, stored.length / 2), ECC_LEVELS.LOW);
+    expect(decoded.unrecoverable).toBeGreaterThan(0);
+    expect(decoded.payload).not.toEqual(payload);
+  });
+
+  it('restores bytes cut off the end as erasures', () => {
+    const stored = eccEncode(payload, ECC_LEVELS.HIGH);
+    const decoded = eccDecode(stored.subarray(0, stored.length - 100), ECC_LEVELS.HIGH, stored.length);
+    expect(decoded).toMatchObject({ payload, unrecoverable: 0 });
+  });
+
+  it('survives flipped pixel LSBs inside a container', () => {
+    const width = 64;
+    const carrier = { width, height: 64, data: new Uint8ClampedArray(width * 64 * 4).fill(0x7e) };
+    const stego = embedPayload(carrier, payload, 0, { ecc: ECC_LEVELS.MEDIUM });
+    // Scribble over a few pixels in the middle of the payload
+    for (let pixel = PAYLOAD_START_PIXEL + 200; pixel < PAYLOAD_START_PIXEL + 210; pixel++) {
+      stego.data[pixel * 4] ^= 1;
+      stego.data[pixel * 4 + 2] ^= 1;
+    }
+
+    const extracted = extractPayload(stego);
+    expect(extracted.payload).toEqual(payload);
+    expect(extracted.checksum).toBe(CHECKSUM_STATES.VALID);
+    expect(extracted.ecc).toMatchObject({ level: ECC_LEVELS.MEDIUM, unrecoverable: 0 });
+    expect(extracted.ecc.corrected).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,75 @@
+// Embedding settings: how many low bits of which channels carry payload bits.
+// Container v2 records them in one byte so Reveal never needs them from the user:
+//   bits 4-5  bits per channel minus one (1-4)
+//   bits 0-3  channel mask (R=1, G=2, B=4, A=8)
+import { CHANNELS } from './visualize.js';
+
+export const MAX_BITS_PER_CHANNEL = 4;
+export const DEFAULT_EMBEDDING = { bitsPerChannel: 1, channels: [CHANNELS.R, CHANNELS.G, CHANNELS.B] };
+
+const CHANNELS_PER_PIXEL = 4;
+
+export const encodeEmbedding = ({ bitsPerChannel, channels }) =>
+  ((bitsPerChannel - 1) << 4) | channels.reduce((mask, channel) => mask | (1 << channel), 0);
+
+// Returns null for bytes no encoder writes
+export const decodeEmbedding = (byte) => {
+  const mask = byte & 0x0f;
+  if (!mask || byte & 0xc0) {
+    return null;
+  }
+  const channels = [CHANNELS.R, CHANNELS.G, CHANNELS.B, CHANNELS.A].filter((channel) => mask & (1 << channel));
+  return { bitsPerChannel: ((byte >> 4) & 0x03) + 1, channels };
+};
+
+export const bitsPerPixelFor = ({ bitsPerChannel, channels }) => bitsPerChannel * channels.length;
+
+// Payload slots from `startPixel` on: every selected channel of a pixel, lowest bit plane first
+export const slotCount = ({ width, height }, embedding, startPixel) =>
+  Math.max(0, width * height - startPixel) * bitsPerPixelFor(embedding);
+
+const slotLocator = (embedding, startPixel) => {
+  const { bitsPerChannel, channels } = embedding;
+  const perPixel = bitsPerPixelFor(embedding);
+  return (slot) => {
+    const within = slot % perPixel;
+    return {
+      offset: (startPixel + Math.floor(slot / perPixel)) * CHANNELS_PER_PIXEL + channels[Math.floor(within / bitsPerChannel)],
+      plane: within % bitsPerChannel,
+    };
+  };
+};
+
+// Writes bytes (most significant bit first) into slot `positions[n]`, or slot n when
+// positions is null
+export const writeSlots = (data, bytes, embedding, startPixel, positions = null) => {
+  const locate = slotLocator(embedding, startPixel);
+  for (let n = 0; n < bytes.length * 8; n++) {
+    const { offset, plane } = locate(positions ? positions[n] : n);
+    const bit = (bytes[n >> 3] >> (7 - (n & 7))) & 1;
+    data[offset] = (data[offset] & ~(1 << plane)) | (bit << plane);
+  }
+};
+
+export const readSlots = (data, length, embedding, startPixel, positions = null) => {
+  const locate = slotLocator(embedding, startPixel);
+  const bytes = new Uint8Array(length);
+  for (let n = 0; n < length * 8; n++) {
+    const { offset, plane } = locate(positions ? positions[n] : n);
+    bytes[n >> 3] = (bytes[n >> 3] << 1) | ((data[offset] >> plane) & 1);
+  }
+  return bytes;
+};
+
+// Mean squared error per changed sample when k low bits are replaced by random payload bits:
+// both old and new low values are uniform over [0, 2^k), so E[(a - b)^2] = (4^k - 1) / 6
+const expectedSquaredError = (bitsPerChannel) => (4 ** bitsPerChannel - 1) / 6;
+
+// Expected PSNR (dB) after embedding `payloadBits`, over the RGB samples plus alpha when it is
+// written to. Infinity when nothing changes.
+export const estimatePsnr = ({ width, height }, embedding, payloadBits) => {
+  const samples = width * height * (embedding.channels.includes(CHANNELS.A) ? 4 : 3);
+  const changedSamples = Math.ceil(payloadBits / embedding.bitsPerChannel);
+  const mse = (changedSamples * expectedSquaredError(embedding.bitsPerChannel)) / samples;
+  return mse > 0 ? 10 * Math.log10((255 * 255) / mse) : Infinity;
+};
@@ -0,0 +1,55 @@
+// Byte/text conversions shared by the payload pipeline.
+
+// btoa/atob only take binary strings, so build them in chunks to stay under argument limits
+const CHUNK_SIZE = 0x8000;
+
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+  }
+  return btoa(binary);
+};
+
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+export const bytesToHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+export const concatBytes = (...parts) => {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+};
+
+// crypto.getRandomValues fills at most 64 KiB per call
+const RANDOM_CHUNK = 65536;
+
+export const randomBytes = (length) => {
+  const bytes = new Uint8Array(length);
+  for (let offset = 0; offset < length; offset += RANDOM_CHUNK) {
+    crypto.getRandomValues(bytes.subarray(offset, offset + RANDOM_CHUNK));
+  }
+  return bytes;
+};
+
+export const utf8Length = (text) => new TextEncoder().encode(text).length;
+
+// Decodes UTF-8, falling back to replacement characters when the bytes are not valid UTF-8
+export const decodeUtf8 = (bytes) => {
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), valid: true };
+  } catch (error) {
+    return { text: new TextDecoder('utf-8').decode(bytes), valid: false };
+  }
+};
@@ -0,0 +1,21 @@
+// Arithmetic in GF(2^8) with the primitive polynomial 0x11d and generator 2, shared by the
+// Reed-Solomon code and Shamir secret sharing. Addition and subtraction are XOR.
+
+const PRIMITIVE = 0x11d;
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= PRIMITIVE;
+}
+for (let i = 255; i < 512; i++) {
+  EXP[i] = EXP[i - 255];
+}
+
+export const mul = (x, y) => (x === 0 || y === 0 ? 0 : EXP[LOG[x] + LOG[y]]);
+export const div = (x, y) => (x === 0 ? 0 : EXP[(LOG[x] + 255 - LOG[y]) % 255]);
+export const pow = (x, power) => EXP[(((LOG[x] * power) % 255) + 255) % 255];
+export const inverse = (x) => EXP[255 - LOG[x]];
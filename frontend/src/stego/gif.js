@@ -0,0 +1,257 @@
+// GIF decoder producing fully composited RGBA frames, for animated carriers.
+// Handles global and local colour tables, transparency, interlacing and all disposal methods.
+
+const EXTENSION = 0x21;
+const IMAGE = 0x2c;
+const TRAILER = 0x3b;
+const GRAPHIC_CONTROL = 0xf9;
+const APPLICATION = 0xff;
+const DISPOSAL = { RESTORE_BACKGROUND: 2, RESTORE_PREVIOUS: 3 };
+const MAX_CODE_SIZE = 12;
+// Browsers play frames with a delay of 0 or 1 centisecond at 10 centiseconds
+const MIN_DELAY_CS = 2;
+const DEFAULT_DELAY_CS = 10;
+
+// Interlaced images store rows in four passes: start row and step
+const INTERLACE_PASSES = [[0, 8], [4, 8], [2, 4], [1, 2]];
+
+export const isGif = (bytes) =>
+  bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x38;
+
+const createReader = (bytes) => {
+  let offset = 0;
+  return {
+    byte: () => bytes[offset++],
+    uint16: () => {
+      const value = bytes[offset] | (bytes[offset + 1] << 8);
+      offset += 2;
+      return value;
+    },
+    bytes: (length) => {
+      const value = bytes.subarray(offset, offset + length);
+      offset += length;
+      return value;
+    },
+    // Data sub-blocks: length-prefixed runs ending with an empty block
+    subBlocks: () => {
+      const blocks = [];
+      let total = 0;
+      for (let size = bytes[offset++]; size > 0 && offset < bytes.length; size = bytes[offset++]) {
+        blocks.push(bytes.subarray(offset, offset + size));
+        total += size;
+        offset += size;
+      }
+      const joined = new Uint8Array(total);
+      let position = 0;
+      blocks.forEach((block) => {
+        joined.set(block, position);
+        position += block.length;
+      });
+      return joined;
+    },
+    done: () => offset >= bytes.length,
+  };
+};
+
+const lzwDecode = (minCodeSize, data, pixelCount) => {
+  const out = new Uint8Array(pixelCount);
+  const clear = 1 << minCodeSize;
+  const end = clear + 1;
+  const prefix = new Uint16Array(1 << MAX_CODE_SIZE);
+  const suffix = new Uint8Array(1 << MAX_CODE_SIZE);
+  const first = new Uint8Array(1 << MAX_CODE_SIZE);
+  const stack = new Uint8Array((1 << MAX_CODE_SIZE) + 1);
+  for (let i = 0; i < clear; i++) {
+    suffix[i] = i;
+    first[i] = i;
+  }
+
+  let codeSize = minCodeSize + 1;
+  let next = end + 1;
+  let previous = -1;
+  let buffer = 0;
+  let bits = 0;
+  let position = 0;
+  let written = 0;
+
+  while (written < pixelCount) {
+    while (bits < codeSize) {
+      // Truncated data: keep what was decoded, the rest of the frame stays index 0
+      if (position >= data.length) return out;
+      buffer |= data[position++] << bits;
+      bits += 8;
+    }
+    const code = buffer & ((1 << codeSize) - 1);
+    buffer >>= codeSize;
+    bits -= codeSize;
+
+    if (code === clear) {
+      codeSize = minCodeSize + 1;
+      next = end + 1;
+      previous = -1;
+      continue;
+    }
+    if (code === end) break;
+    if (previous === -1) {
+      out[written++] = suffix[code];
+      previous = code;
+      continue;
+    }
+
+    // A code not yet in the table is the previous string plus its own first byte
+    let sp = 0;
+    let current = code;
+    if (code >= next) {
+      stack[sp++] = first[previous];
+      current = previous;
+    }
+    while (current >= clear) {
+      stack[sp++] = suffix[current];
+      current = prefix[current];
+    }
+    stack[sp++] = current;
+    const firstByte = current;
+    while (sp > 0 && written < pixelCount) {
+      out[written++] = stack[--sp];
+    }
+
+    if (next < 1 << MAX_CODE_SIZE) {
+      prefix[next] = previous;
+      suffix[next] = firstByte;
+      first[next] = first[previous];
+      next++;
+      if (next === 1 << codeSize && codeSize < MAX_CODE_SIZE) {
+        codeSize++;
+      }
+    }
+    previous = code;
+  }
+  return out;
+};
+
+// Row order of an interlaced image
+const interlacedRows = (height) => {
+  const rows = [];
+  INTERLACE_PASSES.forEach(([start, step]) => {
+    for (let y = start; y < height; y += step) rows.push(y);
+  });
+  return rows;
+};
+
+// Walks the blocks of a GIF; calls onImage(descriptor) for every image with the graphic control
+// in effect. Returns { width, height, loops }.
+const walk = (bytes, onImage) => {
+  if (!isGif(bytes)) {
+    throw new Error('Not a GIF file');
+  }
+
+  const reader = createReader(bytes);
+  reader.bytes(6);
+  const width = reader.uint16();
+  const height = reader.uint16();
+  const packed = reader.byte();
+  reader.byte(); // background colour index: browsers clear to transparent instead
+  reader.byte(); // pixel aspect ratio
+  const globalTable = packed & 0x80 ? reader.bytes(3 * (1 << ((packed & 0x07) + 1))) : null;
+
+  // Without a NETSCAPE extension the animation plays once
+  let loops = 1;
+  let control = null;
+  while (!reader.done()) {
+    const block = reader.byte();
+    if (block === TRAILER) break;
+
+    if (block === EXTENSION) {
+      const label = reader.byte();
+      if (label === GRAPHIC_CONTROL) {
+        const data = reader.subBlocks();
+        control = {
+          disposal: (data[0] >> 2) & 0x07,
+          transparent: data[0] & 0x01 ? data[3] : -1,
+          delay: data[1] | (data[2] << 8),
+        };
+      } else if (label === APPLICATION) {
+        const data = reader.subBlocks();
+        const identifier = String.fromCharCode(...data.subarray(0, 11));
+        if ((identifier === 'NETSCAPE2.0' || identifier === 'ANIMEXTS1.0') && data[11] === 1) {
+          const repeats = data[12] | (data[13] << 8);
+          loops = repeats === 0 ? 0 : repeats + 1;
+        }
+      } else {
+        reader.subBlocks();
+      }
+    } else if (block === IMAGE) {
+      const descriptor = {
+        left: reader.uint16(),
+        top: reader.uint16(),
+        width: reader.uint16(),
+        height: reader.uint16(),
+      };
+      const flags = reader.byte();
+      descriptor.interlaced = Boolean(flags & 0x40);
+      descriptor.table = flags & 0x80 ? reader.bytes(3 * (1 << ((flags & 0x07) + 1))) : globalTable;
+      descriptor.minCodeSize = reader.byte();
+      descriptor.data = reader.subBlocks();
+      descriptor.control = control || { disposal: 0, transparent: -1, delay: 0 };
+      onImage(descriptor);
+      control = null;
+    } else {
+      // Browsers stop at the first unknown block and show the frames read so far
+      break;
+    }
+  }
+
+  return { width, height, loops };
+};
+
+// Number of images in a GIF, without decoding any of them
+export const countGifFrames = (bytes) => {
+  let count = 0;
+  walk(bytes, () => { count++; });
+  return count;
+};
+
+// Decodes every frame into full-canvas RGBA. Returns
+// { width, height, frames: [{ data, delay }], loops }, delays in milliseconds and loops as a
+// number of plays (0 for forever).
+export const decodeGif = (bytes) => {
+  const images = [];
+  const { width, height, loops } = walk(bytes, (descriptor) => images.push(descriptor));
+
+  const canvas = new Uint8ClampedArray(width * height * 4);
+  const frames = images.map((image) => {
+    const { control, table } = image;
+    const saved = control.disposal === DISPOSAL.RESTORE_PREVIOUS ? canvas.slice() : null;
+    const indices = lzwDecode(image.minCodeSize, image.data, image.width * image.height);
+    const rows = image.interlaced ? interlacedRows(image.height) : null;
+
+    for (let row = 0; row < image.height; row++) {
+      const y = image.top + (rows ? rows[row] : row);
+      if (y >= height) continue;
+      for (let column = 0; column < image.width; column++) {
+        const x = image.left + column;
+        const index = indices[row * image.width + column];
+        if (x >= width || index === control.transparent || !table) continue;
+        const target = (y * width + x) * 4;
+        canvas[target] = table[index * 3];
+        canvas[target + 1] = table[index * 3 + 1];
+        canvas[target + 2] = table[index * 3 + 2];
+        canvas[target + 3] = 255;
+      }
+    }
+
+    const delay = (control.delay < MIN_DELAY_CS ? DEFAULT_DELAY_CS : control.delay) * 10;
+    const frame = { data: canvas.slice(), delay };
+
+    if (control.disposal === DISPOSAL.RESTORE_BACKGROUND) {
+      for (let y = image.top; y < Math.min(height, image.top + image.height); y++) {
+        canvas.fill(0, (y * width + image.left) * 4, (y * width + Math.min(width, image.left + image.width)) * 4);
+      }
+    } else if (saved) {
+      canvas.set(saved);
+    }
+    return frame;
+  });
+
+  return { width, height, frames, loops };
+};
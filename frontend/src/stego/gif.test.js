@@ -0,0 +1,136 @@
+/**
+ * @jest-environment node
+ */
+import { isGif, countGifFrames, decodeGif } from './gif.js';
+import { concatBytes } from './encoding.js';
+
+const PALETTE = [[0, 0, 0], [255, 0, 0], [0, 255, 0], [0, 0, 255]];
+const MIN_CODE_SIZE = 2;
+const CLEAR = 4;
+const END = 5;
+
+const u16 = (value) => Uint8Array.of(value & 0xff, value >> 8);
+
+// Data sub-blocks of at most 255 bytes, ended by an empty one
+const subBlocks = (bytes) => {
+  const parts = [];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const block = bytes.subarray(i, i + 255);
+    parts.push(Uint8Array.of(block.length), block);
+  }
+  return concatBytes(...parts, Uint8Array.of(0));
+};
+
+// LZW without compression: a clear code before every second index keeps the table from
+// growing, so every code stays 3 bits wide
+const lzw = (indices) => {
+  const codes = [];
+  indices.forEach((index, i) => {
+    if (i % 2 === 0) codes.push(CLEAR);
+    codes.push(index);
+  });
+  codes.push(END);
+
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  codes.forEach((code) => {
+    buffer |= code << bits;
+    bits += MIN_CODE_SIZE + 1;
+    while (bits >= 8) {
+      bytes.push(buffer & 0xff);
+      buffer >>= 8;
+      bits -= 8;
+    }
+  });
+  if (bits > 0) bytes.push(buffer);
+  return Uint8Array.from(bytes);
+};
+
+// frames: [{ indices, left, top, width, height, delay, disposal, transparent, interlaced }]
+const gif = (width, height, frames, repeats = null) => concatBytes(
+  new TextEncoder().encode('GIF89a'),
+  u16(width),
+  u16(height),
+  Uint8Array.of(0x81, 0, 0),
+  ...PALETTE.map((colour) => Uint8Array.from(colour)),
+  repeats === null
+    ? new Uint8Array(0)
+    : concatBytes(Uint8Array.of(0x21, 0xff, 11), new TextEncoder().encode('NETSCAPE2.0'), Uint8Array.of(3, 1), u16(repeats), Uint8Array.of(0)),
+  ...frames.map((frame) => concatBytes(
+    Uint8Array.of(0x21, 0xf9, 4, ((frame.disposal ?? 0) << 2) | (frame.transparent === undefined ? 0 : 1)),
+    u16(frame.delay ?? 10),
+    Uint8Array.of(frame.transparent ?? 0, 0),
+    Uint8Array.of(0x2c),
+    u16(frame.left ?? 0),
+    u16(frame.top ?? 0),
+    u16(frame.width ?? width),
+    u16(frame.height ?? height),
+    Uint8Array.of(frame.interlaced ? 0x40 : 0, MIN_CODE_SIZE),
+    subBlocks(lzw(frame.indices)),
+  )),
+  Uint8Array.of(0x3b),
+);
+
+// RGBA of a palette index, opaque
+const rgba = (...indices) => indices.flatMap((index) => (index === null ? [0, 0, 0, 0] : [...PALETTE[index], 255]));
+
+describe('decodeGif', () => {
+  it('decodes palette frames with their delays and loop count', () => {
+    const bytes = gif(3, 2, [
+      { indices: [0, 1, 2, 3, 2, 1], delay: 20 },
+      { indices: [3, 3, 3, 3, 3, 3], delay: 150 },
+    ], 0);
+    expect(isGif(bytes)).toBe(true);
+    expect(countGifFrames(bytes)).toBe(2);
+
+    const { width, height, frames, loops } = decodeGif(bytes);
+    expect({ width, height, loops }).toEqual({ width: 3, height: 2, loops: 0 });
+    expect(frames.map((frame) => frame.delay)).toEqual([200, 1500]);
+    expect(Array.from(frames[0].data)).toEqual(rgba(0, 1, 2, 3, 2, 1));
+    expect(Array.from(frames[1].data)).toEqual(rgba(3, 3, 3, 3, 3, 3));
+  });
+
+  it('counts plays from the NETSCAPE repeat count, once without one', () => {
+    const frames = [{ indices: [1] }, { indices: [2] }];
+    expect(decodeGif(gif(1, 1, frames, 2)).loops).toBe(3);
+    expect(decodeGif(gif(1, 1, frames)).loops).toBe(1);
+  });
+
+  it('plays very short delays at the browser default', () => {
+    expect(decodeGif(gif(1, 1, [{ indices: [1], delay: 0 }, { indices: [2], delay: 1 }])).frames.map((frame) => frame.delay))
+      .toEqual([100, 100]);
+  });
+
+  it('composites sub-rectangles and transparent pixels over the previous frame', () => {
+    const { frames } = decodeGif(gif(2, 2, [
+      { indices: [1, 1, 1, 1] },
+      { indices: [0, 2], left: 1, top: 0, width: 1, height: 2, transparent: 0 },
+    ]));
+    expect(Array.from(frames[1].data)).toEqual(rgba(1, 1, 1, 2));
+  });
+
+  it('applies disposal after showing a frame', () => {
+    const { frames } = decodeGif(gif(2, 1, [
+      { indices: [1, 1] },
+      { indices: [2], width: 1, height: 1, disposal: 2 },
+      { indices: [3], left: 1, width: 1, height: 1, disposal: 3 },
+      { indices: [0], left: 1, width: 1, height: 1, transparent: 0 },
+    ]));
+    expect(Array.from(frames[1].data)).toEqual(rgba(2, 1));
+    // Frame 2 cleared its area back to transparent
+    expect(Array.from(frames[2].data)).toEqual(rgba(null, 3));
+    // Frame 3 restored what was under it
+    expect(Array.from(frames[3].data)).toEqual(rgba(null, 1));
+  });
+
+  it('reorders interlaced rows', () => {
+    // Rows stored in pass order 0, 4, 2, 1, 3, 5 for a 1×6 image
+    const { frames } = decodeGif(gif(1, 6, [{ indices: [0, 1, 2, 3, 0, 1], interlaced: true }]));
+    expect(Array.from(frames[0].data)).toEqual(rgba(0, 3, 2, 0, 1, 1));
+  });
+
+  it('rejects other files', () => {
+    expect(() => decodeGif(new TextEncoder().encode('not a gif'))).toThrow('Not a GIF file');
+  });
+});
@@ -0,0 +1,184 @@
+// Browser helpers for moving between image files and raw RGBA pixels, on the main thread or in
+// a Web Worker.
+/* global ImageDecoder */
+import { isPng, decodePng, encodePng, encodeApng, apngFrameCount } from './png.js';
+import { isGif, countGifFrames } from './gif.js';
+import { isAnimatedWebp, decodeAnimation, checkAnimationSize, stackFrames } from './animation.js';
+
+// Web Workers have no DOM; they draw on an OffscreenCanvas instead
+const createCanvas = (width, height) => {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+// Decodes a File/Blob into ImageData without colour management so LSBs stay intact.
+// PNGs are decoded in JS: the canvas premultiplies alpha and would alter translucent pixels.
+export const loadImageData = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (isPng(bytes)) {
+    const { width, height, data } = await decodePng(bytes);
+    return new ImageData(data, width, height);
+  }
+
+  const bitmap = await createImageBitmap(file, {
+    premultiplyAlpha: 'none',
+    colorSpaceConversion: 'none',
+  });
+
+  try {
+    const canvas = createCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0);
+    return context.getImageData(0, 0, bitmap.width, bitmap.height);
+  } finally {
+    bitmap.close();
+  }
+};
+
+// Encodes ImageData-like pixels as a lossless PNG blob, alpha included
+export const imageDataToPngBlob = async (imageData) =>
+  new Blob([await encodePng(imageData)], { type: 'image/png' });
+
+// Encodes decoded frames (as from loadAnimation) as a lossless animated PNG blob
+export const animationToPngBlob = async (animation) =>
+  new Blob([await encodeApng(animation)], { type: 'image/png' });
+
+// VP8X stores the canvas size minus one as 24-bit little-endian values
+const webpCanvasSize = (bytes) => ({
+  width: 1 + (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16)),
+  height: 1 + (bytes[27] | (bytes[28] << 8) | (bytes[29] << 16)),
+});
+
+const createWebpDecoder = (bytes) => {
+  if (typeof ImageDecoder === 'undefined') {
+    throw new Error('This browser cannot decode animated WebP images. Convert the animation to GIF or APNG first.');
+  }
+  return new ImageDecoder({ data: bytes, type: 'image/webp', premultiplyAlpha: 'none', colorSpaceConversion: 'none' });
+};
+
+// There is no JS decoder for WebP here; the browser's ImageDecoder hands out one frame at a time
+const decodeWebpAnimation = async (bytes) => {
+  const decoder = createWebpDecoder(bytes);
+  try {
+    await decoder.tracks.ready;
+    const track = decoder.tracks.selectedTrack;
+    if (track.frameCount < 2) {
+      return null;
+    }
+    const { width, height } = webpCanvasSize(bytes);
+    checkAnimationSize({ width, height }, track.frameCount);
+
+    const context = createCanvas(width, height).getContext('2d', { willReadFrequently: true });
+    const frames = [];
+    for (let i = 0; i < track.frameCount; i++) {
+      const { image } = await decoder.decode({ frameIndex: i });
+      try {
+        context.clearRect(0, 0, width, height);
+        context.drawImage(image, 0, 0);
+        // VideoFrame durations are in microseconds
+        frames.push({ data: context.getImageData(0, 0, width, height).data, delay: Math.round((image.duration ?? 100000) / 1000) });
+      } finally {
+        image.close();
+      }
+    }
+    const loops = Number.isFinite(track.repetitionCount) ? track.repetitionCount + 1 : 0;
+    return { width, height, frames, loops };
+  } finally {
+    decoder.close();
+  }
+};
+
+// Decodes every frame of an animated GIF, PNG or WebP into { width, height, frames, loops }
+// (see ./animation). Resolves with null for still images.
+export const loadAnimation = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  return isAnimatedWebp(bytes) ? decodeWebpAnimation(bytes) : decodeAnimation(bytes);
+};
+
+// The pixels to hide data in or read it from: the image itself, or for an animation all of its
+// frames stacked into one tall image. Resolves with { imageData, animation }; `animation` is
+// null for still images.
+export const loadPixels = async (file) => {
+  const animation = await loadAnimation(file);
+  return animation
+    ? { imageData: stackFrames(animation), animation }
+    : { imageData: await loadImageData(file), animation: null };
+};
+
+// PNG colour types and JPEG component counts mapped to PIL-style mode names
+const PNG_COLOR_TYPES = { 0: 'L', 2: 'RGB', 3: 'P', 4: 'LA', 6: 'RGBA' };
+const JPEG_COMPONENTS = { 1: 'L', 3: 'RGB', 4: 'CMYK' };
+const JPEG_SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+const HEADER_SNIFF_BYTES = 64 * 1024;
+
+const sniffChannelLayout = (bytes) => {
+  // PNG: signature, then IHDR with the colour type at byte 25
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+    return PNG_COLOR_TYPES[bytes[25]] || 'RGB';
+  }
+
+  // GIF frames are always palette based
+  if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) {
+    return 'P';
+  }
+
+  // JPEG: walk the segments until the start-of-frame header
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < bytes.length && bytes[offset] === 0xff) {
+      const marker = bytes[offset + 1];
+      if (JPEG_SOF_MARKERS.includes(marker)) {
+        return JPEG_COMPONENTS[bytes[offset + 9]] || 'RGB';
+      }
+      offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    }
+  }
+
+  return 'RGB';
+};
+
+// GIF frames are spread through the whole file; APNG and WebP announce their count up front
+const countFileFrames = async (file, header) => {
+  if (isGif(header)) {
+    return countGifFrames(new Uint8Array(await file.arrayBuffer()));
+  }
+  if (isAnimatedWebp(header)) {
+    if (typeof ImageDecoder === 'undefined') return 1;
+    const decoder = createWebpDecoder(new Uint8Array(await file.arrayBuffer()));
+    try {
+      await decoder.tracks.ready;
+      return decoder.tracks.selectedTrack.frameCount;
+    } finally {
+      decoder.close();
+    }
+  }
+  return apngFrameCount(header) || 1;
+};
+
+// Dimensions, channel layout and frame count of an image file, as the backend would see it
+export const readImageInfo = async (file) => {
+  const header = new Uint8Array(await file.slice(0, HEADER_SNIFF_BYTES).arrayBuffer());
+  const bitmap = await createImageBitmap(file);
+  const info = { width: bitmap.width, height: bitmap.height, layout: sniffChannelLayout(header) };
+  bitmap.close();
+  info.frames = await countFileFrames(file, header);
+  return info;
+};
+
+// Small JPEG preview of an image file, at most `size` pixels on its longest side
+export const createThumbnail = async (file, size = 96) => {
+  const bitmap = await createImageBitmap(file);
+  try {
+    const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+    const canvas = createCanvas(Math.max(1, Math.round(bitmap.width * scale)), Math.max(1, Math.round(bitmap.height * scale)));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+  } finally {
+    bitmap.close();
+  }
+};
@@ -0,0 +1,124 @@
+// LSB codec, bit-for-bit compatible with the backend's hide_message/extract_message.
+// Works on ImageData-like objects ({ width, height, data }) where data is RGBA.
+
+export const TERMINATOR = '1111111111111110';
+const TERMINATOR_VALUE = 0xfffe;
+const TERMINATOR_LENGTH = TERMINATOR.length;
+
+// The backend writes R, G and B of every pixel in order and never touches alpha
+const CHANNELS_PER_PIXEL = 4;
+const DATA_CHANNELS = 3;
+
+export const capacityBits = ({ width, height }) => width * height * DATA_CHANNELS;
+
+// Maps the n-th payload bit to its index in the RGBA buffer
+const channelOffset = (bitIndex) =>
+  Math.floor(bitIndex / DATA_CHANNELS) * CHANNELS_PER_PIXEL + (bitIndex % DATA_CHANNELS);
+
+export const readBit = (data, bitIndex) => data[channelOffset(bitIndex)] & 1;
+
+export const writeBit = (data, bitIndex, bit) => {
+  const offset = channelOffset(bitIndex);
+  data[offset] = (data[offset] & ~1) | bit;
+};
+
+// Same as ''.join(format(b, '08b') for b in message.encode('utf-8')) + terminator
+export const messageToBits = (message) => {
+  let bits = '';
+  for (const byte of new TextEncoder().encode(message)) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  return bits + TERMINATOR;
+};
+
+export const embedBits = (imageData, bits) => {
+  if (bits.length > capacityBits(imageData)) {
+    throw new Error(
+      `Message is too long for this image (${bits.length} bits needed, ${capacityBits(imageData)} available)`
+    );
+  }
+
+  const data = new Uint8ClampedArray(imageData.data);
+  for (let i = 0; i < bits.length; i++) {
+    writeBit(data, i, bits.charCodeAt(i) === 49 ? 1 : 0);
+  }
+  return { width: imageData.width, height: imageData.height, data };
+};
+
+export const hideMessage = (imageData, message) => embedBits(imageData, messageToBits(message));
+
+// Byte-oriented variants used by the container format (most significant bit first, like the above)
+export const embedBytes = (imageData, bytes) => {
+  const needed = bytes.length * 8;
+  if (needed > capacityBits(imageData)) {
+    throw new Error(
+      `Payload is too large for this image (${needed} bits needed, ${capacityBits(imageData)} available)`
+    );
+  }
+
+  const data = new Uint8ClampedArray(imageData.data);
+  for (let i = 0; i < bytes.length; i++) {
+    for (let bit = 0; bit < 8; bit++) {
+      writeBit(data, i * 8 + bit, (bytes[i] >> (7 - bit)) & 1);
+    }
+  }
+  return { width: imageData.width, height: imageData.height, data };
+};
+
+export const readBytes = (imageData, byteOffset, length) => {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    let value = 0;
+    for (let bit = 0; bit < 8; bit++) {
+      value = (value << 1) | readBit(imageData.data, (byteOffset + i) * 8 + bit);
+    }
+    bytes[i] = value;
+  }
+  return bytes;
+};
+
+// Returns the index of the first terminator in the LSB stream, or -1
+export const findTerminator = (imageData) => {
+  const total = capacityBits(imageData);
+  let window = 0;
+  for (let i = 0; i < total; i++) {
+    window = ((window << 1) | readBit(imageData.data, i)) & 0xffff;
+    if (i >= TERMINATOR_LENGTH - 1 && window === TERMINATOR_VALUE) {
+      return i - TERMINATOR_LENGTH + 1;
+    }
+  }
+  return -1;
+};
+
+// Returns the hidden message bytes (UTF-8 for current encoders), or null when no terminator
+// is present
+export const extractMessage = (imageData) => {
+  const end = findTerminator(imageData);
+  if (end === -1) {
+    return null;
+  }
+
+  // Like the backend, a trailing partial group still becomes a byte
+  const bytes = new Uint8Array(Math.ceil(end / 8));
+  for (let start = 0; start < end; start += 8) {
+    let value = 0;
+    for (let i = start; i < Math.min(start + 8, end); i++) {
+      value = (value << 1) | readBit(imageData.data, i);
+    }
+    bytes[start / 8] = value;
+  }
+  return bytes;
+};
+
+// Scattered variant: bit n of the result (most significant first) comes from LSB index positions[n]
+export const readBytesAt = (data, positions) => {
+  const bytes = new Uint8Array(positions.length / 8);
+  for (let i = 0; i < bytes.length; i++) {
+    let value = 0;
+    for (let bit = 0; bit < 8; bit++) {
+      value = (value << 1) | readBit(data, positions[i * 8 + bit]);
+    }
+    bytes[i] = value;
+  }
+  return bytes;
+};
@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ */
+import { hideMessage, extractMessage, capacityBits, TERMINATOR } from './lsb.js';
+import { extractPayload, FORMATS } from './codec.js';
+
+const image = (width, height, fill = 0x80) => ({ width, height, data: new Uint8ClampedArray(width * height * 4).fill(fill) });
+
+// backend/main.py hide_message for an RGB(A) image, transcribed step by step: one bit into each
+// of R, G and B per pixel, alpha untouched
+const backendHide = ({ width, height, data }, message) => {
+  const bits = Array.from(new TextEncoder().encode(message), (byte) => byte.toString(2).padStart(8, '0')).join('') + TERMINATOR;
+  const out = new Uint8ClampedArray(data);
+  let index = 0;
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    for (let channel = 0; channel < 3 && index < bits.length; channel++) {
+      out[pixel * 4 + channel] = (out[pixel * 4 + channel] & ~1) | Number(bits[index++]);
+    }
+  }
+  return { width, height, data: out };
+};
+
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+describe('legacy LSB format', () => {
+  it.each(['hello', 'héllo wörld', '日本語 ✓ 🙂'])('writes the same bits as the backend for %p', (message) => {
+    const carrier = image(40, 10, 0x81);
+    expect(hideMessage(carrier, message).data).toEqual(backendHide(carrier, message).data);
+  });
+
+  it('reads a message the backend wrote', () => {
+    const stego = backendHide(image(40, 10), 'From the API: ünïcödé');
+    expect(decode(extractMessage(stego))).toBe('From the API: ünïcödé');
+    expect(extractPayload(stego)).toMatchObject({ format: FORMATS.LEGACY, message: 'From the API: ünïcödé', utf8Valid: true });
+  });
+
+  it('flags bytes that are not UTF-8', () => {
+    const stego = backendHide(image(40, 10), 'ok');
+    // Bit 8, the top bit of "k", sits in the blue channel of pixel 2: setting it leaves a
+    // multibyte sequence cut short
+    stego.data[2 * 4 + 2] |= 1;
+    expect(extractPayload(stego)).toMatchObject({ format: FORMATS.LEGACY, size: 2, utf8Valid: false });
+  });
+
+  it('never touches alpha', () => {
+    const carrier = image(20, 20, 0x55);
+    const stego = hideMessage(carrier, 'alpha stays');
+    for (let offset = 3; offset < stego.data.length; offset += 4) {
+      expect(stego.data[offset]).toBe(0x55);
+    }
+  });
+
+  it('finds nothing without a terminator', () => {
+    expect(extractMessage(image(10, 10, 0x80))).toBeNull();
+  });
+
+  it('rejects a message longer than the image', () => {
+    const carrier = image(4, 4);
+    expect(capacityBits(carrier)).toBe(48);
+    expect(() => hideMessage(carrier, 'too long')).toThrow(/too long for this image/);
+  });
+});
@@ -0,0 +1,104 @@
+// Full-reference quality metrics between a carrier and its stego image.
+// MSE and PSNR cover the R, G and B samples; SSIM is computed on luma. Alpha changes only
+// show up in the modified pixel count and `alphaChanged`.
+
+const MAX_VALUE = 255;
+const SSIM_WINDOW = 8;
+const SSIM_STRIDE = 4;
+const C1 = (0.01 * MAX_VALUE) ** 2;
+const C2 = (0.03 * MAX_VALUE) ** 2;
+
+const luma = ({ width, height, data }) => {
+  const values = new Float32Array(width * height);
+  for (let i = 0; i < values.length; i++) {
+    const offset = i * 4;
+    values[i] = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+  }
+  return values;
+};
+
+// Mean SSIM over 8×8 windows with a stride of 4. Images smaller than one window are
+// treated as a single window.
+export const ssim = (original, stego) => {
+  const { width, height } = original;
+  const x = luma(original);
+  const y = luma(stego);
+  const windowWidth = Math.min(SSIM_WINDOW, width);
+  const windowHeight = Math.min(SSIM_WINDOW, height);
+  const count = windowWidth * windowHeight;
+
+  let total = 0;
+  let windows = 0;
+  for (let top = 0; top + windowHeight <= height; top += SSIM_STRIDE) {
+    for (let left = 0; left + windowWidth <= width; left += SSIM_STRIDE) {
+      let sumX = 0;
+      let sumY = 0;
+      let sumXX = 0;
+      let sumYY = 0;
+      let sumXY = 0;
+      for (let row = top; row < top + windowHeight; row++) {
+        for (let i = row * width + left, end = i + windowWidth; i < end; i++) {
+          sumX += x[i];
+          sumY += y[i];
+          sumXX += x[i] * x[i];
+          sumYY += y[i] * y[i];
+          sumXY += x[i] * y[i];
+        }
+      }
+
+      const meanX = sumX / count;
+      const meanY = sumY / count;
+      const varX = sumXX / count - meanX * meanX;
+      const varY = sumYY / count - meanY * meanY;
+      const covariance = sumXY / count - meanX * meanY;
+      total += ((2 * meanX * meanY + C1) * (2 * covariance + C2)) /
+        ((meanX * meanX + meanY * meanY + C1) * (varX + varY + C2));
+      windows++;
+    }
+  }
+  return windows > 0 ? total / windows : 1;
+};
+
+export const qualityMetrics = (original, stego) => {
+  if (original.width !== stego.width || original.height !== stego.height) {
+    throw new Error('Images have different dimensions and cannot be compared');
+  }
+
+  const { data: a } = original;
+  const { data: b } = stego;
+  let squaredError = 0;
+  let changedPixels = 0;
+  let alphaChanged = false;
+  let maxDelta = 0;
+
+  for (let i = 0; i < a.length; i += 4) {
+    let changed = false;
+    for (let c = 0; c < 3; c++) {
+      const delta = a[i + c] - b[i + c];
+      if (delta !== 0) {
+        changed = true;
+        squaredError += delta * delta;
+        maxDelta = Math.max(maxDelta, Math.abs(delta));
+      }
+    }
+    if (a[i + 3] !== b[i + 3]) {
+      changed = true;
+      alphaChanged = true;
+    }
+    if (changed) {
+      changedPixels++;
+    }
+  }
+
+  const totalPixels = original.width * original.height;
+  const mse = squaredError / (totalPixels * 3);
+  return {
+    mse,
+    psnr: mse > 0 ? 10 * Math.log10((MAX_VALUE * MAX_VALUE) / mse) : Infinity,
+    ssim: ssim(original, stego),
+    changedPixels,
+    totalPixels,
+    maxDelta,
+    alphaChanged,
+  };
+};
@@ -0,0 +1,67 @@
+/**
+ * @jest-environment node
+ */
+import { qualityMetrics, ssim } from './metrics.js';
+import { estimatePsnr, DEFAULT_EMBEDDING } from './embedding.js';
+
+const image = (width, height) => ({
+  width,
+  height,
+  data: Uint8ClampedArray.from({ length: width * height * 4 }, (_, i) => (i % 4 === 3 ? 255 : (i * 13 + (i >> 6)) & 0xff)),
+});
+
+const copy = ({ width, height, data }) => ({ width, height, data: new Uint8ClampedArray(data) });
+
+describe('qualityMetrics', () => {
+  it('reports identical images as perfect', () => {
+    const carrier = image(16, 16);
+    expect(qualityMetrics(carrier, copy(carrier))).toEqual({
+      mse: 0,
+      psnr: Infinity,
+      ssim: 1,
+      changedPixels: 0,
+      totalPixels: 256,
+      maxDelta: 0,
+      alphaChanged: false,
+    });
+  });
+
+  it('measures the error of changed samples', () => {
+    const carrier = image(10, 10);
+    const stego = copy(carrier);
+    stego.data[0] ^= 1;
+    stego.data[5] = carrier.data[5] > 127 ? carrier.data[5] - 3 : carrier.data[5] + 3;
+    stego.data[7] = 0;
+
+    const metrics = qualityMetrics(carrier, stego);
+    expect(metrics.mse).toBeCloseTo((1 + 9) / 300);
+    expect(metrics.psnr).toBeCloseTo(10 * Math.log10((255 * 255 * 300) / 10));
+    expect(metrics).toMatchObject({ changedPixels: 2, maxDelta: 3, alphaChanged: true });
+    expect(metrics.ssim).toBeLessThan(1);
+  });
+
+  it('matches the PSNR predicted for random LSB embedding', () => {
+    const carrier = image(64, 64);
+    const stego = copy(carrier);
+    let seed = 7;
+    for (let i = 0; i < stego.data.length; i++) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      if (i % 4 !== 3) stego.data[i] = (stego.data[i] & ~1) | ((seed >> 16) & 1);
+    }
+    const expected = estimatePsnr(carrier, DEFAULT_EMBEDDING, 64 * 64 * 3);
+    expect(Math.abs(qualityMetrics(carrier, stego).psnr - expected)).toBeLessThan(0.5);
+  });
+
+  it('rejects images of different sizes', () => {
+    expect(() => qualityMetrics(image(4, 4), image(4, 5))).toThrow(/different dimensions/);
+  });
+});
+
+describe('ssim', () => {
+  it('drops as the structure of the image is lost', () => {
+    const carrier = image(32, 32);
+    const flat = { ...carrier, data: new Uint8ClampedArray(carrier.data.length).fill(128) };
+    expect(ssim(carrier, flat)).toBeLessThan(0.1);
+    expect(ssim(image(4, 4), image(4, 4))).toBe(1);
+  });
+});
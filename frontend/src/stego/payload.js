@@ -0,0 +1,207 @@
+// Turns what the user hides (text or a file) into embeddable data and back.
+//
+// Two representations exist: armored text for the legacy terminator format the backend
+// speaks, and raw bytes plus container flags for the JS encoder.
+import { bytesToBase64, base64ToBytes, concatBytes, decodeUtf8 } from './encoding.js';
+import {
+  encryptBytes,
+  decryptBytes,
+  encryptMessage,
+  decryptMessage,
+  isEncryptedMessage,
+  AuthenticationError,
+} from './crypto.js';
+import { FLAGS } from './container.js';
+import { compressPayload, inflate, DecompressionLimitError, MAX_DEFLATE_RATIO } from './compression.js';
+import { signBody, splitSignature, verifyBody } from './signature.js';
+
+export const SECRET_KINDS = { TEXT: 'text', FILE: 'file' };
+export const ENCRYPTION_STATES = { DECRYPTED: 'decrypted', LOCKED: 'locked', FAILED: 'failed' };
+export const FILE_ARMOR_PREFIX = 'stego:file:';
+export const DEFAULT_FILE_TYPE = 'application/octet-stream';
+// Largest secret a payload may decompress to, however well it claims to compress
+export const MAX_OPENED_LENGTH = 64 * 1024 * 1024;
+
+const writeUint = (value, length) => {
+  const bytes = new Uint8Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value & 0xff;
+    value = Math.floor(value / 256);
+  }
+  return bytes;
+};
+
+const readUint = (bytes, offset, length) => {
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return value;
+};
+
+// Layout: u16 name length | name | u16 type length | type | u32 size | file bytes
+export const packFile = ({ name, type, bytes }) => {
+  const encoder = new TextEncoder();
+  const nameBytes = encoder.encode(name);
+  const typeBytes = encoder.encode(type || DEFAULT_FILE_TYPE);
+  return concatBytes(
+    writeUint(nameBytes.length, 2),
+    nameBytes,
+    writeUint(typeBytes.length, 2),
+    typeBytes,
+    writeUint(bytes.length, 4),
+    bytes
+  );
+};
+
+export const packedFileLength = ({ name, type, bytes }) => {
+  const encoder = new TextEncoder();
+  return 8 + encoder.encode(name).length + encoder.encode(type || DEFAULT_FILE_TYPE).length + bytes.length;
+};
+
+export const unpackFile = (packed) => {
+  const decoder = new TextDecoder();
+  let offset = 0;
+
+  const readField = (length) => {
+    if (offset + length > packed.length) {
+      throw new Error('Hidden file is truncated');
+    }
+    const field = packed.subarray(offset, offset + length);
+    offset += length;
+    return field;
+  };
+
+  const name = decoder.decode(readField(readUint(readField(2), 0, 2)));
+  const type = decoder.decode(readField(readUint(readField(2), 0, 2)));
+  const size = readUint(readField(4), 0, 4);
+  const bytes = readField(size);
+
+  return { name, type, size, bytes };
+};
+
+export const isFileMessage = (text) => typeof text === 'string' && text.startsWith(FILE_ARMOR_PREFIX);
+
+export const encodeFileMessage = (file) => FILE_ARMOR_PREFIX + bytesToBase64(packFile(file));
+
+export const decodeFileMessage = (text) => unpackFile(base64ToBytes(text.slice(FILE_ARMOR_PREFIX.length)));
+
+export const readSecretFile = async (file) => ({
+  name: file.name,
+  type: file.type || DEFAULT_FILE_TYPE,
+  bytes: new Uint8Array(await file.arrayBuffer()),
+});
+
+// Runs a decryption and maps a wrong passphrase to ENCRYPTION_STATES.FAILED
+const unlock = async (decrypt, passphrase) => {
+  if (!passphrase) {
+    return { plaintext: null, encryption: ENCRYPTION_STATES.LOCKED };
+  }
+
+  try {
+    return { plaintext: await decrypt(), encryption: ENCRYPTION_STATES.DECRYPTED };
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      return { plaintext: null, encryption: ENCRYPTION_STATES.FAILED };
+    }
+    throw error;
+  }
+};
+
+// Legacy text representation, used for the server path
+export const sealMessage = async (secret, passphrase) => {
+  const text = secret.kind === SECRET_KINDS.FILE ? encodeFileMessage(secret.file) : secret.text;
+  return passphrase ? encryptMessage(text, passphrase) : text;
+};
+
+export const openMessage = async (text, passphrase) => {
+  let plaintext = text;
+  let encryption = null;
+
+  if (isEncryptedMessage(text)) {
+    ({ plaintext, encryption } = await unlock(() => decryptMessage(text, passphrase), passphrase));
+  }
+
+  if (isFileMessage(plaintext)) {
+    return { message: null, file: decodeFileMessage(plaintext), encryption };
+  }
+  return { message: plaintext, file: null, encryption };
+};
+
+// Container representation, used by the JS encoder
+
+// The bytes a secret is stored as before compression and encryption
+export const payloadBody = (secret) =>
+  secret.kind === SECRET_KINDS.FILE ? packFile(secret.file) : new TextEncoder().encode(secret.text);
+
+// Compression runs before encryption: ciphertext does not compress. A signature covers the
+// uncompressed body but is appended after compression, so it always adds SIGNATURE_LENGTH
+// bytes; encryption covers it too, which keeps the signer private without the passphrase.
+export const sealPayload = async (secret, passphrase, { compress = false, signingKey = null } = {}) => {
+  let flags = secret.kind === SECRET_KINDS.FILE ? FLAGS.FILE : 0;
+  const body = payloadBody(secret);
+  let payload = body;
+
+  if (compress) {
+    const { bytes, compressed } = await compressPayload(payload);
+    if (compressed) {
+      flags |= FLAGS.COMPRESSED;
+      payload = bytes;
+    }
+  }
+
+  if (signingKey) {
+    flags |= FLAGS.SIGNED;
+    payload = concatBytes(payload, await signBody(body, flags & FLAGS.FILE, signingKey));
+  }
+
+  if (passphrase) {
+    flags |= FLAGS.ENCRYPTED;
+    payload = await encryptBytes(payload, passphrase);
+  }
+
+  return { payload, flags };
+};
+
+export const openPayload = async ({ payload, flags }, passphrase) => {
+  let plaintext = payload;
+  let encryption = null;
+
+  if (flags & FLAGS.ENCRYPTED) {
+    ({ plaintext, encryption } = await unlock(() => decryptBytes(payload, passphrase), passphrase));
+    if (!plaintext) {
+      return { message: null, file: null, encryption };
+    }
+  }
+
+  let block = null;
+  if (flags & FLAGS.SIGNED) {
+    const signed = splitSignature(plaintext);
+    if (!signed) {
+      throw new Error('Hidden data is corrupted: its signature is truncated');
+    }
+    ({ content: plaintext, block } = signed);
+  }
+
+  if (flags & FLAGS.COMPRESSED) {
+    try {
+      plaintext = await inflate(plaintext, { maxLength: Math.min(plaintext.length * MAX_DEFLATE_RATIO, MAX_OPENED_LENGTH) });
+    } catch (error) {
+      // Untrusted input: a deflate bomb stops at the limit instead of filling memory
+      if (error instanceof DecompressionLimitError) {
+        throw error;
+      }
+      throw new Error('Hidden data is corrupted and could not be decompressed');
+    }
+  }
+
+  // null for an unsigned payload, otherwise { status, fingerprint, publicKey } (see ./signature)
+  const signature = block && await verifyBody(plaintext, flags & FLAGS.FILE, block);
+
+  if (flags & FLAGS.FILE) {
+    return { message: null, file: unpackFile(plaintext), encryption, signature };
+  }
+
+  const { text, valid } = decodeUtf8(plaintext);
+  return { message: text, file: null, encryption, utf8Valid: valid, signature };
+};
@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+import {
+  packFile,
+  unpackFile,
+  encodeFileMessage,
+  decodeFileMessage,
+  isFileMessage,
+  readSecretFile,
+  sealPayload,
+  openPayload,
+  sealMessage,
+  openMessage,
+  DEFAULT_FILE_TYPE,
+  MAX_OPENED_LENGTH,
+  SECRET_KINDS,
+  ENCRYPTION_STATES,
+} from './payload.js';
+import { FLAGS } from './container.js';
+import { deflate, DecompressionLimitError } from './compression.js';
+
+const file = { name: 'résumé.pdf', type: 'application/pdf', bytes: Uint8Array.from({ length: 300 }, (_, i) => i & 0xff) };
+
+describe('file packing', () => {
+  it('round-trips name, type and bytes', () => {
+    expect(unpackFile(packFile(file))).toEqual({ ...file, size: 300 });
+  });
+
+  it('falls back to a generic type', () => {
+    expect(unpackFile(packFile({ ...file, type: '' })).type).toBe(DEFAULT_FILE_TYPE);
+  });
+
+  it('rejects a truncated file', () => {
+    const packed = packFile(file);
+    expect(() => unpackFile(packed.subarray(0, packed.length - 1))).toThrow('Hidden file is truncated');
+  });
+
+  it('armors files as text', () => {
+    const armored = encodeFileMessage(file);
+    expect(isFileMessage(armored)).toBe(true);
+    expect(isFileMessage('plain text')).toBe(false);
+    expect(decodeFileMessage(armored)).toEqual({ ...file, size: 300 });
+  });
+
+  it('reads a picked file', async () => {
+    const picked = { name: 'notes', type: '', arrayBuffer: async () => Uint8Array.of(1, 2, 3).buffer };
+    expect(await readSecretFile(picked)).toEqual({ name: 'notes', type: DEFAULT_FILE_TYPE, bytes: Uint8Array.of(1, 2, 3) });
+  });
+});
+
+describe('sealPayload / openPayload', () => {
+  it('round-trips text and files', async () => {
+    const text = await sealPayload({ kind: SECRET_KINDS.TEXT, text: 'hello' });
+    expect(text.flags).toBe(0);
+    expect(await openPayload(text)).toMatchObject({ message: 'hello', file: null, encryption: null, utf8Valid: true });
+
+    const packed = await sealPayload({ kind: SECRET_KINDS.FILE, file });
+    expect(packed.flags).toBe(FLAGS.FILE);
+    expect((await openPayload(packed)).file).toEqual({ ...file, size: 300 });
+  });
+
+  it('opens an encrypted payload only with its passphrase', async () => {
+    const sealed = await sealPayload({ kind: SECRET_KINDS.TEXT, text: 'hello' }, 'right');
+    expect(sealed.flags).toBe(FLAGS.ENCRYPTED);
+    expect(await openPayload(sealed, 'right')).toMatchObject({ message: 'hello', encryption: ENCRYPTION_STATES.DECRYPTED });
+    expect(await openPayload(sealed, 'wrong')).toEqual({ message: null, file: null, encryption: ENCRYPTION_STATES.FAILED });
+    expect(await openPayload(sealed)).toEqual({ message: null, file: null, encryption: ENCRYPTION_STATES.LOCKED });
+  });
+
+  it('compresses only when asked and when it helps', async () => {
+    const text = { kind: SECRET_KINDS.TEXT, text: 'again and '.repeat(100) };
+    const compressed = await sealPayload(text, 'pw', { compress: true });
+    expect(compressed.flags).toBe(FLAGS.ENCRYPTED | FLAGS.COMPRESSED);
+    expect(compressed.payload.length).toBeLessThan(200);
+    expect((await openPayload(compressed, 'pw')).message).toBe(text.text);
+
+    expect((await sealPayload(text)).flags).toBe(0);
+    const tiny = await sealPayload({ kind: SECRET_KINDS.TEXT, text: 'hi' }, null, { compress: true });
+    expect(tiny).toEqual({ payload: new TextEncoder().encode('hi'), flags: 0 });
+  });
+
+  it('reports compressed data that does not inflate', async () => {
+    await expect(openPayload({ payload: Uint8Array.of(1, 2, 3), flags: FLAGS.COMPRESSED }))
+      .rejects.toThrow('Hidden data is corrupted and could not be decompressed');
+  });
+
+  it('stops inflating a payload past the size limit', async () => {
+    const bomb = await deflate(new Uint8Array(MAX_OPENED_LENGTH + 1));
+    await expect(openPayload({ payload: bomb, flags: FLAGS.COMPRESSED })).rejects.toThrow(DecompressionLimitError);
+  });
+
+  it('armors secrets for the legacy format', async () => {
+    const sealed = await sealMessage({ kind: SECRET_KINDS.FILE, file }, 'pw');
+    expect(await openMessage(sealed, 'pw')).toMatchObject({ message: null, file: { name: file.name } });
+    expect((await openMessage(sealed, 'wrong')).encryption).toBe(ENCRYPTION_STATES.FAILED);
+  });
+});
@@ -0,0 +1,128 @@
+// Hide and reveal on raw pixels: sealing, scattering, embedding and the reverse. Shared by the
+// browser pipelines (../processing) and the command-line tool, which only differ in how they
+// get pixels in and out.
+import { embedPayload, extractPayload, readPayloadRegion, FORMATS } from './codec.js';
+import { FLAGS, CHECKSUM_STATES } from './container.js';
+import { deriveScatterSeed } from './scatter.js';
+import { DEFAULT_EMBEDDING } from './embedding.js';
+import { ECC_LEVELS } from './ecc.js';
+import { sealPayload, openPayload, openMessage, ENCRYPTION_STATES } from './payload.js';
+import { readShare } from './shamir.js';
+import { sealTrailer, openTrailer } from './deniable.js';
+
+export const NOTHING_FOUND = { message: null, file: null, encryption: null, signature: null, format: null };
+
+// Containers older than this cannot carry a deniable trailer
+const DENIABLE_VERSION = 3;
+
+// Resolves with the stego pixels. Options as in hideSecret (../processing).
+export const hideInPixels = async (imageData, secret, {
+  passphrase,
+  scatterKey,
+  embedding = DEFAULT_EMBEDDING,
+  compress = false,
+  ecc = ECC_LEVELS.NONE,
+  signingKey = null,
+  decoy = null,
+} = {}) => {
+  const scatterSeed = scatterKey ? await deriveScatterSeed(scatterKey) : null;
+  if (!decoy) {
+    const { payload, flags } = await sealPayload(secret, passphrase, { compress, signingKey });
+    return embedPayload(imageData, payload, flags, { scatterSeed, embedding, ecc });
+  }
+
+  // The decoy becomes the visible payload and the secret its trailer (see ./deniable)
+  if (!passphrase || !decoy.passphrase) {
+    throw new Error('Both the message and the decoy need a passphrase');
+  }
+  if (passphrase === decoy.passphrase) {
+    throw new Error('The decoy passphrase must differ from the real one');
+  }
+  const visible = await sealPayload(decoy.secret, decoy.passphrase, { compress, signingKey });
+  const trailer = await sealTrailer(await sealPayload(secret, null, { compress, signingKey }), passphrase, ecc);
+  return embedPayload(imageData, visible.payload, visible.flags, { scatterSeed, embedding, ecc, trailer });
+};
+
+// A payload stored after the decoy opens with the passphrase the decoy rejected
+const openDeniable = async (pixels, extracted, format, passphrase, scatterSeed) => {
+  const ecc = extracted.ecc?.level ?? ECC_LEVELS.NONE;
+  const hidden = await openTrailer(
+    (start, count) => readPayloadRegion(pixels, extracted, extracted.length + start, count, scatterSeed),
+    passphrase,
+    ecc
+  );
+  if (!hidden) {
+    return null;
+  }
+  return {
+    ...(await openPayload(hidden, null)),
+    encryption: ENCRYPTION_STATES.DECRYPTED,
+    format: {
+      ...format,
+      deniable: true,
+      payloadSize: hidden.payload.length,
+      compressed: Boolean(hidden.flags & FLAGS.COMPRESSED),
+      signed: Boolean(hidden.flags & FLAGS.SIGNED),
+    },
+  };
+};
+
+export const openLegacyMessage = async ({ message, size, utf8Valid }, passphrase) => ({
+  utf8Valid,
+  ...(await openMessage(message, passphrase)),
+  format: { name: FORMATS.LEGACY, payloadSize: size, checksum: null },
+});
+
+// Resolves with { message, file, encryption, signature, format } for whatever the pixels hide
+export const revealFromPixels = async (pixels, { passphrase, scatterKey } = {}) => {
+  const scatterSeed = scatterKey ? await deriveScatterSeed(scatterKey) : null;
+  const extracted = extractPayload(pixels, scatterSeed);
+
+  if (!extracted) {
+    return NOTHING_FOUND;
+  }
+
+  if (extracted.format === FORMATS.LEGACY) {
+    return openLegacyMessage(extracted, passphrase);
+  }
+
+  const format = {
+    name: FORMATS.CONTAINER,
+    version: extracted.version,
+    payloadSize: extracted.length,
+    checksum: extracted.checksum,
+    scattered: Boolean(extracted.flags & FLAGS.SCATTERED),
+    compressed: Boolean(extracted.flags & FLAGS.COMPRESSED),
+    signed: Boolean(extracted.flags & FLAGS.SIGNED),
+    ecc: extracted.ecc,
+    embedding: extracted.embedding,
+  };
+
+  // A scattered payload read without its key: report what the header says and stop there
+  if (!extracted.payload) {
+    return { ...NOTHING_FOUND, format };
+  }
+
+  // One share alone reveals nothing; say which one it is so the user can collect the rest
+  if (extracted.flags & FLAGS.SHARE) {
+    const share = readShare(extracted.payload);
+    return {
+      ...NOTHING_FOUND,
+      format: { ...format, share: share && { index: share.index, total: share.total, threshold: share.threshold } },
+    };
+  }
+
+  try {
+    const opened = await openPayload(extracted, passphrase);
+    if (opened.encryption === ENCRYPTION_STATES.FAILED && extracted.version >= DENIABLE_VERSION) {
+      return (await openDeniable(pixels, extracted, format, passphrase, scatterSeed)) || { ...opened, format };
+    }
+    return { ...opened, format };
+  } catch (error) {
+    // A payload that failed its checksum may not even decompress or unpack; the mismatch is the finding
+    if (extracted.checksum === CHECKSUM_STATES.MISMATCH) {
+      return { ...NOTHING_FOUND, format };
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * @jest-environment node
+ */
+import { hideInPixels, revealFromPixels, NOTHING_FOUND } from './pipeline.js';
+import { SECRET_KINDS, ENCRYPTION_STATES } from './payload.js';
+import { generateSigningKey, importSigningKey, SIGNATURE_STATES } from './signature.js';
+import { CHECKSUM_STATES } from './container.js';
+import { ECC_LEVELS } from './ecc.js';
+import { encodePng, decodePng } from './png.js';
+
+const image = (width = 64, height = 64) => ({
+  width,
+  height,
+  data: Uint8ClampedArray.from({ length: width * height * 4 }, (_, i) => (i % 4 === 3 ? 255 : (i * 13 + (i >> 8)) & 0xff)),
+});
+
+const text = (value) => ({ kind: SECRET_KINDS.TEXT, text: value });
+
+describe('hide and reveal', () => {
+  it('round-trips an encrypted message with the right passphrase', async () => {
+    const stego = await hideInPixels(image(), text('meet at noon'), { passphrase: 'correct horse' });
+    expect(await revealFromPixels(stego, { passphrase: 'correct horse' })).toMatchObject({
+      message: 'meet at noon',
+      encryption: ENCRYPTION_STATES.DECRYPTED,
+      format: { checksum: CHECKSUM_STATES.VALID },
+    });
+  });
+
+  it('reveals nothing with a wrong passphrase or none', async () => {
+    const stego = await hideInPixels(image(), text('meet at noon'), { passphrase: 'correct horse' });
+    expect(await revealFromPixels(stego, { passphrase: 'battery staple' }))
+      .toMatchObject({ message: null, file: null, encryption: ENCRYPTION_STATES.FAILED });
+    expect(await revealFromPixels(stego)).toMatchObject({ message: null, encryption: ENCRYPTION_STATES.LOCKED });
+  });
+
+  it('round-trips a compressed, scattered file with error correction through a PNG', async () => {
+    const file = { name: 'notes.txt', type: 'text/plain', bytes: new TextEncoder().encode('line\n'.repeat(80)) };
+    const options = { passphrase: 'pw', scatterKey: 'scatter', compress: true, ecc: ECC_LEVELS.LOW };
+    const stego = await hideInPixels(image(), { kind: SECRET_KINDS.FILE, file }, options);
+    const revealed = await revealFromPixels(await decodePng(await encodePng(stego)), options);
+
+    expect(revealed.message).toBeNull();
+    expect(revealed.file).toMatchObject({ name: 'notes.txt', type: 'text/plain', bytes: file.bytes });
+    expect(revealed.format).toMatchObject({ scattered: true, compressed: true, checksum: CHECKSUM_STATES.VALID });
+  });
+
+  it('verifies a signed message', async () => {
+    const signingKey = await importSigningKey(await generateSigningKey());
+    const stego = await hideInPixels(image(), text('signed'), { signingKey });
+    const revealed = await revealFromPixels(stego);
+
+    expect(revealed).toMatchObject({ message: 'signed', encryption: null, format: { signed: true } });
+    expect(revealed.signature).toMatchObject({ status: SIGNATURE_STATES.VALID, publicKey: signingKey.publicKey });
+  });
+
+  it('finds nothing in an untouched image', async () => {
+    expect(await revealFromPixels(image())).toEqual(NOTHING_FOUND);
+  });
+});
+
+describe('deniable hiding', () => {
+  it('shows whichever message the passphrase opens', async () => {
+    const decoy = { secret: text('shopping list'), passphrase: 'decoy' };
+    const stego = await hideInPixels(image(), text('the real plan'), { passphrase: 'real', decoy });
+
+    expect((await revealFromPixels(stego, { passphrase: 'decoy' })).message).toBe('shopping list');
+    expect(await revealFromPixels(stego, { passphrase: 'real' }))
+      .toMatchObject({ message: 'the real plan', encryption: ENCRYPTION_STATES.DECRYPTED, format: { deniable: true } });
+    expect((await revealFromPixels(stego, { passphrase: 'neither' })).encryption).toBe(ENCRYPTION_STATES.FAILED);
+  });
+
+  it('opens the hidden message when scattered and error-corrected', async () => {
+    const decoy = { secret: text('shopping list'), passphrase: 'decoy' };
+    const options = { passphrase: 'real', scatterKey: 'scatter', ecc: ECC_LEVELS.MEDIUM };
+    const stego = await hideInPixels(image(), text('the real plan'), { ...options, decoy });
+
+    expect((await revealFromPixels(stego, options)).message).toBe('the real plan');
+    expect((await revealFromPixels(stego, { ...options, passphrase: 'decoy' })).message).toBe('shopping list');
+  });
+
+  it('needs two different passphrases', async () => {
+    const decoy = { secret: text('shopping list'), passphrase: 'same' };
+    await expect(hideInPixels(image(), text('plan'), { passphrase: 'same', decoy })).rejects.toThrow('must differ');
+    await expect(hideInPixels(image(), text('plan'), { decoy })).rejects.toThrow('need a passphrase');
+  });
+});
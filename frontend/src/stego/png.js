@@ -0,0 +1,417 @@
+// Minimal PNG and APNG encoder/decoder working on raw RGBA pixels.
+// The canvas stores pixels premultiplied by alpha, which rounds away the low bits of any
+// translucent pixel; reading and writing PNGs here keeps every sample exactly as stored.
+import { crc32 } from './crc32.js';
+import { concatBytes } from './encoding.js';
+import { deflate, inflate } from './compression.js';
+
+const SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const COLOR_TYPES = { GRAY: 0, RGB: 2, PALETTE: 3, GRAY_ALPHA: 4, RGBA: 6 };
+const CHANNEL_COUNTS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+const APNG_DISPOSE = { NONE: 0, BACKGROUND: 1, PREVIOUS: 2 };
+const APNG_BLEND = { SOURCE: 0, OVER: 1 };
+
+// Adam7 passes: start column/row and step
+const ADAM7 = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2],
+];
+
+export const isPng = (bytes) => SIGNATURE.every((byte, i) => bytes[i] === byte);
+
+const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+};
+
+// Filter type 0-4 applied to one scanline; `bpp` is bytes per complete pixel
+const filterRow = (type, row, previous, bpp, out) => {
+  for (let i = 0; i < row.length; i++) {
+    const a = i >= bpp ? row[i - bpp] : 0;
+    const b = previous ? previous[i] : 0;
+    const c = previous && i >= bpp ? previous[i - bpp] : 0;
+    const predictor = [0, a, b, (a + b) >> 1, paeth(a, b, c)][type];
+    out[i] = (row[i] - predictor) & 0xff;
+  }
+};
+
+const unfilterRow = (type, row, previous, bpp) => {
+  for (let i = 0; i < row.length; i++) {
+    const a = i >= bpp ? row[i - bpp] : 0;
+    const b = previous ? previous[i] : 0;
+    const c = previous && i >= bpp ? previous[i - bpp] : 0;
+    switch (type) {
+      case 0: break;
+      case 1: row[i] = (row[i] + a) & 0xff; break;
+      case 2: row[i] = (row[i] + b) & 0xff; break;
+      case 3: row[i] = (row[i] + ((a + b) >> 1)) & 0xff; break;
+      case 4: row[i] = (row[i] + paeth(a, b, c)) & 0xff; break;
+      default: throw new Error(`Invalid PNG filter type ${type}`);
+    }
+  }
+};
+
+const chunk = (type, data) => {
+  const bytes = new Uint8Array(12 + data.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) bytes[4 + i] = type.charCodeAt(i);
+  bytes.set(data, 8);
+  view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+  return bytes;
+};
+
+const isOpaque = (data) => {
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 255) return false;
+  }
+  return true;
+};
+
+// Filters and deflates RGBA pixels as RGB (3 channels) or RGBA (4 channels) scanlines
+const encodePixels = async ({ width, height, data }, channels) => {
+  const stride = width * channels;
+  const raw = new Uint8Array((stride + 1) * height);
+  const candidate = new Uint8Array(stride);
+  let previous = null;
+
+  for (let y = 0; y < height; y++) {
+    const row = new Uint8Array(stride);
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * 4;
+      for (let c = 0; c < channels; c++) {
+        row[x * channels + c] = data[source + c];
+      }
+    }
+
+    // Pick the filter with the smallest sum of absolute residuals, the usual heuristic
+    let bestType = 0;
+    let bestScore = Infinity;
+    const offset = y * (stride + 1);
+    for (let type = 0; type <= 4; type++) {
+      filterRow(type, row, previous, channels, candidate);
+      let score = 0;
+      for (let i = 0; i < stride; i++) {
+        score += candidate[i] < 128 ? candidate[i] : 256 - candidate[i];
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        bestType = type;
+        raw.set(candidate, offset + 1);
+      }
+    }
+    raw[offset] = bestType;
+    previous = row;
+  }
+
+  return deflate(raw);
+};
+
+const imageHeader = (width, height, opaque) => {
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header.set([8, opaque ? COLOR_TYPES.RGB : COLOR_TYPES.RGBA, 0, 0, 0], 8);
+  return header;
+};
+
+// Encodes RGBA pixels losslessly; drops the alpha channel when every pixel is opaque
+export const encodePng = async (imageData) => {
+  const opaque = isOpaque(imageData.data);
+  return concatBytes(
+    SIGNATURE,
+    chunk('IHDR', imageHeader(imageData.width, imageData.height, opaque)),
+    chunk('IDAT', await encodePixels(imageData, opaque ? 3 : 4)),
+    chunk('IEND', new Uint8Array(0)),
+  );
+};
+
+// APNG frame control: every frame we write covers the whole canvas and replaces it
+const frameControl = (sequence, width, height, delay) => {
+  const data = new Uint8Array(26);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, sequence);
+  view.setUint32(4, width);
+  view.setUint32(8, height);
+  view.setUint16(20, Math.min(delay, 0xffff));
+  view.setUint16(22, 1000);
+  data.set([APNG_DISPOSE.NONE, APNG_BLEND.SOURCE], 24);
+  return data;
+};
+
+// Encodes full-size RGBA frames ({ data, delay } with the delay in milliseconds) as an animated
+// PNG. `loops` is the number of plays, 0 for forever. The first frame doubles as the still image
+// for viewers without APNG support.
+export const encodeApng = async ({ width, height, frames, loops = 0 }) => {
+  const opaque = frames.every((frame) => isOpaque(frame.data));
+  const channels = opaque ? 3 : 4;
+  const animationControl = new Uint8Array(8);
+  new DataView(animationControl.buffer).setUint32(0, frames.length);
+  new DataView(animationControl.buffer).setUint32(4, loops);
+
+  const parts = [SIGNATURE, chunk('IHDR', imageHeader(width, height, opaque)), chunk('acTL', animationControl)];
+  let sequence = 0;
+  for (let i = 0; i < frames.length; i++) {
+    const { data, delay } = frames[i];
+    parts.push(chunk('fcTL', frameControl(sequence++, width, height, delay)));
+    const compressed = await encodePixels({ width, height, data }, channels);
+    if (i === 0) {
+      parts.push(chunk('IDAT', compressed));
+    } else {
+      const frameData = new Uint8Array(4 + compressed.length);
+      new DataView(frameData.buffer).setUint32(0, sequence++);
+      frameData.set(compressed, 4);
+      parts.push(chunk('fdAT', frameData));
+    }
+  }
+  parts.push(chunk('IEND', new Uint8Array(0)));
+  return concatBytes(...parts);
+};
+
+const readChunks = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = SIGNATURE.length;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    if (offset + 12 + length > bytes.length) {
+      throw new Error(`Truncated PNG chunk ${type}`);
+    }
+    chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+};
+
+// Reads sample `index` of a scanline at any bit depth, scaled down to 8 bits
+const sampleReader = (depth) => {
+  if (depth === 8) return (row, index) => row[index];
+  if (depth === 16) return (row, index) => row[index * 2];
+  const perByte = 8 / depth;
+  const mask = (1 << depth) - 1;
+  return (row, index, raw) => {
+    const value = (row[Math.floor(index / perByte)] >> ((perByte - 1 - (index % perByte)) * depth)) & mask;
+    return raw ? value : Math.round((value * 255) / mask);
+  };
+};
+
+// IHDR fields plus the colour tables every frame shares
+const readHeader = (chunks) => {
+  const ihdr = chunks.find((item) => item.type === 'IHDR');
+  if (!ihdr) {
+    throw new Error('PNG has no IHDR chunk');
+  }
+
+  const view = new DataView(ihdr.data.buffer, ihdr.data.byteOffset, ihdr.data.byteLength);
+  const [depth, colorType, , , interlace] = ihdr.data.subarray(8, 13);
+  if (!CHANNEL_COUNTS[colorType]) {
+    throw new Error(`Unsupported PNG colour type ${colorType}`);
+  }
+
+  return {
+    width: view.getUint32(0),
+    height: view.getUint32(4),
+    depth,
+    colorType,
+    interlace,
+    palette: chunks.find((item) => item.type === 'PLTE')?.data,
+    transparency: chunks.find((item) => item.type === 'tRNS')?.data,
+  };
+};
+
+// Inflates and unfilters one image (the main image or an APNG frame) into 8-bit RGBA
+const decodePixels = async (header, width, height, compressed) => {
+  const { depth, colorType, interlace, palette, transparency } = header;
+  const channels = CHANNEL_COUNTS[colorType];
+  const raw = await inflate(compressed);
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  const read = sampleReader(depth);
+  const bitsPerPixel = depth * channels;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+
+  // tRNS for grey/RGB images names one colour, stored at the image's own bit depth
+  const transparentKey = transparency && colorType !== COLOR_TYPES.PALETTE
+    ? Array.from({ length: channels }, (_, i) => new DataView(transparency.buffer, transparency.byteOffset).getUint16(i * 2))
+    : null;
+
+  const writePixel = (row, x, target) => {
+    const sample = (c) => read(row, x * channels + c);
+    const out = target * 4;
+    switch (colorType) {
+      case COLOR_TYPES.GRAY:
+      case COLOR_TYPES.GRAY_ALPHA: {
+        const gray = sample(0);
+        data[out] = gray;
+        data[out + 1] = gray;
+        data[out + 2] = gray;
+        data[out + 3] = colorType === COLOR_TYPES.GRAY_ALPHA ? sample(1) : 255;
+        break;
+      }
+      case COLOR_TYPES.PALETTE: {
+        const index = read(row, x, true);
+        data[out] = palette?.[index * 3] ?? 0;
+        data[out + 1] = palette?.[index * 3 + 1] ?? 0;
+        data[out + 2] = palette?.[index * 3 + 2] ?? 0;
+        data[out + 3] = transparency?.[index] ?? 255;
+        return;
+      }
+      default:
+        data[out] = sample(0);
+        data[out + 1] = sample(1);
+        data[out + 2] = sample(2);
+        data[out + 3] = colorType === COLOR_TYPES.RGBA ? sample(3) : 255;
+    }
+
+    if (transparentKey && transparentKey.every((key, c) => {
+      const value = depth === 16 ? (row[(x * channels + c) * 2] << 8) | row[(x * channels + c) * 2 + 1] : read(row, x * channels + c, true);
+      return value === key;
+    })) {
+      data[out + 3] = 0;
+    }
+  };
+
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  let offset = 0;
+  for (const [startX, startY, stepX, stepY] of passes) {
+    const passWidth = Math.ceil((width - startX) / stepX);
+    const passHeight = Math.ceil((height - startY) / stepY);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+
+    const stride = Math.ceil((passWidth * bitsPerPixel) / 8);
+    let previous = null;
+    for (let y = 0; y < passHeight; y++) {
+      const type = raw[offset];
+      const row = raw.subarray(offset + 1, offset + 1 + stride);
+      unfilterRow(type, row, previous, bpp);
+      for (let x = 0; x < passWidth; x++) {
+        writePixel(row, x, (startY + y * stepY) * width + startX + x * stepX);
+      }
+      previous = row;
+      offset += stride + 1;
+    }
+  }
+
+  return data;
+};
+
+// Decodes any PNG into 8-bit RGBA. For an APNG this is the still image, usually the first frame.
+export const decodePng = async (bytes) => {
+  if (!isPng(bytes)) {
+    throw new Error('Not a PNG file');
+  }
+
+  const chunks = readChunks(bytes);
+  const header = readHeader(chunks);
+  const compressed = concatBytes(...chunks.filter((item) => item.type === 'IDAT').map((item) => item.data));
+  const data = await decodePixels(header, header.width, header.height, compressed);
+  return { width: header.width, height: header.height, data };
+};
+
+// Number of frames announced by an acTL chunk ahead of the image data; 0 for a still PNG
+export const apngFrameCount = (bytes) => {
+  if (!isPng(bytes)) return 0;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let offset = SIGNATURE.length; offset + 8 <= bytes.length; offset += 12 + view.getUint32(offset)) {
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    if (type === 'acTL') return offset + 12 <= bytes.length ? view.getUint32(offset + 8) : 0;
+    if (type === 'IDAT') return 0;
+  }
+  return 0;
+};
+
+const readFrameControl = (data) => {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const denominator = view.getUint16(22) || 100;
+  return {
+    width: view.getUint32(4),
+    height: view.getUint32(8),
+    x: view.getUint32(12),
+    y: view.getUint32(16),
+    delay: Math.round((view.getUint16(20) * 1000) / denominator),
+    dispose: data[24],
+    blend: data[25],
+  };
+};
+
+// Draws a decoded frame region onto the canvas, replacing or alpha-blending the pixels under it
+const compositeFrame = (canvas, canvasWidth, control, pixels) => {
+  for (let y = 0; y < control.height; y++) {
+    for (let x = 0; x < control.width; x++) {
+      const source = (y * control.width + x) * 4;
+      const target = ((control.y + y) * canvasWidth + control.x + x) * 4;
+      const alpha = pixels[source + 3];
+      if (control.blend === APNG_BLEND.SOURCE || alpha === 255) {
+        canvas.set(pixels.subarray(source, source + 4), target);
+      } else if (alpha > 0) {
+        const below = canvas[target + 3] * (255 - alpha) / 255;
+        const outAlpha = alpha + below;
+        for (let c = 0; c < 3; c++) {
+          canvas[target + c] = Math.round((pixels[source + c] * alpha + canvas[target + c] * below) / outAlpha);
+        }
+        canvas[target + 3] = Math.round(outAlpha);
+      }
+    }
+  }
+};
+
+const clearRegion = (canvas, canvasWidth, { x, y, width, height }) => {
+  for (let row = y; row < y + height; row++) {
+    canvas.fill(0, (row * canvasWidth + x) * 4, (row * canvasWidth + x + width) * 4);
+  }
+};
+
+// Decodes every frame of an APNG into full-canvas RGBA with disposal and blending applied.
+// Resolves with { width, height, frames: [{ data, delay }], loops }, delays in milliseconds.
+export const decodeApng = async (bytes) => {
+  const chunks = readChunks(bytes);
+  const header = readHeader(chunks);
+  const { width, height } = header;
+  const animation = chunks.find((item) => item.type === 'acTL');
+  if (!animation) {
+    throw new Error('Not an animated PNG');
+  }
+  const loops = new DataView(animation.data.buffer, animation.data.byteOffset).getUint32(4);
+
+  // Group image data by the frame control chunk in front of it. IDAT without a preceding fcTL
+  // is a still image that is not part of the animation.
+  const parts = [];
+  let current = null;
+  chunks.forEach(({ type, data }) => {
+    if (type === 'fcTL') {
+      current = { control: readFrameControl(data), data: [] };
+      parts.push(current);
+    } else if (type === 'IDAT' && current) {
+      current.data.push(data);
+    } else if (type === 'fdAT' && current) {
+      current.data.push(data.subarray(4));
+    }
+  });
+
+  const canvas = new Uint8ClampedArray(width * height * 4);
+  const frames = [];
+  for (let i = 0; i < parts.length; i++) {
+    const { control, data } = parts[i];
+    const pixels = await decodePixels(header, control.width, control.height, concatBytes(...data));
+    // The first frame cannot restore anything earlier, so "previous" acts as "background"
+    const dispose = i === 0 && control.dispose === APNG_DISPOSE.PREVIOUS ? APNG_DISPOSE.BACKGROUND : control.dispose;
+    const saved = dispose === APNG_DISPOSE.PREVIOUS ? canvas.slice() : null;
+
+    compositeFrame(canvas, width, control, pixels);
+    frames.push({ data: canvas.slice(), delay: control.delay });
+
+    if (dispose === APNG_DISPOSE.BACKGROUND) {
+      clearRegion(canvas, width, control);
+    } else if (saved) {
+      canvas.set(saved);
+    }
+  }
+
+  return { width, height, frames, loops };
+};
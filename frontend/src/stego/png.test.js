@@ -0,0 +1,96 @@
+/**
+ * @jest-environment node
+ */
+import { deflateSync } from 'zlib';
+import { encodePng, decodePng, encodeApng, decodeApng, apngFrameCount, isPng } from './png.js';
+import { crc32 } from './crc32.js';
+import { concatBytes } from './encoding.js';
+
+const image = (width, height, alpha) => ({
+  width,
+  height,
+  data: Uint8ClampedArray.from({ length: width * height * 4 }, (_, i) => (i % 4 === 3 ? alpha(i >> 2) : (i * 29 + (i >> 7)) & 0xff)),
+});
+
+// A PNG written by hand, as other encoders would: one IHDR, unfiltered rows, one IDAT
+const handmadePng = (width, height, depth, colorType, rows) => {
+  const chunk = (type, data) => {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    out.set(new TextEncoder().encode(type), 4);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+  };
+  const header = new Uint8Array(13);
+  new DataView(header.buffer).setUint32(0, width);
+  new DataView(header.buffer).setUint32(4, height);
+  header.set([depth, colorType, 0, 0, 0], 8);
+  const raw = concatBytes(...rows.map((row) => Uint8Array.of(0, ...row)));
+  return concatBytes(
+    Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a),
+    chunk('IHDR', header),
+    chunk('IDAT', new Uint8Array(deflateSync(raw))),
+    chunk('IEND', new Uint8Array(0)),
+  );
+};
+
+describe('PNG', () => {
+  it.each([
+    ['opaque', () => 255],
+    ['translucent', (pixel) => pixel & 0xff],
+  ])('round-trips %s pixels exactly', async (_, alpha) => {
+    const original = image(23, 17, alpha);
+    const bytes = await encodePng(original);
+    expect(isPng(bytes)).toBe(true);
+    expect(await decodePng(bytes)).toEqual({ width: 23, height: 17, data: original.data });
+  });
+
+  it('reads grayscale images written elsewhere', async () => {
+    const decoded = await decodePng(handmadePng(2, 2, 8, 0, [[0, 128], [255, 7]]));
+    expect(Array.from(decoded.data)).toEqual([
+      0, 0, 0, 255, 128, 128, 128, 255,
+      255, 255, 255, 255, 7, 7, 7, 255,
+    ]);
+  });
+
+  it('scales low bit depths to 8 bits', async () => {
+    // 2-bit grayscale: samples 0, 1, 2, 3 packed into one byte
+    const decoded = await decodePng(handmadePng(4, 1, 2, 0, [[0b00011011]]));
+    expect(Array.from(decoded.data.filter((_, i) => i % 4 === 0))).toEqual([0, 85, 170, 255]);
+  });
+
+  it('rejects other files', async () => {
+    expect(isPng(new TextEncoder().encode('GIF89a'))).toBe(false);
+    await expect(decodePng(new Uint8Array(16))).rejects.toThrow('Not a PNG file');
+  });
+});
+
+describe('APNG', () => {
+  const frames = [
+    { data: image(12, 8, () => 255).data, delay: 100 },
+    { data: image(12, 8, (pixel) => pixel * 3).data, delay: 250 },
+    { data: image(12, 8, () => 0).data, delay: 40 },
+  ];
+
+  it('round-trips frames, delays and loop count', async () => {
+    const bytes = await encodeApng({ width: 12, height: 8, frames, loops: 2 });
+    expect(apngFrameCount(bytes)).toBe(3);
+
+    const decoded = await decodeApng(bytes);
+    expect(decoded).toMatchObject({ width: 12, height: 8, loops: 2 });
+    expect(decoded.frames).toEqual(frames);
+  });
+
+  it('shows the first frame to plain PNG decoders', async () => {
+    const bytes = await encodeApng({ width: 12, height: 8, frames });
+    expect((await decodePng(bytes)).data).toEqual(frames[0].data);
+  });
+
+  it('reports a still image as one without frames', async () => {
+    const bytes = await encodePng(image(4, 4, () => 255));
+    expect(apngFrameCount(bytes)).toBe(0);
+    await expect(decodeApng(bytes)).rejects.toThrow('Not an animated PNG');
+  });
+});
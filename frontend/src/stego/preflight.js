@@ -0,0 +1,160 @@
+// Carrier preflight: inspects an upload before anything is hidden in it, converts it to a
+// lossless RGB/RGBA PNG without metadata when needed, and explains what could go wrong.
+import { isPng, encodePng, encodeApng } from './png.js';
+import { loadImageData, loadAnimation, readImageInfo } from './image.js';
+
+export const NOTE_LEVELS = { INFO: 'info', WARNING: 'warning' };
+
+const SAFE_LAYOUTS = ['RGB', 'RGBA'];
+const GPS_IFD_TAG = 0x8825;
+const PNG_TEXT_CHUNKS = ['tEXt', 'iTXt', 'zTXt'];
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/';
+
+const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+// Looks for the GPS IFD pointer in IFD0 of a TIFF structure (the body of an EXIF block)
+const tiffHasGps = (bytes) => {
+  if (bytes.length < 8) return false;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const little = ascii(bytes, 0, 2) === 'II';
+  const ifd = view.getUint32(4, little);
+  if (ifd + 2 > bytes.length) return false;
+
+  const entries = view.getUint16(ifd, little);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 2 > bytes.length) return false;
+    if (view.getUint16(entry, little) === GPS_IFD_TAG) return true;
+  }
+  return false;
+};
+
+const jpegMetadata = (bytes, found) => {
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    // Start of scan: only entropy-coded data follows
+    if (marker === 0xda) break;
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const body = bytes.subarray(offset + 4, offset + 2 + length);
+    if (marker === 0xe1 && ascii(body, 0, EXIF_HEADER.length) === EXIF_HEADER) {
+      found.exif = true;
+      found.gps = found.gps || tiffHasGps(body.subarray(EXIF_HEADER.length));
+    } else if (marker === 0xe1 && ascii(body, 0, XMP_HEADER.length) === XMP_HEADER) {
+      found.text = true;
+    } else if (marker === 0xfe) {
+      found.text = true;
+    }
+    offset += 2 + length;
+  }
+};
+
+const pngMetadata = (bytes, found) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 8;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = ascii(bytes, offset + 4, 4);
+    if (type === 'eXIf') {
+      found.exif = true;
+      found.gps = found.gps || tiffHasGps(bytes.subarray(offset + 8, offset + 8 + length));
+    } else if (PNG_TEXT_CHUNKS.includes(type)) {
+      found.text = true;
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+};
+
+const webpMetadata = (bytes, found) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const type = ascii(bytes, offset, 4);
+    const length = view.getUint32(offset + 4, true);
+    if (type === 'EXIF') {
+      found.exif = true;
+      const body = bytes.subarray(offset + 8, offset + 8 + length);
+      const tiff = ascii(body, 0, EXIF_HEADER.length) === EXIF_HEADER ? body.subarray(EXIF_HEADER.length) : body;
+      found.gps = found.gps || tiffHasGps(tiff);
+    } else if (type === 'XMP ') {
+      found.text = true;
+    }
+    offset += 8 + length + (length & 1);
+  }
+};
+
+// Which kinds of metadata a JPEG, PNG or WebP file carries
+export const sniffMetadata = (bytes) => {
+  const found = { exif: false, gps: false, text: false };
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    jpegMetadata(bytes, found);
+  } else if (isPng(bytes)) {
+    pngMetadata(bytes, found);
+  } else if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') {
+    webpMetadata(bytes, found);
+  }
+  return found;
+};
+
+const LAYOUT_NOTES = {
+  P: 'Palette image converted to RGB. Hiding data in palette indices would shift colours unpredictably.',
+  L: 'Greyscale image converted to RGB so all three channels can carry data.',
+  LA: 'Greyscale image with alpha converted to RGBA.',
+  CMYK: 'CMYK image converted to RGB.',
+};
+
+const FORMAT_WARNINGS = {
+  'image/jpeg': 'This JPEG has already been through lossy compression. It is converted to PNG for embedding. ' +
+    'Never re-save the result as JPEG: recompression destroys the hidden data.',
+  'image/webp': 'WebP images may be lossy. The carrier is converted to PNG; keep the result as PNG.',
+  'image/gif': 'GIF images are palette based. The carrier is converted to PNG; keep the result as PNG.',
+};
+
+const baseName = (name) => name.replace(/\.[^.]+$/, '');
+
+// Resolves with { carrier, info, notes }. `carrier` is the file to hide data in: the upload
+// itself when it is already a clean RGB/RGBA PNG, otherwise a converted PNG copy. Animations
+// become animated PNGs with every frame and its timing.
+export const preflightCarrier = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const info = await readImageInfo(file);
+  const metadata = sniffMetadata(bytes);
+  const notes = [];
+
+  const formatWarning = FORMAT_WARNINGS[file.type === 'image/jpg' ? 'image/jpeg' : file.type];
+  if (formatWarning) {
+    notes.push({ level: NOTE_LEVELS.WARNING, text: formatWarning });
+  }
+  if (LAYOUT_NOTES[info.layout]) {
+    notes.push({ level: NOTE_LEVELS.INFO, text: LAYOUT_NOTES[info.layout] });
+  }
+  if (metadata.gps) {
+    notes.push({ level: NOTE_LEVELS.WARNING, text: 'The image contains a GPS location. It has been removed from the carrier.' });
+  } else if (metadata.exif) {
+    notes.push({ level: NOTE_LEVELS.INFO, text: 'EXIF metadata (camera, dates) has been removed from the carrier.' });
+  }
+  if (metadata.text) {
+    notes.push({ level: NOTE_LEVELS.INFO, text: 'Embedded text metadata (comments, XMP) has been removed from the carrier.' });
+  }
+
+  if (info.frames > 1) {
+    notes.push({
+      level: NOTE_LEVELS.INFO,
+      text: `Animation with ${info.frames} frames. The data is spread across all of them and the result is an animated PNG.`,
+    });
+  }
+
+  const clean = isPng(bytes) && SAFE_LAYOUTS.includes(info.layout) && !metadata.exif && !metadata.text;
+  if (clean) {
+    return { carrier: file, info, notes };
+  }
+
+  // Our PNG encoder writes no ancillary chunks, so the copy carries pixels only
+  const animation = await loadAnimation(file);
+  const png = animation ? await encodeApng(animation) : await encodePng(await loadImageData(file));
+  const carrier = new File([png], `${baseName(file.name)}.png`, { type: 'image/png' });
+  return { carrier, info: await readImageInfo(carrier), notes };
+};
@@ -0,0 +1,129 @@
+/**
+ * @jest-environment node
+ */
+import { sniffMetadata, preflightCarrier, NOTE_LEVELS } from './preflight.js';
+import { readImageInfo, loadImageData, loadAnimation } from './image.js';
+import { encodePng, decodePng, decodeApng } from './png.js';
+import { concatBytes } from './encoding.js';
+
+// Image loading goes through createImageBitmap and canvas, which only exist in a browser
+jest.mock('./image.js', () => ({ readImageInfo: jest.fn(), loadImageData: jest.fn(), loadAnimation: jest.fn() }));
+
+const ascii = (text) => new TextEncoder().encode(text);
+
+// Minimal little-endian TIFF with one IFD0 entry carrying `tag`
+const tiff = (tag) => {
+  const bytes = new Uint8Array(8 + 2 + 12 + 4);
+  const view = new DataView(bytes.buffer);
+  bytes.set(ascii('II'));
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);
+  view.setUint16(8, 1, true);
+  view.setUint16(10, tag, true);
+  return bytes;
+};
+const GPS = 0x8825;
+const MAKE = 0x010f;
+
+const jpeg = (...segments) => concatBytes(
+  Uint8Array.of(0xff, 0xd8),
+  ...segments.map(([marker, body]) => concatBytes(Uint8Array.of(0xff, marker, (body.length + 2) >> 8, (body.length + 2) & 0xff), body)),
+  Uint8Array.of(0xff, 0xda, 0, 2),
+);
+
+const pngChunk = (type, body) => {
+  const length = new Uint8Array(4);
+  new DataView(length.buffer).setUint32(0, body.length);
+  return concatBytes(length, ascii(type), body, new Uint8Array(4));
+};
+
+const webp = (type, body) => {
+  const header = new Uint8Array(8);
+  header.set(ascii(type));
+  new DataView(header.buffer).setUint32(4, body.length, true);
+  return concatBytes(ascii('RIFF'), new Uint8Array(4), ascii('WEBP'), header, body);
+};
+
+const pixels = { width: 2, height: 1, data: Uint8ClampedArray.of(1, 2, 3, 255, 4, 5, 6, 255) };
+
+describe('sniffMetadata', () => {
+  it('finds EXIF and GPS in a JPEG', () => {
+    expect(sniffMetadata(jpeg([0xe1, concatBytes(ascii('Exif\0\0'), tiff(GPS))])))
+      .toEqual({ exif: true, gps: true, text: false });
+    expect(sniffMetadata(jpeg([0xe1, concatBytes(ascii('Exif\0\0'), tiff(MAKE))])))
+      .toEqual({ exif: true, gps: false, text: false });
+  });
+
+  it('finds XMP and comments in a JPEG', () => {
+    expect(sniffMetadata(jpeg([0xe1, ascii('http://ns.adobe.com/xap/1.0/\0<x/>')])).text).toBe(true);
+    expect(sniffMetadata(jpeg([0xfe, ascii('made with love')])).text).toBe(true);
+  });
+
+  it('finds text and EXIF chunks in a PNG', () => {
+    const signature = Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a);
+    expect(sniffMetadata(concatBytes(signature, pngChunk('tEXt', ascii('Comment\0hi')), pngChunk('IEND', new Uint8Array(0)))))
+      .toEqual({ exif: false, gps: false, text: true });
+    expect(sniffMetadata(concatBytes(signature, pngChunk('eXIf', tiff(GPS)))))
+      .toEqual({ exif: true, gps: true, text: false });
+  });
+
+  it('finds EXIF in a WebP', () => {
+    expect(sniffMetadata(webp('EXIF', concatBytes(ascii('Exif\0\0'), tiff(GPS))))).toMatchObject({ exif: true, gps: true });
+  });
+
+  it('reports nothing for a clean PNG', async () => {
+    expect(sniffMetadata(await encodePng(pixels))).toEqual({ exif: false, gps: false, text: false });
+  });
+});
+
+describe('preflightCarrier', () => {
+  it('keeps a clean RGB PNG as it is', async () => {
+    const file = new File([await encodePng(pixels)], 'clean.png', { type: 'image/png' });
+    readImageInfo.mockResolvedValue({ width: 2, height: 1, layout: 'RGB' });
+
+    expect(await preflightCarrier(file)).toEqual({ carrier: file, info: { width: 2, height: 1, layout: 'RGB' }, notes: [] });
+    expect(loadImageData).not.toHaveBeenCalled();
+  });
+
+  it('converts a JPEG with a location to a bare PNG and says why', async () => {
+    const file = new File([jpeg([0xe1, concatBytes(ascii('Exif\0\0'), tiff(GPS))])], 'holiday.jpg', { type: 'image/jpeg' });
+    readImageInfo.mockResolvedValue({ width: 2, height: 1, layout: 'RGB' });
+    loadImageData.mockResolvedValue(pixels);
+
+    const { carrier, notes } = await preflightCarrier(file);
+    expect(carrier.name).toBe('holiday.png');
+    expect(carrier.type).toBe('image/png');
+    const png = new Uint8Array(await carrier.arrayBuffer());
+    expect(await decodePng(png)).toEqual(pixels);
+    expect(sniffMetadata(png)).toEqual({ exif: false, gps: false, text: false });
+    expect(notes.map((note) => note.level)).toEqual([NOTE_LEVELS.WARNING, NOTE_LEVELS.WARNING]);
+    expect(notes[1].text).toMatch(/GPS location/);
+  });
+
+  it('converts palette PNGs', async () => {
+    const file = new File([await encodePng(pixels)], 'icon.png', { type: 'image/png' });
+    readImageInfo.mockResolvedValue({ width: 2, height: 1, layout: 'P' });
+    loadImageData.mockResolvedValue(pixels);
+
+    const { carrier, notes } = await preflightCarrier(file);
+    expect(carrier).not.toBe(file);
+    expect(notes).toEqual([{ level: NOTE_LEVELS.INFO, text: expect.stringMatching(/^Palette image converted to RGB/) }]);
+  });
+
+  it('turns an animated GIF into an APNG with every frame', async () => {
+    const animation = {
+      width: 2,
+      height: 1,
+      loops: 0,
+      frames: [{ data: pixels.data, delay: 100 }, { data: pixels.data.map((value) => 255 - value), delay: 300 }],
+    };
+    const file = new File([Uint8Array.of(0x47, 0x49, 0x46, 0x38)], 'wave.gif', { type: 'image/gif' });
+    readImageInfo.mockResolvedValue({ width: 2, height: 1, layout: 'P', frames: 2 });
+    loadAnimation.mockResolvedValue(animation);
+
+    const { carrier, notes } = await preflightCarrier(file);
+    expect(await decodeApng(new Uint8Array(await carrier.arrayBuffer()))).toEqual(animation);
+    expect(notes.pop().text).toMatch(/^Animation with 2 frames/);
+    expect(loadImageData).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,189 @@
+// Reed-Solomon codes over GF(2^8) (see ./gf256), as used by QR codes. A codeword carries
+// `parity` check bytes and corrects up to parity/2 wrong bytes, or up to `parity` bytes at known
+// positions (erasures), or any mix where 2·errors + erasures ≤ parity.
+//
+// Polynomials are arrays of coefficients, highest degree first.
+import { mul, div, pow, inverse } from './gf256.js';
+
+export class ReedSolomonError extends Error {
+  constructor(message = 'Too many errors to correct') {
+    super(message);
+    this.name = 'ReedSolomonError';
+  }
+}
+
+const polyScale = (p, x) => p.map((coefficient) => mul(coefficient, x));
+
+const polyAdd = (p, q) => {
+  const result = new Array(Math.max(p.length, q.length)).fill(0);
+  p.forEach((coefficient, i) => { result[i + result.length - p.length] = coefficient; });
+  q.forEach((coefficient, i) => { result[i + result.length - q.length] ^= coefficient; });
+  return result;
+};
+
+const polyMul = (p, q) => {
+  const result = new Array(p.length + q.length - 1).fill(0);
+  for (let j = 0; j < q.length; j++) {
+    for (let i = 0; i < p.length; i++) {
+      result[i + j] ^= mul(p[i], q[j]);
+    }
+  }
+  return result;
+};
+
+const polyEval = (p, x) => {
+  let y = p[0];
+  for (let i = 1; i < p.length; i++) {
+    y = mul(y, x) ^ p[i];
+  }
+  return y;
+};
+
+const generators = new Map();
+
+// (x - α^0)(x - α^1)…(x - α^(parity-1)), cached per parity length
+const generatorPoly = (parity) => {
+  if (!generators.has(parity)) {
+    let g = [1];
+    for (let i = 0; i < parity; i++) {
+      g = polyMul(g, [1, pow(2, i)]);
+    }
+    generators.set(parity, g);
+  }
+  return generators.get(parity);
+};
+
+// Returns the data followed by its parity bytes. Data plus parity must fit in 255 bytes.
+export const rsEncode = (data, parity) => {
+  const generator = generatorPoly(parity);
+  const out = new Uint8Array(data.length + parity);
+  out.set(data);
+  for (let i = 0; i < data.length; i++) {
+    const coefficient = out[i];
+    if (coefficient !== 0) {
+      for (let j = 1; j < generator.length; j++) {
+        out[i + j] ^= mul(generator[j], coefficient);
+      }
+    }
+  }
+  out.set(data);
+  return out;
+};
+
+// Leading 0 keeps the indices lined up with the error evaluator below
+const syndromes = (codeword, parity) => {
+  const result = [0];
+  for (let i = 0; i < parity; i++) {
+    result.push(polyEval(codeword, pow(2, i)));
+  }
+  return result;
+};
+
+// Syndromes with the erasures' contribution removed, so Berlekamp-Massey only sees unknown errors
+const forneySyndromes = (synd, erasures, length) => {
+  const result = synd.slice(1);
+  erasures.forEach((position) => {
+    const x = pow(2, length - 1 - position);
+    for (let j = 0; j < result.length - 1; j++) {
+      result[j] = mul(result[j], x) ^ result[j + 1];
+    }
+  });
+  return result;
+};
+
+// Berlekamp-Massey
+const errorLocator = (synd, parity, erasureCount) => {
+  let locator = [1];
+  let previous = [1];
+  const shift = synd.length > parity ? synd.length - parity : 0;
+
+  for (let i = 0; i < parity - erasureCount; i++) {
+    const k = i + shift;
+    let delta = synd[k];
+    for (let j = 1; j < locator.length; j++) {
+      delta ^= mul(locator[locator.length - 1 - j], synd[k - j]);
+    }
+    previous = [...previous, 0];
+    if (delta !== 0) {
+      if (previous.length > locator.length) {
+        const next = polyScale(previous, delta);
+        previous = polyScale(locator, inverse(delta));
+        locator = next;
+      }
+      locator = polyAdd(locator, polyScale(previous, delta));
+    }
+  }
+
+  const first = locator.findIndex((coefficient) => coefficient !== 0);
+  locator = locator.slice(first);
+  if ((locator.length - 1) * 2 > parity - erasureCount) {
+    throw new ReedSolomonError();
+  }
+  return locator;
+};
+
+// Chien search: positions whose locator root is a power of α
+const findErrors = (locator, length) => {
+  const reversed = [...locator].reverse();
+  const positions = [];
+  for (let i = 0; i < length; i++) {
+    if (polyEval(reversed, pow(2, i)) === 0) {
+      positions.push(length - 1 - i);
+    }
+  }
+  if (positions.length !== locator.length - 1) {
+    throw new ReedSolomonError();
+  }
+  return positions;
+};
+
+// Forney algorithm: magnitudes for every known errata position, applied in place
+const correctErrata = (codeword, synd, positions) => {
+  const coefficientPositions = positions.map((position) => codeword.length - 1 - position);
+  let locator = [1];
+  coefficientPositions.forEach((position) => {
+    locator = polyMul(locator, polyAdd([1], [pow(2, position), 0]));
+  });
+
+  // Ω(x) = S(x)·Λ(x) mod x^(errata + 1)
+  const product = polyMul([...synd].reverse(), locator);
+  const evaluator = product.slice(product.length - locator.length);
+  const roots = coefficientPositions.map((position) => pow(2, position - 255));
+
+  roots.forEach((root, i) => {
+    const rootInverse = inverse(root);
+    let derivative = 1;
+    roots.forEach((other, j) => {
+      if (j !== i) {
+        derivative = mul(derivative, 1 ^ mul(rootInverse, other));
+      }
+    });
+    if (derivative === 0) {
+      throw new ReedSolomonError('Could not find the error magnitude');
+    }
+    const y = mul(root, polyEval(evaluator, rootInverse));
+    codeword[positions[i]] ^= div(y, derivative);
+  });
+};
+
+// Corrects a codeword and returns { data, corrected }: the data bytes and how many bytes had to
+// be repaired or restored. `erasures` lists positions known to be unreliable. Throws
+// ReedSolomonError when the damage exceeds what the parity can repair.
+export const rsDecode = (received, parity, erasures = []) => {
+  const codeword = Uint8Array.from(received);
+  if (erasures.length > parity) {
+    throw new ReedSolomonError();
+  }
+  erasures.forEach((position) => { codeword[position] = 0; });
+
+  const synd = syndromes(codeword, parity);
+  let errors = [];
+  if (synd.some((value) => value !== 0)) {
+    errors = findErrors(errorLocator(forneySyndromes(synd, erasures, codeword.length), parity, erasures.length), codeword.length);
+    correctErrata(codeword, synd, [...erasures, ...errors]);
+    if (syndromes(codeword, parity).some((value) => value !== 0)) {
+      throw new ReedSolomonError();
+    }
+  }
+  return { data: codeword.subarray(0, codeword.length - parity), corrected: erasures.length + errors.length };
+};
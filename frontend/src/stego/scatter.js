@@ -0,0 +1,53 @@
+// Key-seeded bit ordering: instead of filling the image from the top-left, payload bits go to
+// positions picked by a PRNG seeded from a user key, so the same key is needed to read them back.
+
+const SEED_DOMAIN = 'stego-scatter-v1:';
+
+// SHA-256 of the key, truncated to the 128-bit xoshiro state
+export const deriveScatterSeed = async (key) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(SEED_DOMAIN + key));
+  const seed = new Uint32Array(digest.slice(0, 16));
+  // xoshiro must not start from an all-zero state
+  if (seed.every((word) => word === 0)) {
+    seed[0] = 1;
+  }
+  return seed;
+};
+
+const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+
+// xoshiro128**: small, fast and identical in every JS engine
+const createRandom = (seed) => {
+  const s = Uint32Array.from(seed);
+  return () => {
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+    return result;
+  };
+};
+
+// The first `count` entries of a seeded shuffle of the bit indices [start, total).
+// A lazy Fisher-Yates keeps memory proportional to `count`, not to the image size.
+export const scatterPositions = (seed, start, total, count) => {
+  const range = total - start;
+  if (count > range) {
+    throw new Error(`Cannot scatter ${count} bits over ${range} positions`);
+  }
+
+  const random = createRandom(seed);
+  const swapped = new Map();
+  const positions = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor((random() / 0x100000000) * (range - i));
+    const picked = swapped.has(j) ? swapped.get(j) : j;
+    swapped.set(j, swapped.has(i) ? swapped.get(i) : i);
+    positions[i] = start + picked;
+  }
+  return positions;
+};
@@ -0,0 +1,123 @@
+// Shamir's secret sharing, byte by byte over GF(2^8) (see ./gf256).
+//
+// Every byte of the secret is the constant term of its own random polynomial of degree
+// threshold-1; share x holds the polynomials evaluated at x. Any `threshold` shares determine the
+// polynomials again, fewer reveal nothing about the secret.
+//
+// A share as embedded in an image (big-endian):
+//   0  set id (8 random bytes, the same for every share of one split)
+//   8  threshold
+//   9  total number of shares
+//   10 share index (the x coordinate, 1-255)
+//   11 container flags of the shared payload (encrypted, file, compressed, signed)
+//   12 share bytes
+// What gets split is the payload followed by its CRC-32 (u32), so the checksum only becomes
+// readable once enough shares are combined; in clear it would let a single share confirm a guess.
+import { mul, div } from './gf256.js';
+import { crc32 } from './crc32.js';
+import { bytesToHex, randomBytes } from './encoding.js';
+
+export const MIN_SHARES = 2;
+export const MAX_SHARES = 255;
+export const SHARE_HEADER_LENGTH = 12;
+const SET_ID_LENGTH = 8;
+const CRC_LENGTH = 4;
+
+// Splits `secret` into `total` shares of which any `threshold` recover it.
+// Returns [{ index, bytes }] with indices 1..total.
+export const splitSecret = (secret, total, threshold) => {
+  if (!Number.isInteger(total) || total < MIN_SHARES || total > MAX_SHARES) {
+    throw new Error(`The number of shares must be between ${MIN_SHARES} and ${MAX_SHARES}`);
+  }
+  if (!Number.isInteger(threshold) || threshold < MIN_SHARES || threshold > total) {
+    throw new Error(`The threshold must be between ${MIN_SHARES} and the number of shares (${total})`);
+  }
+
+  // Coefficients a1..a(k-1) for every byte, stored degree by degree
+  const coefficients = randomBytes(secret.length * (threshold - 1));
+  return Array.from({ length: total }, (_, i) => {
+    const x = i + 1;
+    const bytes = new Uint8Array(secret.length);
+    for (let b = 0; b < secret.length; b++) {
+      // Horner's rule from the highest degree down to the secret byte
+      let y = 0;
+      for (let degree = threshold - 1; degree >= 1; degree--) {
+        y = mul(y, x) ^ coefficients[(degree - 1) * secret.length + b];
+      }
+      bytes[b] = mul(y, x) ^ secret[b];
+    }
+    return { index: x, bytes };
+  });
+};
+
+// Lagrange interpolation at x = 0. Needs at least `threshold` distinct shares; with fewer the
+// result is meaningless rather than an error.
+export const combineShares = (shares) => {
+  const length = shares[0].bytes.length;
+  const weights = shares.map(({ index }, i) => {
+    let weight = 1;
+    shares.forEach((other, j) => {
+      if (j !== i) {
+        weight = mul(weight, div(other.index, other.index ^ index));
+      }
+    });
+    return weight;
+  });
+
+  const secret = new Uint8Array(length);
+  shares.forEach(({ bytes }, i) => {
+    for (let b = 0; b < length; b++) {
+      secret[b] ^= mul(bytes[b], weights[i]);
+    }
+  });
+  return secret;
+};
+
+// Splits a sealed payload and wraps every share with the header above
+export const createShares = (payload, flags, total, threshold) => {
+  const setId = randomBytes(SET_ID_LENGTH);
+  const checked = new Uint8Array(payload.length + CRC_LENGTH);
+  checked.set(payload);
+  new DataView(checked.buffer).setUint32(payload.length, crc32(payload));
+  return splitSecret(checked, total, threshold).map(({ index, bytes }) => {
+    const packed = new Uint8Array(SHARE_HEADER_LENGTH + bytes.length);
+    const view = new DataView(packed.buffer);
+    packed.set(setId, 0);
+    view.setUint8(8, threshold);
+    view.setUint8(9, total);
+    view.setUint8(10, index);
+    view.setUint8(11, flags);
+    packed.set(bytes, SHARE_HEADER_LENGTH);
+    return packed;
+  });
+};
+
+// Returns null when the bytes cannot be a share
+export const readShare = (packed) => {
+  if (packed.length < SHARE_HEADER_LENGTH + CRC_LENGTH) {
+    return null;
+  }
+
+  const view = new DataView(packed.buffer, packed.byteOffset, packed.byteLength);
+  const share = {
+    setId: bytesToHex(packed.subarray(0, SET_ID_LENGTH)),
+    threshold: view.getUint8(8),
+    total: view.getUint8(9),
+    index: view.getUint8(10),
+    flags: view.getUint8(11),
+    bytes: packed.subarray(SHARE_HEADER_LENGTH),
+  };
+  const valid = share.threshold >= MIN_SHARES && share.threshold <= share.total &&
+    share.index >= 1 && share.index <= share.total;
+  return valid ? share : null;
+};
+
+// Rebuilds the payload from shares of one set and checks it against the CRC split with it.
+// Returns { payload, flags }, or null when the shares do not reproduce the original.
+export const recoverPayload = (shares) => {
+  const [{ threshold, flags }] = shares;
+  const checked = combineShares(shares.slice(0, threshold));
+  const payload = checked.subarray(0, checked.length - CRC_LENGTH);
+  const crc = new DataView(checked.buffer).getUint32(payload.length);
+  return crc32(payload) === crc ? { payload, flags } : null;
+};
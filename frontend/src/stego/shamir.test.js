@@ -0,0 +1,84 @@
+/**
+ * @jest-environment node
+ */
+import { splitSecret, combineShares, createShares, readShare, recoverPayload, SHARE_HEADER_LENGTH } from './shamir.js';
+import { mul, div, inverse } from './gf256.js';
+import { FLAGS } from './container.js';
+import { crc32 } from './crc32.js';
+
+const secret = new TextEncoder().encode('any 3 of these 5 shares recover me');
+
+// Every k-element subset of `items`
+const combinations = (items, k) => (k === 0
+  ? [[]]
+  : items.flatMap((item, i) => combinations(items.slice(i + 1), k - 1).map((rest) => [item, ...rest])));
+
+describe('GF(2^8)', () => {
+  it('divides as the inverse of multiplying', () => {
+    for (let x = 1; x < 256; x++) {
+      expect(mul(x, inverse(x))).toBe(1);
+      expect(div(mul(x, 0x53), 0x53)).toBe(x);
+    }
+  });
+});
+
+describe('Shamir secret sharing', () => {
+  const shares = splitSecret(secret, 5, 3);
+
+  it('recovers the secret from every combination at the threshold', () => {
+    combinations(shares, 3).forEach((subset) => expect(combineShares(subset)).toEqual(secret));
+  });
+
+  it('recovers it from more shares than the threshold, in any order', () => {
+    expect(combineShares(shares.slice().reverse())).toEqual(secret);
+  });
+
+  it('recovers nothing below the threshold', () => {
+    combinations(shares, 2).forEach((subset) => expect(combineShares(subset)).not.toEqual(secret));
+  });
+
+  it('gives shares that look nothing like the secret', () => {
+    shares.forEach(({ bytes }) => expect(bytes).not.toEqual(secret));
+  });
+
+  it('rejects impossible splits', () => {
+    expect(() => splitSecret(secret, 1, 1)).toThrow(/number of shares/);
+    expect(() => splitSecret(secret, 3, 4)).toThrow(/threshold/);
+  });
+});
+
+describe('packed shares', () => {
+  const flags = FLAGS.ENCRYPTED | FLAGS.COMPRESSED;
+  const packed = createShares(secret, flags, 4, 2);
+
+  it('round-trips through the share header', () => {
+    const read = packed.map(readShare);
+    expect(new Set(read.map((share) => share.setId)).size).toBe(1);
+    expect(read.map((share) => share.index)).toEqual([1, 2, 3, 4]);
+    read.forEach((share) => expect(share).toMatchObject({ threshold: 2, total: 4, flags }));
+    expect(recoverPayload([read[3], read[1]])).toEqual({ payload: secret, flags });
+  });
+
+  it('keeps the payload checksum inside the split bytes', () => {
+    const crc = new Uint8Array(4);
+    new DataView(crc.buffer).setUint32(0, crc32(secret));
+    packed.forEach((share) => {
+      expect(share).toHaveLength(SHARE_HEADER_LENGTH + secret.length + crc.length);
+      expect(Buffer.from(share).includes(Buffer.from(crc))).toBe(false);
+    });
+  });
+
+  it('detects an altered share', () => {
+    const [first, second] = packed.map(readShare);
+    const altered = { ...second, bytes: second.bytes.map((byte, i) => (i === 0 ? byte ^ 1 : byte)) };
+    expect(recoverPayload([first, altered])).toBeNull();
+  });
+
+  it('rejects bytes that cannot be a share', () => {
+    expect(readShare(new Uint8Array(SHARE_HEADER_LENGTH - 1))).toBeNull();
+    expect(readShare(new Uint8Array(SHARE_HEADER_LENGTH))).toBeNull();
+    const broken = Uint8Array.from(packed[0]);
+    broken[8] = 5;
+    expect(readShare(broken)).toBeNull();
+  });
+});
@@ -0,0 +1,115 @@
+// Authenticity signatures: ECDSA P-256 with SHA-256, which every WebCrypto implementation
+// supports (Ed25519 is still missing from some browsers). Keys travel as JWK so they can be
+// exported from one browser and imported into another, or handed to the command-line tool; the
+// browser signs with a non-extractable CryptoKey (see importSigningKey).
+//
+// A signed payload ends with a signature block:
+//   0  block version
+//   1  signer's public key, uncompressed P-256 point (65 bytes)
+//   66 signature over the domain tag, the FILE flag and the uncompressed body (64 bytes, r | s)
+import { base64ToBytes, bytesToBase64, bytesToHex, concatBytes } from './encoding.js';
+
+const BLOCK_VERSION = 1;
+const PUBLIC_KEY_LENGTH = 65;
+const SIGNATURE_BYTES = 64;
+const FINGERPRINT_BYTES = 16;
+const SIGNED_DOMAIN = new TextEncoder().encode('stego-signature-v1:');
+const ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNING = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Bytes a signature adds to the payload
+export const SIGNATURE_LENGTH = 1 + PUBLIC_KEY_LENGTH + SIGNATURE_BYTES;
+
+export const SIGNATURE_STATES = { VALID: 'valid', INVALID: 'invalid' };
+
+const fromBase64Url = (text) => base64ToBytes(text.replace(/-/g, '+').replace(/_/g, '/'));
+const toBase64Url = (bytes) => bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const isP256Key = (jwk) => Boolean(jwk) && jwk.kty === 'EC' && jwk.crv === 'P-256' && Boolean(jwk.x && jwk.y);
+
+// The public half of a key pair, as a JWK
+export const publicJwk = ({ kty, crv, x, y }) => ({ kty, crv, x, y });
+
+const rawPublicKey = (jwk) => concatBytes(new Uint8Array([0x04]), fromBase64Url(jwk.x), fromBase64Url(jwk.y));
+
+const jwkFromRaw = (raw) => ({
+  kty: 'EC',
+  crv: 'P-256',
+  x: toBase64Url(raw.subarray(1, 33)),
+  y: toBase64Url(raw.subarray(33, PUBLIC_KEY_LENGTH)),
+});
+
+// Short, human-comparable identity of a public key: the first 16 bytes of the SHA-256 of its
+// uncompressed point, as colon-separated hex pairs
+export const keyFingerprint = async (jwk) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', rawPublicKey(jwk)));
+  return bytesToHex(digest.subarray(0, FINGERPRINT_BYTES)).match(/../g).join(':');
+};
+
+// Resolves with the private key as an extractable JWK; publicJwk() gives its public half
+export const generateSigningKey = async () => {
+  const { privateKey } = await crypto.subtle.generateKey(ALGORITHM, true, ['sign', 'verify']);
+  return crypto.subtle.exportKey('jwk', privateKey);
+};
+
+// Checks an imported JWK; `requirePrivate` rejects a public key where a signing key is needed
+export const validateJwk = (jwk, { requirePrivate = false } = {}) => {
+  if (!isP256Key(jwk)) {
+    throw new Error('Only ECDSA P-256 keys in JWK format are supported');
+  }
+  if (requirePrivate && !jwk.d) {
+    throw new Error('This is a public key; signing needs the private key');
+  }
+  return jwk;
+};
+
+// Resolves with { privateKey, publicKey }: the private JWK as a CryptoKey and its public JWK.
+// Unless `extractable` is set the CryptoKey can sign but never be read back, not even by script
+// on the same page.
+export const importSigningKey = async (privateJwk, { extractable = false } = {}) => {
+  validateJwk(privateJwk, { requirePrivate: true });
+  const privateKey = await crypto.subtle.importKey('jwk', { ...privateJwk, key_ops: ['sign'] }, ALGORITHM, extractable, ['sign']);
+  return { privateKey, publicKey: publicJwk(privateJwk) };
+};
+
+const signedData = (body, fileFlag) => concatBytes(SIGNED_DOMAIN, new Uint8Array([fileFlag ? 1 : 0]), body);
+
+// Resolves with the signature block for `body` (the payload before compression and encryption).
+// `signingKey` is a private JWK or { privateKey, publicKey } from importSigningKey.
+export const signBody = async (body, fileFlag, signingKey) => {
+  const { privateKey, publicKey } = signingKey.privateKey ? signingKey : await importSigningKey(signingKey);
+  const signature = new Uint8Array(await crypto.subtle.sign(SIGNING, privateKey, signedData(body, fileFlag)));
+  return concatBytes(new Uint8Array([BLOCK_VERSION]), rawPublicKey(publicKey), signature);
+};
+
+// Splits a signed payload into the content and its signature block; null when it is too short
+export const splitSignature = (payload) => (
+  payload.length < SIGNATURE_LENGTH
+    ? null
+    : { content: payload.subarray(0, payload.length - SIGNATURE_LENGTH), block: payload.subarray(payload.length - SIGNATURE_LENGTH) }
+);
+
+// Resolves with { status, fingerprint, publicKey }. Whether the key is trusted is for the
+// caller to decide; a valid signature only proves the body was signed by that key.
+export const verifyBody = async (body, fileFlag, block) => {
+  const invalid = { status: SIGNATURE_STATES.INVALID, fingerprint: null, publicKey: null };
+  if (block[0] !== BLOCK_VERSION) {
+    return invalid;
+  }
+
+  const publicKey = jwkFromRaw(block.subarray(1, 1 + PUBLIC_KEY_LENGTH));
+  let key;
+  try {
+    key = await crypto.subtle.importKey('jwk', publicKey, ALGORITHM, false, ['verify']);
+  } catch (error) {
+    // Not a point on the curve: the block was damaged or forged
+    return invalid;
+  }
+
+  const valid = await crypto.subtle.verify(SIGNING, key, block.subarray(1 + PUBLIC_KEY_LENGTH), signedData(body, fileFlag));
+  return {
+    status: valid ? SIGNATURE_STATES.VALID : SIGNATURE_STATES.INVALID,
+    fingerprint: await keyFingerprint(publicKey),
+    publicKey,
+  };
+};
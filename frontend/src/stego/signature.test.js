@@ -0,0 +1,68 @@
+/**
+ * @jest-environment node
+ */
+import {
+  generateSigningKey,
+  importSigningKey,
+  keyFingerprint,
+  publicJwk,
+  signBody,
+  splitSignature,
+  verifyBody,
+  validateJwk,
+  SIGNATURE_LENGTH,
+  SIGNATURE_STATES,
+} from './signature.js';
+
+const body = new TextEncoder().encode('signed body');
+
+describe('signatures', () => {
+  it('verifies a body signed with a JWK or an imported key pair', async () => {
+    const jwk = await generateSigningKey();
+    const key = await importSigningKey(jwk);
+    const fingerprint = await keyFingerprint(publicJwk(jwk));
+
+    for (const signingKey of [jwk, key]) {
+      const block = await signBody(body, false, signingKey);
+      expect(block).toHaveLength(SIGNATURE_LENGTH);
+      expect(await verifyBody(body, false, block)).toEqual({ status: SIGNATURE_STATES.VALID, fingerprint, publicKey: key.publicKey });
+    }
+  });
+
+  it('rejects an altered body, a different FILE flag and a damaged block', async () => {
+    const block = await signBody(body, false, await generateSigningKey());
+    const altered = Uint8Array.from(body);
+    altered[0] ^= 1;
+
+    expect((await verifyBody(altered, false, block)).status).toBe(SIGNATURE_STATES.INVALID);
+    expect((await verifyBody(body, true, block)).status).toBe(SIGNATURE_STATES.INVALID);
+
+    const damaged = Uint8Array.from(block);
+    damaged[10] ^= 1;
+    expect((await verifyBody(body, false, damaged)).status).toBe(SIGNATURE_STATES.INVALID);
+  });
+
+  it('imports keys non-extractable unless asked otherwise', async () => {
+    const jwk = await generateSigningKey();
+    const { privateKey } = await importSigningKey(jwk);
+    await expect(crypto.subtle.exportKey('jwk', privateKey)).rejects.toThrow();
+
+    const exportable = await importSigningKey(jwk, { extractable: true });
+    expect(await crypto.subtle.exportKey('jwk', exportable.privateKey)).toMatchObject({ d: jwk.d, x: jwk.x, y: jwk.y });
+  });
+
+  it('splits the signature block off a payload', () => {
+    const payload = new Uint8Array(SIGNATURE_LENGTH + 3).map((_, i) => i);
+    const { content, block } = splitSignature(payload);
+    expect(Array.from(content)).toEqual([0, 1, 2]);
+    expect(block).toHaveLength(SIGNATURE_LENGTH);
+    expect(splitSignature(payload.subarray(4))).toBeNull();
+  });
+
+  it('accepts only P-256 JWKs, and only private ones for signing', async () => {
+    const jwk = await generateSigningKey();
+    expect(validateJwk(publicJwk(jwk))).toEqual(publicJwk(jwk));
+    expect(() => validateJwk(publicJwk(jwk), { requirePrivate: true })).toThrow('This is a public key');
+    expect(() => validateJwk({ kty: 'RSA', n: 'x', e: 'AQAB' })).toThrow('Only ECDSA P-256');
+  });
+});
@@ -0,0 +1,216 @@
+// Statistical detection of LSB embedding: chi-square attack, RS analysis and sample pair
+// analysis. Every estimator works on the R, G and B channels of an ImageData-like object
+// and reports an embedding rate as the fraction of channel LSBs carrying payload.
+
+const RGB_CHANNELS = [0, 1, 2];
+const CHI_SQUARE_STEPS = 20;
+const CHI_SQUARE_THRESHOLD = 0.5;
+const CHI_SQUARE_DETECTION = 0.95;
+// How far the chi-square cut-off may move the RS/SPA length estimate, as a factor either way
+const MAX_LENGTH_CORRECTION = 2;
+const RS_MASK = [0, 1, 1, 0];
+const DETECTION_THRESHOLD = 0.05;
+const FULL_CONFIDENCE_PIXELS = 256 * 256;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// Abramowitz & Stegun 7.1.26
+const erf = (x) => {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - poly * Math.exp(-x * x));
+};
+
+const normalCdf = (z) => 0.5 * (1 + erf(z / Math.SQRT2));
+
+// Upper tail of the chi-square distribution (Wilson–Hilferty approximation)
+const chiSquareSurvival = (statistic, degrees) => {
+  const variance = 2 / (9 * degrees);
+  const z = (Math.cbrt(statistic / degrees) - (1 - variance)) / Math.sqrt(variance);
+  return 1 - normalCdf(z);
+};
+
+// Probability that the pairs of values (2k, 2k+1) were equalised by LSB embedding
+const pairsOfValuesProbability = (histogram) => {
+  let statistic = 0;
+  let categories = 0;
+  for (let k = 0; k < 128; k++) {
+    const expected = (histogram[2 * k] + histogram[2 * k + 1]) / 2;
+    if (expected >= 5) {
+      statistic += (histogram[2 * k] - expected) ** 2 / expected;
+      categories++;
+    }
+  }
+  return categories < 2 ? 0 : chiSquareSurvival(statistic, categories - 1);
+};
+
+// Westfeld–Pfitzmann attack over growing prefixes of the image. Sequential embedding keeps
+// the probability high until the end of the payload, which gives its length.
+export const chiSquareAttack = ({ data }) => {
+  const pixels = data.length / 4;
+  const histogram = new Float64Array(256);
+  const curve = [];
+  let pixel = 0;
+
+  for (let step = 1; step <= CHI_SQUARE_STEPS; step++) {
+    const end = Math.round((pixels * step) / CHI_SQUARE_STEPS);
+    for (; pixel < end; pixel++) {
+      for (const channel of RGB_CHANNELS) {
+        histogram[data[pixel * 4 + channel]]++;
+      }
+    }
+    curve.push(pairsOfValuesProbability(histogram));
+  }
+
+  const embeddedSteps = curve.findIndex((probability) => probability < CHI_SQUARE_THRESHOLD);
+  const steps = embeddedSteps === -1 ? CHI_SQUARE_STEPS : embeddedSteps;
+  return { probability: curve[0], rate: steps / CHI_SQUARE_STEPS, curve };
+};
+
+const flipPositive = (value) => value ^ 1;
+const flipNegative = (value) => ((value + 1) ^ 1) - 1;
+
+const smoothness = (group) =>
+  Math.abs(group[1] - group[0]) + Math.abs(group[2] - group[1]) + Math.abs(group[3] - group[2]);
+
+// Fractions of regular and singular groups under the positive and negative masks
+const countGroups = (data, width, height, channel, invertLsb) => {
+  const group = new Int16Array(4);
+  const masked = new Int16Array(4);
+  const counts = { rm: 0, sm: 0, rn: 0, sn: 0, total: 0 };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x + 4 <= width; x += 4) {
+      for (let i = 0; i < 4; i++) {
+        const value = data[((y * width) + x + i) * 4 + channel];
+        group[i] = invertLsb ? value ^ 1 : value;
+      }
+      const original = smoothness(group);
+
+      for (let i = 0; i < 4; i++) {
+        masked[i] = RS_MASK[i] ? flipPositive(group[i]) : group[i];
+      }
+      const positive = smoothness(masked);
+      if (positive > original) counts.rm++;
+      else if (positive < original) counts.sm++;
+
+      for (let i = 0; i < 4; i++) {
+        masked[i] = RS_MASK[i] ? flipNegative(group[i]) : group[i];
+      }
+      const negative = smoothness(masked);
+      if (negative > original) counts.rn++;
+      else if (negative < original) counts.sn++;
+
+      counts.total++;
+    }
+  }
+
+  return counts;
+};
+
+// Smaller-magnitude root of a·x² + b·x + c, or null when there is none
+const smallerRoot = (a, b, c) => {
+  if (Math.abs(a) < 1e-12) {
+    return Math.abs(b) < 1e-12 ? null : -c / b;
+  }
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < 0) {
+    return null;
+  }
+  const root = Math.sqrt(discriminant);
+  const first = (-b + root) / (2 * a);
+  const second = (-b - root) / (2 * a);
+  return Math.abs(first) < Math.abs(second) ? first : second;
+};
+
+// Fridrich, Goljan & Du: compares regular/singular group counts before and after flipping all LSBs
+export const rsAnalysis = ({ width, height, data }) => {
+  const rates = RGB_CHANNELS.map((channel) => {
+    const plain = countGroups(data, width, height, channel, false);
+    const flipped = countGroups(data, width, height, channel, true);
+    if (plain.total === 0) {
+      return 0;
+    }
+
+    const d0 = (plain.rm - plain.sm) / plain.total;
+    const d1 = (flipped.rm - flipped.sm) / flipped.total;
+    const dn0 = (plain.rn - plain.sn) / plain.total;
+    const dn1 = (flipped.rn - flipped.sn) / flipped.total;
+
+    // No real root means the group counts fit no embedding rate at all: no evidence either way
+    const x = smallerRoot(2 * (d1 + d0), dn0 - dn1 - d1 - 3 * d0, d0 - dn0);
+    return x === null || x === 0.5 ? 0 : clamp01(x / (x - 0.5));
+  });
+
+  return { rate: rates.reduce((sum, rate) => sum + rate, 0) / rates.length, channels: rates };
+};
+
+// Dumitrescu, Wu & Wang: trace multisets of horizontally adjacent sample pairs
+export const samplePairAnalysis = ({ width, height, data }) => {
+  const rates = RGB_CHANNELS.map((channel) => {
+    let x = 0;
+    let y = 0;
+    let k = 0;
+    let pairs = 0;
+
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col + 1 < width; col++) {
+        const u = data[((row * width) + col) * 4 + channel];
+        const v = data[((row * width) + col + 1) * 4 + channel];
+        if ((v % 2 === 0 && u < v) || (v % 2 === 1 && u > v)) x++;
+        if ((v % 2 === 0 && u > v) || (v % 2 === 1 && u < v)) y++;
+        if (u >> 1 === v >> 1) k++;
+        pairs++;
+      }
+    }
+
+    if (k === 0) {
+      return 0;
+    }
+    const beta = smallerRoot(2 * k, 2 * (2 * x - pairs), y - x);
+    return beta === null ? 0 : clamp01(beta * 2);
+  });
+
+  return { rate: rates.reduce((sum, rate) => sum + rate, 0) / rates.length, channels: rates };
+};
+
+// Runs all estimators and condenses them into one embedding rate with a confidence score.
+// RS and SPA decide: chi-square alone false-alarms on smooth histograms, so it only raises the
+// confidence when it backs their verdict, lowers it when it contradicts a clean one, and places
+// the end of a payload they found when that payload was written sequentially.
+// Confidence otherwise reflects how closely RS and SPA agree, discounted for small images.
+export const analyzeImage = (imageData) => {
+  const chiSquare = chiSquareAttack(imageData);
+  const rs = rsAnalysis(imageData);
+  const spa = samplePairAnalysis(imageData);
+
+  const estimates = [rs.rate, spa.rate];
+  const rate = estimates.reduce((sum, value) => sum + value, 0) / estimates.length;
+  const agreement = 1 - Math.min(1, (Math.max(...estimates) - Math.min(...estimates)) / Math.max(rate, DETECTION_THRESHOLD) / 2);
+  const sizeFactor = Math.min(1, (imageData.width * imageData.height) / FULL_CONFIDENCE_PIXELS);
+  const suspicious = rate > DETECTION_THRESHOLD;
+
+  const equalised = chiSquare.probability >= CHI_SQUARE_DETECTION;
+  const base = agreement * (0.5 + 0.5 * sizeFactor);
+  const confidence = !equalised ? base : suspicious ? base + (1 - base) / 2 : base * 0.75;
+  // The cut-off of a sequential payload is sharper than the RS/SPA rate, but noise can keep the
+  // curve high up to the last steps; only a cut-off well inside the image and near their
+  // estimate is taken
+  const sequential = suspicious && equalised
+    && chiSquare.rate <= 1 - 2 / CHI_SQUARE_STEPS
+    && chiSquare.rate <= rate * MAX_LENGTH_CORRECTION
+    && chiSquare.rate >= rate / MAX_LENGTH_CORRECTION;
+  const payloadRate = sequential ? chiSquare.rate : rate;
+
+  return {
+    rate,
+    confidence: clamp01(confidence),
+    suspicious,
+    // Bytes the R, G and B LSBs carry at the estimated rate
+    payloadBytes: suspicious ? Math.round((payloadRate * imageData.width * imageData.height * RGB_CHANNELS.length) / 8) : 0,
+    chiSquare,
+    rs,
+    spa,
+  };
+};
@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+import { analyzeImage, chiSquareAttack, rsAnalysis, samplePairAnalysis } from './steganalysis.js';
+
+const WIDTH = 200;
+const HEIGHT = 150;
+
+// Deterministic stand-in for Math.random, so every run sees the same images
+const generator = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+  return seed / 0x7fffffff;
+};
+
+// A smooth photo-like carrier: slow gradients plus mild sensor noise
+const cover = (random) => {
+  const noise = () => Math.sqrt(-2 * Math.log(random() + 1e-12)) * Math.cos(2 * Math.PI * random());
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const base = 128 + 60 * Math.sin(x / 37) * Math.cos(y / 23);
+      for (let c = 0; c < 3; c++) {
+        data[(y * WIDTH + x) * 4 + c] = Math.round(base + c * 10 + noise() * 1.5);
+      }
+      data[(y * WIDTH + x) * 4 + 3] = 255;
+    }
+  }
+  return { width: WIDTH, height: HEIGHT, data };
+};
+
+// Drops every R, G and B LSB, like an image scaled up from 7 bits: neighbouring histogram bins
+// are as unequal as they get, which is the chi-square attack's best case
+const posterize = ({ width, height, data }) => ({
+  width,
+  height,
+  data: data.map((value, i) => (i % 4 === 3 ? value : value & ~1)),
+});
+
+// Overwrites the LSBs of the first `rate` of the R, G and B channels with random bits, the way
+// sequential embedding of an encrypted payload does
+const embed = ({ width, height, data }, rate, random) => {
+  const out = new Uint8ClampedArray(data);
+  const count = Math.round(rate * width * height * 3);
+  for (let i = 0; i < count; i++) {
+    const offset = Math.floor(i / 3) * 4 + (i % 3);
+    out[offset] = (out[offset] & ~1) | (random() < 0.5 ? 1 : 0);
+  }
+  return { width, height, data: out };
+};
+
+describe('steganalysis', () => {
+  it('finds nothing in a clean carrier, whatever chi-square says', () => {
+    const carrier = cover(generator(1));
+    const report = analyzeImage(carrier);
+
+    // Chi-square alone false-alarms on this noisy gradient; it only costs confidence
+    expect(chiSquareAttack(carrier).probability).toBeGreaterThan(0.95);
+    expect(report).toMatchObject({ suspicious: false, payloadBytes: 0 });
+    expect(report.rate).toBeLessThan(0.05);
+    expect(report.confidence).toBeLessThan(0.75);
+  });
+
+  it('reads estimators without a real root as no evidence', () => {
+    const flat = { width: WIDTH, height: HEIGHT, data: new Uint8ClampedArray(WIDTH * HEIGHT * 4).fill(128) };
+    expect(rsAnalysis(flat).rate).toBe(0);
+    expect(analyzeImage(flat)).toMatchObject({ rate: 0, suspicious: false });
+  });
+
+  it.each([0.3, 0.6])('estimates an embedding rate of %p', (rate) => {
+    const random = generator(2);
+    const stego = embed(cover(random), rate, random);
+    const report = analyzeImage(stego);
+
+    expect(report.suspicious).toBe(true);
+    [rsAnalysis(stego).rate, samplePairAnalysis(stego).rate, report.rate].forEach((estimate) => {
+      expect(Math.abs(estimate - rate)).toBeLessThan(0.15);
+    });
+    const bytes = (rate * WIDTH * HEIGHT * 3) / 8;
+    expect(Math.abs(report.payloadBytes - bytes)).toBeLessThan(0.15 * WIDTH * HEIGHT * 3 / 8);
+  });
+
+  it('measures the payload length from the chi-square curve', () => {
+    const random = generator(3);
+    const carrier = posterize(cover(random));
+    expect(chiSquareAttack(carrier).probability).toBeLessThan(0.05);
+
+    const attack = chiSquareAttack(embed(carrier, 0.5, random));
+    expect(attack.probability).toBeGreaterThan(0.95);
+    expect(attack.rate).toBe(0.5);
+    expect(attack.curve).toHaveLength(20);
+  });
+
+  it('takes the payload length of a sequential payload from chi-square', () => {
+    const random = generator(3);
+    const report = analyzeImage(embed(posterize(cover(random)), 0.5, random));
+
+    expect(report.suspicious).toBe(true);
+    expect(report.payloadBytes).toBe((0.5 * WIDTH * HEIGHT * 3) / 8);
+    expect(report.confidence).toBeGreaterThan(0.75);
+  });
+});
@@ -0,0 +1,102 @@
+// Text as a carrier: the same container (header, sealed payload) written as invisible Unicode
+// characters between the words of a cover text, for chat messages where an image will not do.
+//
+// Every byte becomes four characters, two bits each, most significant first, from a set of
+// default-ignorable code points that ordinary text practically never contains. ZWJ and ZWNJ
+// are left out on purpose: emoji sequences and several scripts use them.
+import { buildHeader, parseHeader, verifyPayload, FLAGS, CHECKSUM_STATES } from './container.js';
+import { ECC_LEVELS } from './ecc.js';
+import { FORMATS } from './codec.js';
+import { concatBytes } from './encoding.js';
+import { sealPayload, openPayload } from './payload.js';
+import { NOTHING_FOUND } from './pipeline.js';
+
+// WORD JOINER, FUNCTION APPLICATION, INVISIBLE TIMES, INVISIBLE SEPARATOR
+const SYMBOLS = ['\u2060', '\u2061', '\u2062', '\u2063'];
+const SYMBOL_VALUES = new Map(SYMBOLS.map((symbol, value) => [symbol, value]));
+const SYMBOL_PATTERN = /[\u2060-\u2063]/g;
+
+export const CHARACTERS_PER_BYTE = 4;
+
+const bytesToSymbols = (bytes) => {
+  let text = '';
+  for (const byte of bytes) {
+    for (let shift = 6; shift >= 0; shift -= 2) {
+      text += SYMBOLS[(byte >> shift) & 3];
+    }
+  }
+  return text;
+};
+
+const symbolsToBytes = (symbols) => {
+  const bytes = new Uint8Array(Math.floor(symbols.length / CHARACTERS_PER_BYTE));
+  for (let i = 0; i < bytes.length * CHARACTERS_PER_BYTE; i++) {
+    bytes[i >> 2] = (bytes[i >> 2] << 2) | SYMBOL_VALUES.get(symbols[i]);
+  }
+  return bytes;
+};
+
+// The cover text with `hidden` spread evenly over the gaps after its words, or appended to its
+// first character when it is a single word
+const spreadOverGaps = (cover, hidden) => {
+  const gaps = [...cover.matchAll(/\s+/g)].map((match) => match.index);
+  if (gaps.length === 0) {
+    const [first = ''] = cover;
+    return first + hidden + cover.slice(first.length);
+  }
+
+  const chunk = Math.ceil(hidden.length / gaps.length);
+  let text = '';
+  let from = 0;
+  gaps.forEach((gap, i) => {
+    text += cover.slice(from, gap) + hidden.slice(i * chunk, (i + 1) * chunk);
+    from = gap;
+  });
+  return text + cover.slice(from);
+};
+
+// Resolves with the cover text carrying `secret`. Options as in hideSecret (../processing); the
+// image-only ones (scattering, embedding, error correction) do not apply.
+export const hideInText = async (cover, secret, { passphrase, compress = false, signingKey = null } = {}) => {
+  if (!cover.trim()) {
+    throw new Error('Enter a cover text to hide the message in');
+  }
+  const { payload, flags } = await sealPayload(secret, passphrase, { compress, signingKey });
+  return spreadOverGaps(cover, bytesToSymbols(concatBytes(buildHeader(payload, flags), payload)));
+};
+
+// Number of invisible characters a text carries
+export const hiddenCharacterCount = (text) => (text.match(SYMBOL_PATTERN) || []).length;
+
+// Resolves with { message, file, encryption, signature, format } as revealFromPixels does
+export const revealFromText = async (text, { passphrase } = {}) => {
+  const bytes = symbolsToBytes(text.match(SYMBOL_PATTERN) || []);
+  const header = parseHeader(bytes);
+  if (!header || header.ecc !== ECC_LEVELS.NONE || header.headerLength + header.length > bytes.length) {
+    return NOTHING_FOUND;
+  }
+
+  const extracted = {
+    payload: bytes.subarray(header.headerLength, header.headerLength + header.length),
+    flags: header.flags,
+  };
+  const checksum = verifyPayload(header, extracted.payload);
+  const format = {
+    name: FORMATS.CONTAINER,
+    version: header.version,
+    payloadSize: header.length,
+    checksum,
+    compressed: Boolean(header.flags & FLAGS.COMPRESSED),
+    signed: Boolean(header.flags & FLAGS.SIGNED),
+  };
+
+  try {
+    return { ...(await openPayload(extracted, passphrase)), format };
+  } catch (error) {
+    // Characters lost in transit can leave a payload that does not even unpack
+    if (checksum === CHECKSUM_STATES.MISMATCH) {
+      return { ...NOTHING_FOUND, format };
+    }
+    throw error;
+  }
+};
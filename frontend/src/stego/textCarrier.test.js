@@ -0,0 +1,50 @@
+/**
+ * @jest-environment node
+ */
+import { hideInText, revealFromText, hiddenCharacterCount, CHARACTERS_PER_BYTE } from './textCarrier.js';
+import { SECRET_KINDS, ENCRYPTION_STATES } from './payload.js';
+import { CHECKSUM_STATES } from './container.js';
+import { NOTHING_FOUND } from './pipeline.js';
+
+const cover = 'See you at the station tomorrow morning';
+const text = (value) => ({ kind: SECRET_KINDS.TEXT, text: value });
+const visible = (value) => value.replace(/[\u2060-\u2063]/g, '');
+
+describe('text carrier', () => {
+  it('hides a message between the words without changing the visible text', async () => {
+    const hidden = await hideInText(cover, text('platform 9'));
+
+    expect(visible(hidden)).toBe(cover);
+    expect(hiddenCharacterCount(hidden) % CHARACTERS_PER_BYTE).toBe(0);
+    expect(hidden.split(' ').slice(0, -1).every((word) => hiddenCharacterCount(word) > 0)).toBe(true);
+    expect(await revealFromText(hidden)).toMatchObject({
+      message: 'platform 9',
+      format: { checksum: CHECKSUM_STATES.VALID, compressed: false, signed: false },
+    });
+  });
+
+  it('carries a single-word cover and an encrypted, compressed message', async () => {
+    const hidden = await hideInText('Hello', text('again '.repeat(20)), { passphrase: 'pw', compress: true });
+
+    expect(visible(hidden)).toBe('Hello');
+    expect(await revealFromText(hidden, { passphrase: 'pw' }))
+      .toMatchObject({ message: 'again '.repeat(20), encryption: ENCRYPTION_STATES.DECRYPTED, format: { compressed: true } });
+    expect((await revealFromText(hidden, { passphrase: 'nope' })).encryption).toBe(ENCRYPTION_STATES.FAILED);
+  });
+
+  it('survives being pasted into surrounding text', async () => {
+    const hidden = await hideInText(cover, text('platform 9'));
+    expect((await revealFromText(`Forwarded:\n${hidden}\n-- sent from my phone`)).message).toBe('platform 9');
+  });
+
+  it('finds nothing in plain text or in a truncated carrier', async () => {
+    expect(await revealFromText(cover)).toEqual(NOTHING_FOUND);
+
+    const hidden = await hideInText(cover, text('platform 9'));
+    expect(await revealFromText(hidden.slice(0, hidden.length / 2))).toEqual(NOTHING_FOUND);
+  });
+
+  it('rejects an empty cover text', async () => {
+    await expect(hideInText('  ', text('x'))).rejects.toThrow('Enter a cover text');
+  });
+});
@@ -0,0 +1,55 @@
+// Pixel maps for inspecting what an embedding changed.
+
+export const CHANNELS = { R: 0, G: 1, B: 2, A: 3 };
+
+const createImage = (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) });
+
+// Black/white rendering of one channel's least significant bit
+export const lsbPlane = (imageData, channel) => {
+  const { width, height, data } = imageData;
+  const plane = createImage(width, height);
+  for (let i = 0; i < data.length; i += 4) {
+    const value = (data[i + channel] & 1) * 255;
+    plane.data[i] = value;
+    plane.data[i + 1] = value;
+    plane.data[i + 2] = value;
+    plane.data[i + 3] = 255;
+  }
+  return plane;
+};
+
+// Heat map of changed pixels over a dimmed greyscale copy of the original.
+// Colour runs from yellow (one channel off by one) to red (large or multi-channel changes).
+export const differenceMap = (original, stego) => {
+  if (original.width !== stego.width || original.height !== stego.height) {
+    throw new Error('Images have different dimensions and cannot be compared');
+  }
+
+  const map = createImage(original.width, original.height);
+  let changedPixels = 0;
+  let maxDelta = 0;
+
+  for (let i = 0; i < original.data.length; i += 4) {
+    let delta = 0;
+    for (let c = 0; c < 4; c++) {
+      delta += Math.abs(original.data[i + c] - stego.data[i + c]);
+    }
+
+    if (delta > 0) {
+      changedPixels++;
+      maxDelta = Math.max(maxDelta, delta);
+      const heat = Math.min(1, delta / 4);
+      map.data[i] = 255;
+      map.data[i + 1] = Math.round(220 * (1 - heat));
+      map.data[i + 2] = 0;
+    } else {
+      const grey = (original.data[i] * 0.299 + original.data[i + 1] * 0.587 + original.data[i + 2] * 0.114) * 0.3;
+      map.data[i] = grey;
+      map.data[i + 1] = grey;
+      map.data[i + 2] = grey;
+    }
+    map.data[i + 3] = 255;
+  }
+
+  return { image: map, changedPixels, totalPixels: original.width * original.height, maxDelta };
+};
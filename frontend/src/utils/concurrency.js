@@ -0,0 +1,14 @@
+// Runs `task` over `items` with at most `limit` in flight. Failures are left to the task
+// to record, so one bad item never stops the rest of the queue.
+export const runWithConcurrency = async (items, limit, task) => {
+  let next = 0;
+
+  const runner = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await task(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runner));
+};
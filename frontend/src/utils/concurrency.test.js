@@ -0,0 +1,24 @@
+import { runWithConcurrency } from './concurrency';
+
+describe('runWithConcurrency', () => {
+  it('never runs more than the limit at once and visits every item', async () => {
+    let running = 0;
+    let peak = 0;
+    const seen = [];
+    await runWithConcurrency([5, 1, 4, 2, 3, 0], 2, async (item, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, item));
+      seen.push(index);
+      running--;
+    });
+    expect(peak).toBe(2);
+    expect(seen.sort()).toEqual([0, 1, 2, 3, 4, 5]);
+  });
+
+  it('handles fewer items than the limit', async () => {
+    const task = jest.fn(async () => {});
+    await runWithConcurrency(['only'], 3, task);
+    expect(task).toHaveBeenCalledWith('only', 0);
+  });
+});
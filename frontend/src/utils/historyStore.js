@@ -0,0 +1,59 @@
+// Promise wrapper around the IndexedDB store that keeps past Hide/Reveal operations.
+// Entries hold Blobs (thumbnail, stego image) directly; IndexedDB stores them natively.
+
+const DB_NAME = 'stego-history';
+const DB_VERSION = 1;
+const STORE = 'operations';
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('History is not available in this browser'));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('createdAt', 'createdAt');
+    };
+    dbPromise = promisify(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs `action(store)` in a transaction and resolves once the transaction commits
+const withStore = async (mode, action) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE, mode);
+  const result = promisify(action(transaction.objectStore(STORE)));
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  return result;
+};
+
+// Resolves with the new entry's id
+export const addHistoryEntry = (entry) =>
+  withStore('readwrite', (store) => store.add({ ...entry, createdAt: entry.createdAt ?? Date.now() }));
+
+// Newest first
+export const listHistoryEntries = async () => {
+  const entries = await withStore('readonly', (store) => store.index('createdAt').getAll());
+  return entries.reverse();
+};
+
+export const deleteHistoryEntry = (id) => withStore('readwrite', (store) => store.delete(id));
+
+export const clearHistory = () => withStore('readwrite', (store) => store.clear());
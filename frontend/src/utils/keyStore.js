@@ -0,0 +1,90 @@
+// The signing key and the trusted public keys (see ../stego/signature).
+//
+// The signing key lives in IndexedDB as a non-extractable CryptoKey, next to its public JWK:
+// signing never handles the private key itself. An extractable copy is stored separately and
+// only read when the user asks to export the key pair. Trusted keys are public and stay in
+// localStorage as JWK.
+import { importSigningKey } from '../stego/signature';
+
+const DB_NAME = 'stego-keys';
+const DB_VERSION = 1;
+const STORE = 'keys';
+const SIGNING_KEY_ID = 'signing';
+const EXPORT_KEY_ID = 'signing-export';
+const TRUSTED_KEYS = 'stego.trustedKeys';
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('Signing keys cannot be stored in this browser'));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+    dbPromise = promisify(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, action) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE, mode);
+  const result = promisify(action(transaction.objectStore(STORE)));
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  return result;
+};
+
+const read = (name, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(name)) ?? fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// `key` is { privateKey, publicKey, fingerprint, createdAt } or null to delete the stored key;
+// `privateJwk` is the private key it was imported from, kept for exportSigningKey
+export const saveSigningKey = async (key, privateJwk) => {
+  if (!key) {
+    await withStore('readwrite', (store) => {
+      store.delete(EXPORT_KEY_ID);
+      return store.delete(SIGNING_KEY_ID);
+    });
+    return;
+  }
+
+  const { privateKey: exportable } = await importSigningKey(privateJwk, { extractable: true });
+  await withStore('readwrite', (store) => {
+    store.put(exportable, EXPORT_KEY_ID);
+    return store.put(key, SIGNING_KEY_ID);
+  });
+};
+
+// Resolves with the key saveSigningKey stored, or null
+export const loadSigningKey = async () => (await withStore('readonly', (store) => store.get(SIGNING_KEY_ID))) ?? null;
+
+// Resolves with the stored private key as a JWK, or null when there is none. Only call this
+// when the user has asked for the export and confirmed it.
+export const exportSigningKey = async () => {
+  const exportable = await withStore('readonly', (store) => store.get(EXPORT_KEY_ID));
+  return exportable ? crypto.subtle.exportKey('jwk', exportable) : null;
+};
+
+// [{ fingerprint, label, publicKey, addedAt }]
+export const loadTrustedKeys = () => read(TRUSTED_KEYS, []);
+
+export const saveTrustedKeys = (keys) => localStorage.setItem(TRUSTED_KEYS, JSON.stringify(keys));
@@ -0,0 +1,46 @@
+/**
+ * @jest-environment node
+ */
+import { createZip } from './zip';
+import { crc32 } from '../stego/crc32';
+
+// Walks the local file headers of a stored (uncompressed) archive
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer);
+  const entries = [];
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+    const data = bytes.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+    entries.push({ name, data, crc: view.getUint32(offset + 14, true) });
+    offset += 30 + nameLength + size;
+  }
+  return { entries, centralDirectory: offset, end: view.getUint32(bytes.length - 22, true) };
+};
+
+describe('createZip', () => {
+  it('stores strings, bytes and blobs under their names', async () => {
+    const archive = await createZip([
+      { name: 'summary.json', data: '{"ok":true}' },
+      { name: 'übung.bin', data: Uint8Array.of(0, 1, 2, 255) },
+      { name: 'blob.txt', data: new Blob(['from a blob']) },
+    ]);
+    expect(archive.type).toBe('application/zip');
+
+    const { entries, end } = readZip(new Uint8Array(await archive.arrayBuffer()));
+    expect(end).toBe(0x06054b50);
+    expect(entries.map((entry) => entry.name)).toEqual(['summary.json', 'übung.bin', 'blob.txt']);
+    expect(new TextDecoder().decode(entries[0].data)).toBe('{"ok":true}');
+    expect(entries[1].data).toEqual(Uint8Array.of(0, 1, 2, 255));
+    expect(new TextDecoder().decode(entries[2].data)).toBe('from a blob');
+    entries.forEach((entry) => expect(entry.crc).toBe(crc32(entry.data)));
+  });
+
+  it('writes an empty archive', async () => {
+    const bytes = new Uint8Array(await (await createZip([])).arrayBuffer());
+    expect(bytes.length).toBe(22);
+    expect(readZip(bytes).entries).toEqual([]);
+  });
+});
@@ -0,0 +1,53 @@
+// The pixel-heavy work the UI hands off: decoding, embedding, extracting and measuring images.
+// Each operation takes structured-cloneable arguments plus an onProgress callback and resolves
+// with a cloneable result, so it can run in ./stego.worker.js or, as a fallback, in the page.
+import { hideSecret, revealSecret, hideSecretShares, revealSecretShares } from '../processing';
+import { PROCESSING_MODES } from '../stego/capacity';
+import { preflightCarrier } from '../stego/preflight';
+import { loadPixels } from '../stego/image';
+import { analyzeImage } from '../stego/steganalysis';
+import { qualityMetrics } from '../stego/metrics';
+
+const LOCAL = { mode: PROCESSING_MODES.LOCAL };
+
+export const OPERATIONS = {
+  preflight: (file) => preflightCarrier(file),
+
+  // Plain { width, height, data } rather than ImageData, so the pixel buffer can be transferred
+  decode: async (file) => {
+    const { imageData: { width, height, data } } = await loadPixels(file);
+    return { width, height, data };
+  },
+
+  hide: (file, secret, options, onProgress) => hideSecret(file, secret, { ...options, ...LOCAL, onProgress }),
+
+  reveal: (file, options, onProgress) => revealSecret(file, { ...options, ...LOCAL, onProgress }),
+
+  // Steganalysis of an image, plus the in-browser reveal when `reveal` is set; both read the
+  // same decoded pixels
+  detect: async (file, { reveal, ...options }, onProgress) => {
+    const { imageData: pixels } = await loadPixels(file);
+    onProgress(0.3);
+    const statistics = analyzeImage(pixels);
+    onProgress(0.6);
+    const revealed = reveal ? await revealSecret(file, { ...options, ...LOCAL, pixels }) : null;
+    return { statistics, revealed };
+  },
+
+  // How much the stego image differs from its carrier. Animations are compared with all frames
+  // stacked, so the metrics cover every frame.
+  quality: async (carrier, stego) => {
+    const [original, modified] = await Promise.all([loadPixels(carrier), loadPixels(stego)]);
+    const frames = original.animation?.frames.length ?? 1;
+    return {
+      width: original.imageData.width,
+      height: original.imageData.height / frames,
+      frames,
+      metrics: qualityMetrics(original.imageData, modified.imageData),
+    };
+  },
+
+  hideShares: (files, secret, options, onProgress) => hideSecretShares(files, secret, { ...options, onProgress }),
+
+  revealShares: (files, options, onProgress) => revealSecretShares(files, { ...options, onProgress }),
+};
@@ -0,0 +1,23 @@
+// Runs ./operations off the main thread. Messages in: { id, operation, args }. Messages out:
+// { id, progress }, then { id, result } or { id, error }.
+import { OPERATIONS } from './operations';
+
+// Array buffers in a result are moved to the page instead of copied
+const transferables = (value, found = new Set()) => {
+  if (ArrayBuffer.isView(value)) {
+    found.add(value.buffer);
+  } else if (value && typeof value === 'object' && !(value instanceof Blob)) {
+    Object.values(value).forEach((item) => transferables(item, found));
+  }
+  return found;
+};
+
+onmessage = async ({ data: { id, operation, args } }) => {
+  const onProgress = (progress) => postMessage({ id, progress });
+  try {
+    const result = await OPERATIONS[operation](...args, onProgress);
+    postMessage({ id, result }, [...transferables(result)]);
+  } catch (error) {
+    postMessage({ id, error: error.message || String(error) });
+  }
+};
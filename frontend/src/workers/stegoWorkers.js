@@ -0,0 +1,67 @@
+// Entry points the UI uses for image work. In-browser processing runs in a pool of Web Workers
+// so decoding and embedding a large image never freezes the page; browsers without workers or
+// OffscreenCanvas run the same operations (./operations) in the page instead. The server path
+// stays on the main thread, where its typed network errors (../api/errors) survive.
+import { createWorkerPool } from './workerPool';
+import { OPERATIONS } from './operations';
+import { hideSecret, revealSecret } from '../processing';
+import { PROCESSING_MODES } from '../stego/capacity';
+import { CancelledError } from '../api/errors';
+
+// One worker per core, leaving a core for the page
+const POOL_SIZE = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+const WORKERS_SUPPORTED = typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+
+const noop = () => {};
+
+let pool = null;
+
+// Page fallback: work cannot be interrupted, so cancellation takes effect once it is done
+const runInPage = async (operation, args, { signal, onProgress = noop } = {}) => {
+  const result = await OPERATIONS[operation](...args, onProgress);
+  if (signal?.aborted) {
+    throw new CancelledError();
+  }
+  return result;
+};
+
+// Runs one of ./operations with its positional `args`; `signal` cancels, `onProgress` receives
+// fractions from the worker
+export const runInWorker = (operation, args, options) => {
+  if (!WORKERS_SUPPORTED) {
+    return runInPage(operation, args, options);
+  }
+  pool = pool || createWorkerPool(() => new Worker(new URL('./stego.worker.js', import.meta.url)), POOL_SIZE);
+  return pool.run(operation, args, options);
+};
+
+export const preflightInWorker = (file, options) => runInWorker('preflight', [file], options);
+
+// Pixels of an image; every frame of an animation, stacked
+export const decodeInWorker = (file, options) => runInWorker('decode', [file], options);
+
+// hideSecret and revealSecret (../processing) with the in-browser path moved off the main thread.
+// Server-mode Reveal still opens containers in the page (the server cannot read them), so the
+// image is decoded in a worker first.
+export const hideSecretInWorker = (file, secret, { mode, signal, onProgress, onTransfer, ...options }) =>
+  mode === PROCESSING_MODES.LOCAL
+    ? runInWorker('hide', [file, secret, options], { signal, onProgress })
+    : hideSecret(file, secret, { ...options, mode, signal, onProgress, onTransfer });
+
+export const revealSecretInWorker = (file, { mode, signal, onProgress, onTransfer, ...options }) =>
+  mode === PROCESSING_MODES.LOCAL
+    ? runInWorker('reveal', [file, options], { signal, onProgress })
+    : decodeInWorker(file, { signal })
+      .then((pixels) => revealSecret(file, { ...options, pixels, mode, signal, onProgress, onTransfer }));
+
+// Resolves with { statistics, revealed }; `revealed` is null unless `reveal` is set
+export const detectInWorker = (file, { signal, onProgress, ...options }) =>
+  runInWorker('detect', [file, options], { signal, onProgress });
+
+export const measureQualityInWorker = (carrier, stego, options) => runInWorker('quality', [carrier, stego], options);
+
+export const hideSecretSharesInWorker = (files, secret, { signal, onProgress, ...options }) =>
+  runInWorker('hideShares', [files, secret, options], { signal, onProgress });
+
+export const revealSecretSharesInWorker = (files, { signal, onProgress, ...options }) =>
+  runInWorker('revealShares', [files, options], { signal, onProgress });
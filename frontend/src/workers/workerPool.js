@@ -0,0 +1,104 @@
+// Fixed-size pool of Web Workers speaking the protocol of ./stego.worker.js. Jobs wait until a
+// worker is free. A pixel loop cannot be interrupted from outside, so aborting a running job
+// terminates its worker; a fresh one is started when the next job needs it.
+import { CancelledError } from '../api/errors';
+
+const noop = () => {};
+
+export const createWorkerPool = (createWorker, size) => {
+  const idle = [];
+  const queue = [];
+  let workerCount = 0;
+  let nextId = 0;
+
+  const finish = (job) => {
+    job.signal?.removeEventListener('abort', job.onAbort);
+  };
+
+  const spawn = () => {
+    const worker = createWorker();
+    workerCount++;
+
+    worker.onmessage = ({ data }) => {
+      const job = worker.job;
+      if (!job || data.id !== job.id) return;
+      if ('progress' in data) {
+        job.onProgress(data.progress);
+        return;
+      }
+      finish(job);
+      release(worker);
+      if ('error' in data) {
+        job.reject(new Error(data.error));
+      } else {
+        job.resolve(data.result);
+      }
+    };
+
+    // The worker script itself failed; it cannot be trusted with another job
+    worker.onerror = (event) => {
+      event.preventDefault();
+      const job = worker.job;
+      discard(worker);
+      if (job) {
+        finish(job);
+        job.reject(new Error(event.message || 'Image processing failed in the background worker'));
+      }
+      pump();
+    };
+
+    return worker;
+  };
+
+  const discard = (worker) => {
+    worker.terminate();
+    worker.job = null;
+    workerCount--;
+    const index = idle.indexOf(worker);
+    if (index !== -1) idle.splice(index, 1);
+  };
+
+  const dispatch = (worker, job) => {
+    worker.job = job;
+    job.worker = worker;
+    worker.postMessage({ id: job.id, operation: job.operation, args: job.args });
+  };
+
+  const pump = () => {
+    while (queue.length > 0 && (idle.length > 0 || workerCount < size)) {
+      dispatch(idle.pop() || spawn(), queue.shift());
+    }
+  };
+
+  const release = (worker) => {
+    worker.job = null;
+    idle.push(worker);
+    pump();
+  };
+
+  // Resolves with the operation's result; rejects with CancelledError when `signal` aborts
+  const run = (operation, args, { signal, onProgress = noop } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+
+    const job = { id: nextId++, operation, args, signal, onProgress, resolve, reject, worker: null };
+    job.onAbort = () => {
+      finish(job);
+      if (job.worker) {
+        discard(job.worker);
+      } else {
+        queue.splice(queue.indexOf(job), 1);
+      }
+      reject(new CancelledError());
+      pump();
+    };
+    signal?.addEventListener('abort', job.onAbort);
+
+    queue.push(job);
+    pump();
+  });
+
+  return { run };
+};
@@ -0,0 +1,120 @@
+/**
+ * @jest-environment node
+ */
+import { createWorkerPool } from './workerPool';
+import { CancelledError } from '../api/errors';
+
+// Stands in for a Web Worker: records what it was sent and lets the test answer
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  reply(data) {
+    this.onmessage({ data: { id: this.messages[this.messages.length - 1].id, ...data } });
+  }
+}
+
+const setup = (size) => {
+  const workers = [];
+  const pool = createWorkerPool(() => {
+    const worker = new FakeWorker();
+    workers.push(worker);
+    return worker;
+  }, size);
+  return { pool, workers };
+};
+
+describe('createWorkerPool', () => {
+  it('posts the operation and resolves with the result, passing progress along', async () => {
+    const { pool, workers } = setup(2);
+    const onProgress = jest.fn();
+    const job = pool.run('hide', ['carrier', 'secret'], { onProgress });
+
+    expect(workers[0].messages).toEqual([{ id: 0, operation: 'hide', args: ['carrier', 'secret'] }]);
+    workers[0].reply({ progress: 0.5 });
+    workers[0].reply({ result: 'stego' });
+
+    await expect(job).resolves.toBe('stego');
+    expect(onProgress).toHaveBeenCalledWith(0.5);
+  });
+
+  it('rejects with the message a worker reports', async () => {
+    const { pool, workers } = setup(1);
+    const job = pool.run('reveal', []);
+    workers[0].reply({ error: 'No hidden data' });
+    await expect(job).rejects.toThrow('No hidden data');
+  });
+
+  it('starts no more workers than its size and queues the rest', async () => {
+    const { pool, workers } = setup(2);
+    const jobs = [pool.run('a', []), pool.run('b', []), pool.run('c', [])];
+    expect(workers).toHaveLength(2);
+
+    workers[1].reply({ result: 'b' });
+    expect(workers).toHaveLength(2);
+    expect(workers[1].messages[1]).toMatchObject({ operation: 'c' });
+
+    workers[0].reply({ result: 'a' });
+    workers[1].reply({ result: 'c' });
+    await expect(Promise.all(jobs)).resolves.toEqual(['a', 'b', 'c']);
+  });
+
+  it('terminates the worker of an aborted job and replaces it for the next', async () => {
+    const { pool, workers } = setup(1);
+    const controller = new AbortController();
+    const job = pool.run('hide', [], { signal: controller.signal });
+    const queued = pool.run('reveal', []);
+
+    controller.abort();
+    await expect(job).rejects.toThrow(CancelledError);
+    expect(workers[0].terminated).toBe(true);
+    expect(workers[1].messages).toEqual([{ id: 1, operation: 'reveal', args: [] }]);
+
+    workers[1].reply({ result: 'revealed' });
+    await expect(queued).resolves.toBe('revealed');
+  });
+
+  it('drops a queued job when it is aborted', async () => {
+    const { pool, workers } = setup(1);
+    const controller = new AbortController();
+    const running = pool.run('a', []);
+    const queued = pool.run('b', [], { signal: controller.signal });
+
+    controller.abort();
+    await expect(queued).rejects.toThrow(CancelledError);
+    workers[0].reply({ result: 'a' });
+    await expect(running).resolves.toBe('a');
+    expect(workers[0].messages).toHaveLength(1);
+  });
+
+  it('rejects an already aborted signal without posting anything', async () => {
+    const { pool, workers } = setup(1);
+    const controller = new AbortController();
+    controller.abort();
+    await expect(pool.run('a', [], { signal: controller.signal })).rejects.toThrow(CancelledError);
+    expect(workers).toHaveLength(0);
+  });
+
+  it('discards a worker whose script fails', async () => {
+    const { pool, workers } = setup(1);
+    const job = pool.run('a', []);
+    workers[0].onerror({ message: 'Script error', preventDefault: () => {} });
+
+    await expect(job).rejects.toThrow('Script error');
+    expect(workers[0].terminated).toBe(true);
+
+    const next = pool.run('b', []);
+    workers[1].reply({ result: 'b' });
+    await expect(next).resolves.toBe('b');
+  });
+});